@@ -2,10 +2,31 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const puppeteer = require('puppeteer');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
-const { URL } = require('url');
+const { PDFDocument } = require('pdf-lib');
+const { loadPublicationDirectory } = require('./lib/publication-loader');
+const { getPrintableAttributes, getInlineAttributes } = require('./lib/attributes');
+const { findDuplicateGroups, mergePublications } = require('./lib/duplicates');
+const { loadModel } = require('./lib/classifier');
+const { parsePhoneList, whatsappNumber } = require('./lib/phones');
+const { resolveLocation } = require('./lib/gazetteer');
+const { resolvePrice, periodLabel } = require('./lib/prices');
+const { DEFAULT_THEME, loadTheme, getPalette, renderTemplate, renderStyles, listThemes } = require('./lib/themes');
+const { DEFAULT_CACHE_DIR, toDataUri, checkThemeAssets, prepareImages } = require('./lib/assets');
+const { lengthToInches, columnSize, printSlot, processPrintImages, processWebImages, WEB_SIZES } = require('./lib/images');
+const { launchBrowser, closeBrowser, measureHeights, renderAll } = require('./lib/render-pool');
+const { readDestinations, addOutline } = require('./lib/pdf-outline');
+const { issueCodeFromDirectory, assignIdentities } = require('./lib/identity');
+const { parseIssueCode } = require('./lib/issue');
+const { sectionName, compareSections } = require('./lib/taxonomy');
+const { createColumnPacker } = require('./lib/packing');
+const { MANIFESTS_DIR, publicationUrl, loadUrlPaths } = require('./lib/urls');
+const { qrSvg } = require('./lib/qr');
+const { escapeHtml, sanitizeText, formatInlineMarkup } = require('./lib/sanitize');
+const { EXPORT_FORMATS, buildRows, toCsv, writeXlsx, toJsonLines, buildFeed, renderRss, renderAtom } = require('./lib/exporters');
+const { preparePublicationForInsertion } = require('./publication-uploader/prepare');
+const { computeExpiration, statusForImport } = require('./publication-uploader/lifecycle');
 
 // --- Manejadores Globales de Errores (Para Depuración) ---
 process.on('unhandledRejection', (reason, promise) => {
@@ -26,278 +47,977 @@ process.on('uncaughtException', (error) => {
 });
 
 
-// --- Funciones Auxiliares de Carga ---
+// --- Agrupación de Datos ---
 
-async function loadJsonData(filepath) {
-  try {
-    const absolutePath = path.resolve(filepath);
-    const fileContent = await fs.readFile(absolutePath, 'utf-8');
-    const data = JSON.parse(fileContent);
-    if (!Array.isArray(data)) {
-      console.warn(`! Warn: JSON ${path.basename(filepath)} no es un array.`);
-      return null;
-    }
-    // Log de éxito ahora se hace en el bucle principal
-    return data;
-  } catch (error) {
-    // Loguear el error específico del archivo
-    console.error(`!! Error procesando ${path.basename(filepath)}: ${error.message}`);
-    // Decidimos retornar null para intentar continuar con otros archivos
-    return null;
-  }
-}
+const NO_CATEGORY_SLUG = 'sin-categoria';
 
-// --- Agrupación de Datos ---
+// Nombre de la categoría según la taxonomía (lib/taxonomy/categories.json)
+function categoryNameOf(categorySlug) {
+  return categorySlug === NO_CATEGORY_SLUG ? 'Sin Categoría' : sectionName([categorySlug]);
+}
 
+// { nombreCategoría: pubs }, con las categorías en el orden de la taxonomía
 function groupPubsByCategory(publications) {
   const grouped = {};
   if (!publications || publications.length === 0) return grouped;
-  // Mapeo de slugs a nombres (¡Personaliza y completa!)
-   const categoryNames = {
-     'inmuebles': 'Inmuebles', 'vehiculos': 'Vehículos', 'empleos': 'Empleos',
-     'servicios': 'Servicios', 'productos': 'Productos', 'mascotas': 'Mascotas',
-     'comunidad': 'Comunidad', 'negocios': 'Negocios',
-     'sin-categoria': 'Sin Categoría' // Para los que no tengan slug
-   };
+  const bySlug = new Map();
   publications.forEach(pub => {
-    const categorySlug = pub.categorySlug || 'sin-categoria';
-    const categoryDisplayName = categoryNames[categorySlug] || categorySlug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-    if (!grouped[categoryDisplayName]) grouped[categoryDisplayName] = [];
-    grouped[categoryDisplayName].push(pub);
+    const categorySlug = pub.categorySlug || NO_CATEGORY_SLUG;
+    if (!bySlug.has(categorySlug)) bySlug.set(categorySlug, []);
+    bySlug.get(categorySlug).push(pub);
+  });
+  [...bySlug.keys()].sort((a, b) => compareSections([a], [b])).forEach(categorySlug => {
+    grouped[categoryNameOf(categorySlug)] = bySlug.get(categorySlug);
   });
   console.log(`\nPublicaciones agrupadas en ${Object.keys(grouped).length} categorías.`);
   return grouped;
 }
 
-// --- Funciones de Formateo de Datos para HTML ---
+// --- Distritos ---
 
-function cleanPhoneNumber(phone) {
-    let cleaned = phone.replace(/[^0-9]/g, '');
-    if (cleaned.length === 9 && !cleaned.startsWith('51')) {
-        cleaned = '51' + cleaned;
-    }
-    return cleaned;
+const NO_DISTRICT_LABEL = 'Otras zonas';
+
+// Nombre canónico del distrito según el gazetteer (lib/gazetteer.js), o null
+function districtOf(pub) {
+    const { district } = resolveLocation(pub.location);
+    return district ? district.name : null;
 }
 
+// Agrupa las publicaciones por distrito, en orden alfabético; las que no
+// tienen distrito van al final. Devuelve [[nombreDistrito | null, pubs], ...]
+function groupByDistrict(pubs) {
+    const groups = new Map();
+    pubs.forEach(pub => {
+        const district = districtOf(pub);
+        if (!groups.has(district)) groups.set(district, []);
+        groups.get(district).push(pub);
+    });
+    return [...groups.entries()].sort(([a], [b]) => {
+        if (a === null) return 1;
+        if (b === null) return -1;
+        return a.localeCompare(b, 'es');
+    });
+}
+
+// --- Niveles de Anuncio (Destacados y Pagados) ---
+
+const DEFAULT_TIER = 'standard';
+
+// Nivel de un anuncio con su configuración en el tema: { name, template, label, position, span }
+function tierOf(pub, theme) {
+    const name = pub.tier && theme.tiers[pub.tier] ? pub.tier : DEFAULT_TIER;
+    return { name, position: 'flow', ...theme.tiers[name] };
+}
+
+// Alto estimado de cada bloque en puntos, según styles.css del tema default; solo sirve para
+// elegir qué anuncio llena un hueco de columna (ver lib/packing.js)
+const PT_PER_INCH = 72;
+const ESTIMATE = {
+    cardPadding: 11.3, cardMargin: 17, // .publication: padding 0.4cm, margin-bottom 0.6cm
+    charWidth: 0.5, // Ancho medio de un carácter, en múltiplos del tamaño de letra
+    title: { size: 11, lineHeight: 1.3 }, price: 21, description: { size: 8.5, lineHeight: 1.5, margin: 8.5 },
+    attributeRow: 15.8, attributesMargin: 17, footerLine: 15.5, footerPadding: 7.1, qrLabel: 10,
+    largeTextScale: 1.15, // premium: títulos y descripciones más grandes
+    headings: { 1: 51, 2: 37, 3: 28 }, districtHeading: 35, mainTitle: 110,
+    listing: { size: 7.5, lineHeight: 1.3, margin: 3.4 }, listingHeadings: { 2: 22, 3: 20, district: 20 } // .listing y sus subtítulos
+};
+
+function estimatePublicationHeight(pub, tier, theme, column) {
+    const { layout } = theme;
+    if (tier.span === 'column') return column.height;
+    if (tier.span === 'all') return lengthToInches(layout.bannerHeight) * PT_PER_INCH + ESTIMATE.cardMargin;
+    const scale = tier.name === 'premium' ? ESTIMATE.largeTextScale : 1;
+    const width = column.width - 2 * ESTIMATE.cardPadding;
+    const lines = (text, size) => Math.max(1, Math.ceil(String(text).length * size * scale * ESTIMATE.charWidth / width));
+    const { title, description } = ESTIMATE;
+    let height = 2 * ESTIMATE.cardPadding + ESTIMATE.cardMargin + ESTIMATE.price;
+    if (tier.label) height += ESTIMATE.footerLine; // Etiqueta del nivel
+    if (layout.showImages !== false && (pub.images || []).length > 0) height += lengthToInches(layout.imageSize) * PT_PER_INCH;
+    height += lines(pub.title || '', title.size) * title.size * scale * title.lineHeight;
+    if (pub.description) height += lines(pub.description, description.size) * description.size * scale * description.lineHeight + description.margin;
+    const attributeCount = getPrintableAttributes(pub).length;
+    if (attributeCount > 0) height += Math.ceil(attributeCount / (layout.attributeColumns || 1)) * ESTIMATE.attributeRow + ESTIMATE.attributesMargin;
+    const contact = pub.contact || {};
+    const footerLines = [formatLocation(pub).replace(/<[^>]+>/g, '')].filter(Boolean).map(text => lines(text, 8))
+        .concat([contact.name || (contact.phones || []).length > 0 ? 1 : 0, contact.email ? 1 : 0, pub.createdAt ? 1 : 0]);
+    const footerHeight = footerLines.reduce((total, count) => total + count, 0) * ESTIMATE.footerLine;
+    // El código QR va a la derecha del pie: el pie crece solo si el código es más alto
+    const qrHeight = qrTarget(pub, layout.qrCodes) ? lengthToInches(layout.qrSize) * PT_PER_INCH + ESTIMATE.qrLabel : 0;
+    height += ESTIMATE.footerPadding + Math.max(footerHeight, qrHeight);
+    return height;
+}
+
+function estimateListingHeight(pub, theme, column) {
+    const { size, lineHeight, margin } = ESTIMATE.listing;
+    const text = formatListingHtml(pub, theme).replace(/<[^>]+>/g, '');
+    return Math.max(1, Math.ceil(text.length * size * ESTIMATE.charWidth / column.width)) * size * lineHeight + margin;
+}
+
+// Empaquetador de columnas para una página del tema, con alturas en puntos: las medidas en Chromium (measured, ver
+// measureIssueBlocks) o estimadas. compact: anuncios en formato compacto. pack: false mantiene el orden y solo cuenta.
+// Entre startListing() y endListing() la sección sigue como listado, en las columnas angostas del tema.
+function createThemePacker(theme, { measured = null, compact = new Set(), pack = true } = {}) {
+    const { layout } = theme;
+    const toPoints = size => ({ width: size.width * PT_PER_INCH, height: size.height * PT_PER_INCH });
+    const column = toPoints(columnSize(layout));
+    const listingColumn = toPoints(columnSize({ ...layout, columns: layout.listingColumns, columnGap: layout.listingColumnGap || layout.columnGap }));
+    const packer = createColumnPacker({ columnHeight: column.height, columns: layout.columns || 1, lookahead: pack ? undefined : 0 });
+    let isListing = false;
+    return {
+        ...packer,
+        column,
+        compact,
+        get listing() { return isListing; },
+        startListing: () => { packer.setColumns(layout.listingColumns || 1); isListing = true; },
+        endListing: () => { packer.setColumns(layout.columns || 1); isListing = false; },
+        heightOf: pub => {
+            const card = measured && measured.cards.get(pub);
+            if (isListing) return card && card.listing !== undefined ? card.listing : estimateListingHeight(pub, theme, listingColumn);
+            if (card) return compact.has(pub) ? card.compact : card.full;
+            return estimatePublicationHeight(pub, tierOf(pub, theme), theme, column);
+        },
+        // level: 1 (categoría), 2, 3 (subsecciones) o 'district'
+        headingHeight: level => {
+            if (measured) return (isListing ? measured.listingHeadings : measured.headings)[level];
+            if (isListing) return ESTIMATE.listingHeadings[level];
+            return level === 'district' ? ESTIMATE.districtHeading : ESTIMATE.headings[level];
+        }
+    };
+}
+
+// Anuncios en el orden en que llenan mejor las columnas
+function packPublications(pubs, theme, packer) {
+    const items = pubs.map(pub => ({ pub, height: packer.heightOf(pub), fullColumn: tierOf(pub, theme).span === 'column' }));
+    return packer.pack(items).map(({ pub }) => pub);
+}
+
+// --- Secciones y Orden ---
+
+// Niveles de la taxonomía: categoría, subcategoría y sub-subcategoría
+const SECTION_LEVELS = ['categorySlug', 'subcategorySlug', 'subSubcategorySlug'];
+const SUBSECTION_HEADINGS = { 2: 'h3 class="subcategory-heading"', 3: 'h4 class="subsubcategory-heading"' };
+
+// Clave de orden de cada criterio; null va al final y los empates conservan el orden de las páginas.
+// Las claves de varias partes ([moneda, monto]) se comparan parte por parte.
+const SORT_KEYS = {
+    price: pub => { // Por moneda (soles antes que dólares) y de menor a mayor: los montos en monedas distintas no se comparan
+        const price = resolvePrice(pub);
+        return price.amount === null ? null : [price.currency || 'PEN', price.amount];
+    },
+    district: pub => districtOf(pub),
+    date: pub => pub.createdAt ? -Date.parse(pub.createdAt) || null : null, // Más recientes primero
+    featured: pub => pub.featured || (pub.tier && pub.tier !== DEFAULT_TIER) ? 0 : 1 // Destacados y pagados primero
+};
+
+function compareSortKeys(a, b) {
+    if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+    if (b === null || b === undefined) return -1;
+    if (Array.isArray(a)) return a.reduce((order, part, index) => order || compareSortKeys(part, b[index]), 0);
+    return typeof a === 'string' ? a.localeCompare(b, 'es') : a - b;
+}
+
+// Anuncios ordenados según sortBy ('pages' = orden de las páginas)
+function sortPublications(pubs, sortBy) {
+    const keyOf = SORT_KEYS[sortBy];
+    if (!keyOf) return pubs;
+    return pubs.map(pub => ({ pub, key: keyOf(pub) }))
+        .sort((a, b) => compareSortKeys(a.key, b.key))
+        .map(({ pub }) => pub);
+}
+
+// Subsecciones de una sección según el siguiente nivel de la taxonomía, hasta depth niveles
+// (1 = solo categoría, 2 = subcategorías, 3 = también sub-subcategorías). Los anuncios sin
+// slug en ese nivel van primero, sin subtítulo (name null).
+function buildSubsections(pubs, parentSlugs, parentId, depth) {
+    const level = parentSlugs.length;
+    if (level >= Math.min(depth, SECTION_LEVELS.length)) return [];
+    const groups = new Map();
+    pubs.forEach(pub => {
+        const slug = pub[SECTION_LEVELS[level]] || '';
+        if (!groups.has(slug)) groups.set(slug, []);
+        groups.get(slug).push(pub);
+    });
+    return [...groups.keys()]
+        .sort((a, b) => (a === '' ? -1 : b === '' ? 1 : compareSections([...parentSlugs, a], [...parentSlugs, b])))
+        .map(slug => {
+            const groupPubs = groups.get(slug);
+            if (!slug) return { slugs: parentSlugs, name: null, id: null, pubs: groupPubs, children: [] };
+            const slugs = [...parentSlugs, slug];
+            const id = `${parentId}--${slug}`;
+            return { slugs, name: sectionName(slugs), id, pubs: groupPubs, children: buildSubsections(groupPubs, slugs, id, depth) };
+        });
+}
+
+// Sección de una categoría: { slugs, name, id, count, top, pubs, children, listing } (ver buildSubsections).
+// Los anuncios de niveles que van arriba de la categoría (top) quedan fuera de las subsecciones.
+// listing: la categoría está en listingSlugs y sus anuncios se imprimen como listado (ver formatListingHtml).
+function buildCategorySection(categoryName, pubs, depth, theme, listingSlugs = []) {
+    const slugs = [pubs[0].categorySlug || NO_CATEGORY_SLUG];
+    const id = `cat-${slugs[0]}`;
+    const isTop = pub => tierOf(pub, theme).position === 'top';
+    const flowPubs = pubs.filter(pub => !isTop(pub));
+    return { slugs, name: categoryName, id, count: pubs.length, top: pubs.filter(isTop), pubs: flowPubs, children: buildSubsections(flowPubs, slugs, id, depth), listing: listingSlugs.includes(slugs[0]) };
+}
+
+// --- Duplicados ---
+
+// Fusiona los anuncios repetidos (mismo anuncio en varias páginas) en uno solo.
+// Recibe los registros válidos del loader y devuelve { publications, records, report }: records es el registro de
+// origen de cada publicación (el primero del grupo en las fusionadas, con la publicación fusionada).
+function mergeDuplicateRecords(records) {
+    const groups = findDuplicateGroups(records.map(record => record.publication));
+    const mergedInto = new Map(); // índice del original -> publicación fusionada
+    const removed = new Set();
+    const report = groups.map(({ indexes, similarity }) => {
+        const [first, ...others] = indexes;
+        mergedInto.set(first, mergePublications(indexes.map(i => records[i].publication)));
+        others.forEach(i => removed.add(i));
+        return {
+            title: records[first].publication.title,
+            similarity: Math.round(similarity * 100) / 100,
+            sources: indexes.map(i => `${records[i].file}[${records[i].index}]`),
+        };
+    });
+    const mergedRecords = records
+        .map((record, i) => mergedInto.has(i) ? { ...record, publication: mergedInto.get(i) } : record)
+        .filter((_, i) => !removed.has(i));
+    return { publications: mergedRecords.map(record => record.publication), records: mergedRecords, report };
+}
+
+// --- Funciones de Formateo de Datos para HTML ---
+
+// Precio según la regla de lib/prices.js: fijo, rango, gratis o sin precio
+// (el monto puede venir de los campos o de la descripción: "S/50-70 mensual")
 function formatPrice(pub) {
-    const amount = pub.amount;
-    const currency = pub.currency;
-    const negotiable = pub.negotiable || false;
-    let priceStr = "Consultar Precio";
-    if (amount === 0) priceStr = "Gratis";
-    else if (amount !== null && amount !== undefined) {
-        const currencySymbol = currency === 'PEN' ? 'S/' : currency === 'USD' ? '$' : '';
-        try { priceStr = `${currencySymbol} ${new Intl.NumberFormat('es-PE', { style: 'decimal', minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount)}`; }
-        catch (e) { priceStr = `${currencySymbol} ${amount}`; }
-    }
-    if (negotiable && amount !== null && amount !== undefined) priceStr += " (Negociable)";
+    const price = resolvePrice(pub);
+    if (price.kind === 'none') return "Consultar Precio";
+    if (price.kind === 'free') return "Gratis";
+    const currencySymbol = price.currency === 'PEN' ? 'S/' : price.currency === 'USD' ? '$' : '';
+    const formatAmount = (amount) => {
+        try { return new Intl.NumberFormat('es-PE', { style: 'decimal', minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(amount); }
+        catch (e) { return `${amount}`; }
+    };
+    let priceStr = `${currencySymbol} ${formatAmount(price.amount)}`;
+    if (price.kind === 'range') priceStr += ` - ${formatAmount(price.maxAmount)}`;
+    if (price.period) priceStr += ` ${periodLabel(price.period)}`;
+    if (price.negotiable) priceStr += " (Negociable)";
     return priceStr;
 }
 
 function formatLocation(pub) {
     const loc = pub.location || {};
     const parts = [];
-    if (loc.district) parts.push(`${loc.district}`);
-    if (loc.address) parts.push(loc.address);
-    if (loc.referencePoint) parts.push(`(Ref: ${loc.referencePoint})`);
+    const district = districtOf(pub) || loc.district; // Nombre canónico ("Huanchac" -> "Wanchaq")
+    if (district) parts.push(escapeHtml(district));
+    if (loc.address) parts.push(escapeHtml(loc.address));
+    if (loc.referencePoint) parts.push(`(Ref: ${escapeHtml(loc.referencePoint)})`);
     const locationString = parts.filter(Boolean).join(', ');
     return locationString ? `<span class="icon-location">📍</span> ${locationString}` : '';
 }
 
+// Los textos de los anuncios llegan tal cual de los JSON: todo se escapa al insertarlo en las plantillas (lib/sanitize.js).
+// Solo la descripción conserva el marcado simple permitido (negritas, cursivas, saltos de línea); el título es texto plano.
+function plainTitle(pub) {
+    return sanitizeText(pub.title || '', { markup: false });
+}
+
+// Chat de WhatsApp de un celular con el mensaje predeterminado (URL encoded)
+function whatsappUrl(pub, whatsapp) {
+    const defaultMessage = encodeURIComponent(`Hola, vi tu anuncio "${plainTitle(pub) || '...'}" en Buscadis. Quisiera más información.`);
+    return `https://wa.me/${whatsapp}?text=${defaultMessage}`;
+}
+
+// Todos los números (celulares y fijos con 084), ya validados por lib/phones.js, uno por elemento
+function formatPhoneLinks(pub) {
+    const { numbers } = parsePhoneList((pub.contact || {}).phones);
+    return numbers.map(number => {
+        const whatsapp = whatsappNumber(number);
+        // Solo los celulares tienen link de WhatsApp; los fijos se muestran como texto
+        if (whatsapp) {
+            return `<a href="${escapeHtml(whatsappUrl(pub, whatsapp))}" class="whatsapp-link" target="_blank">${escapeHtml(number.display)}</a>`;
+        }
+        return escapeHtml(number.display);
+    });
+}
+
+// Destino del código QR de un anuncio según layout.qrCodes: "whatsapp" (chat del primer celular) o "web" (su página en
+// buscadis.com, con el url_path que generó el uploader). null si no tiene o si el tema no imprime códigos.
+function qrTarget(pub, mode) {
+    if (mode === 'whatsapp') {
+        const whatsapp = parsePhoneList((pub.contact || {}).phones).numbers.map(whatsappNumber).find(Boolean);
+        return whatsapp ? { url: whatsappUrl(pub, whatsapp), label: 'WhatsApp' } : null;
+    }
+    if (mode === 'web' && pub.url_path) return { url: publicationUrl(pub.url_path), label: 'buscadis.com' };
+    return null;
+}
+
+// En papel los links no sirven: el código QR, dibujado aquí mismo (lib/qr.js), lleva al mismo destino. Los links de
+// WhatsApp son largos y se codifican con corrección baja para que los módulos no queden demasiado chicos.
+function formatQrCode(pub, theme) {
+    const target = qrTarget(pub, theme.layout.qrCodes);
+    if (!target) return '';
+    const svg = qrSvg(target.url, { errorCorrectionLevel: theme.layout.qrCodes === 'whatsapp' ? 'L' : 'M' });
+    return `<a href="${escapeHtml(target.url)}" class="pub-qr" target="_blank">${svg}<span class="pub-qr-label">${target.label}</span></a>`;
+}
+
 function formatContact(pub) {
     const contact = pub.contact || {};
     const parts = [];
-    // Mensaje predeterminado para WhatsApp (URL encoded)
-    const defaultMessage = encodeURIComponent(`Hola, vi tu anuncio "${pub.title || '...'}" en Buscadis. Quisiera más información.`);
-
-    if (contact.name) parts.push(`<span class="contact-name">👤 ${contact.name}</span>`);
-    if (contact.phones && contact.phones.length > 0) {
-        const phoneLinks = contact.phones.map(phone => {
-        const cleanedPhone = cleanPhoneNumber(phone);
-        // Solo genera link si el número es válido tras limpiar
-        if (cleanedPhone && cleanedPhone.startsWith('51') && cleanedPhone.length >= 11) {
-            return `<a href="https://wa.me/${cleanedPhone}?text=${defaultMessage}" class="whatsapp-link" target="_blank">${phone}</a>`;
-        }
-        return phone; // Mostrar como texto si no es válido para WA
-        }).join(' / ');
-        parts.push(`<span class="contact-phone">📞 Tel: ${phoneLinks}</span>`);
-    }
-    if (contact.email) parts.push(`<span class="contact-email">✉️ Email: <a href="mailto:${contact.email}">${contact.email}</a></span>`);
+
+    if (contact.name) parts.push(`<span class="contact-name">👤 ${escapeHtml(contact.name)}</span>`);
+    const phoneLinks = formatPhoneLinks(pub);
+    if (phoneLinks.length > 0) parts.push(`<span class="contact-phone">📞 Tel: ${phoneLinks.join(' / ')}</span>`);
+    if (contact.email) parts.push(`<span class="contact-email">✉️ Email: <a href="mailto:${escapeHtml(contact.email)}">${escapeHtml(contact.email)}</a></span>`);
     return parts.filter(Boolean).join('<br>');
 }
 
 function formatAttributes(pub) {
-    const attrs = pub.attributes;
-    if (!attrs || typeof attrs !== 'object' || Object.keys(attrs).length === 0) return "";
+    // Etiquetas, orden, unidades y visibilidad vienen del registro lib/attributes/<categoria>.json
+    const attributes = getPrintableAttributes(pub);
+    if (attributes.length === 0) return "";
     let html = '<ul class="attributes">\n';
-    for (const [key, value] of Object.entries(attrs)) {
-        if (value !== null && value !== undefined && value !== '') {
-            let label = key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-            const mappings = { /* ... tus mapeos ... */ 'area_m2': 'Área m²', 'ano': 'Año', 'kilometraje': 'Km.', 'banos': 'Baños', 'dormitorios': 'Dorm.', 'cocheras': 'Coch.', 'experiencia_requerida': 'Experiencia', 'servicios_incluidos': 'Incluye', 'area_terreno_m2': 'Área Terreno m²', 'area_construida_m2': 'Área Const. m²', 'publico_objetivo': 'Ideal para', 'requisitos': 'Req.', 'conocimientos': 'Conocim.', 'puestos_requeridos': 'Puestos', 'nivel_educacion': 'Educación', 'modalidad_trabajo': 'Modalidad', 'tipo_contrato': 'Contrato', 'horario': 'Horario', 'estado': 'Estado', 'condicion': 'Condición', 'marca': 'Marca', 'modelo': 'Modelo' };
-            label = mappings[key] || label;
-            let valueStr = typeof value === 'boolean' ? (value ? 'Sí' : 'No') : (Array.isArray(value) ? value.map(item => String(item).replace(/_/g, ' ')).join(', ') : String(value));
-            if (valueStr.length > 40 && ['lista_servicios', 'requisitos_generales', 'puestos_requeridos', 'infraestructura_existente'].includes(key)) valueStr = valueStr.substring(0, 37) + '...';
-            html += `  <li><span class="attr-label">${label}:</span> <span class="attr-value">${valueStr}</span></li>\n`;
-        }
+    for (const { label, value } of attributes) {
+        html += `  <li><span class="attr-label">${escapeHtml(label)}:</span> <span class="attr-value">${escapeHtml(value)}</span></li>\n`;
     }
     html += '</ul>\n';
-    return html.includes('<li>') ? html : '';
-}
-
-function formatPublicationHtml(pub) {
-    const title = pub.title || 'Publicación sin título';
-    const description = pub.description || '';
-    const images = pub.images || [];
-    let imageHtml = "";
-    if (images && Array.isArray(images) && images.length > 0 && images[0]) {
-        let imageUrl = images[0];
-        if (imageUrl.startsWith('http:') || imageUrl.startsWith('https:')) {
-            imageHtml = `<div class="pub-image-container"><img src="${imageUrl}" alt="" class="pub-image"></div>\n`;
-        } else {
-            try {
-                const absolutePath = path.resolve(imageUrl);
-                imageUrl = new URL(`file:///${absolutePath.replace(/\\/g, '/')}`).href;
-                imageHtml = `<div class="pub-image-container"><img src="${imageUrl}" alt="" class="pub-image"></div>\n`;
-            } catch (err) { console.warn(`! Img Warn: No se pudo resolver ruta local: ${images[0]}`); imageHtml = ""; }
-        }
-    }
-    const priceHtml = `<div class="pub-price">${formatPrice(pub)}</div>`;
+    return html;
+}
+
+// Las imágenes ya fueron descargadas y recortadas al espacio de impresión (lib/images.js) y se incrustan en el HTML.
+// En la edición web, images trae en cambio { src, srcset } de los archivos escritos junto a las páginas (ver writeWebEdition).
+function formatImage(pub, theme, images) {
+    const reference = (pub.images || [])[0];
+    if (theme.layout.showImages === false || !reference) return "";
+    const image = images.get(reference);
+    if (!image) return ""; // Ya reportada como recurso faltante
+    const source = typeof image === 'string'
+        ? `src="${toDataUri(image)}"`
+        : `src="${escapeHtml(image.src)}" srcset="${escapeHtml(image.srcset)}" sizes="(max-width: 600px) 100vw, 400px" loading="lazy"`;
+    return `<div class="pub-image-container"><img ${source} alt="" class="pub-image"></div>\n`;
+}
+
+// Las piezas de cada anuncio se insertan en la plantilla de su nivel (publication.html para los estándar).
+// El formato compacto es solo texto: sin imagen, atributos ni código QR.
+function formatPublicationHtml(pub, theme, images = new Map(), isCompact = false) {
+    const tier = tierOf(pub, theme);
+    const description = formatInlineMarkup(pub.description);
     const locationString = formatLocation(pub);
-    const locationHtml = locationString ? `<div class="pub-location">${locationString}</div>` : '';
     const contactString = formatContact(pub);
-    const contactHtml = contactString ? `<div class="pub-contact">${contactString}</div>` : '';
-    const attributesHtml = formatAttributes(pub);
     let createdAtStr = "";
     if (pub.createdAt) { try { createdAtStr = `<div class="pub-date">Pub: ${new Date(pub.createdAt).toLocaleDateString('es-PE', { day: '2-digit', month: '2-digit', year: '2-digit' })}</div>`; } catch (e) {} }
-    const pubId = pub._id ? ` id="pub-${pub._id}"` : '';
-    return `
-      <article class="publication"${pubId}> ${imageHtml} <div class="pub-content"> <h3 class="pub-title">${title}</h3> ${priceHtml}
-          <div class="pub-body"> ${description ? `<p class="pub-description">${description}</p>` : ''} ${attributesHtml} </div>
-          <div class="pub-footer"> ${locationHtml} ${contactHtml} ${createdAtStr} </div>
-      </div> </article> `;
+    return renderTemplate(theme.templates[tier.template] || theme.templates.publication, {
+        classes: `tier-${tier.name}${isCompact ? ' compact' : ''}`,
+        badge: tier.label ? `<span class="pub-badge">${tier.label}</span>` : '',
+        idAttribute: pub._id ? ` id="pub-${escapeHtml(pub._id)}"` : '',
+        image: isCompact ? '' : formatImage(pub, theme, images),
+        qr: isCompact ? '' : formatQrCode(pub, theme),
+        title: escapeHtml(plainTitle(pub) || 'Publicación sin título'),
+        price: `<div class="pub-price">${formatPrice(pub)}</div>`,
+        description: description ? `<p class="pub-description">${description}</p>` : '',
+        attributes: isCompact ? '' : formatAttributes(pub),
+        location: locationString ? `<div class="pub-location">${locationString}</div>` : '',
+        contact: contactString ? `<div class="pub-contact">${contactString}</div>` : '',
+        date: createdAtStr
+    });
+}
+
+// Formato de listado, como los clasificados del periódico: el título en negrita como palabras iniciales, el texto, los
+// atributos clave del registro ("inline" en lib/attributes), el distrito, el precio y al final el teléfono.
+function formatListingHtml(pub, theme) {
+    const tier = tierOf(pub, theme);
+    const sentence = text => /[.!?…]$/.test(text) ? text : `${text}.`;
+    const attributes = getInlineAttributes(pub);
+    const district = districtOf(pub);
+    const phones = formatPhoneLinks(pub).map(phone => `<span class="listing-phone">${phone}</span>`);
+    const email = (pub.contact || {}).email;
+    const contact = phones.length > 0 ? `Tel. ${phones.join(' / ')}` : escapeHtml(email || '');
+    return renderTemplate(theme.templates.listing, {
+        classes: `tier-${tier.name}`,
+        idAttribute: pub._id ? ` id="pub-${escapeHtml(pub._id)}"` : '',
+        lead: escapeHtml(sentence(plainTitle(pub) || 'Publicación sin título')),
+        description: pub.description ? ` ${sentence(formatInlineMarkup(pub.description))}` : '',
+        attributes: attributes.length > 0 ? ` ${escapeHtml(sentence(attributes.join(', ')))}` : '',
+        location: district ? ` ${escapeHtml(district)}.` : '',
+        price: resolvePrice(pub).kind === 'none' ? '' : ` <span class="listing-price">${formatPrice(pub)}.</span>`,
+        contact: contact ? ` <span class="listing-contact">${contact}</span>` : ''
+    });
 }
 
 // --- Generación de HTML y CSS ---
 
-function generateMagazineHtml(groupedPubs, magazineTitle, styleOverrides = {}) {
-    // Define colores base y permite overrides
-    const baseColors = { primary: '#004a8f', secondary: '#e8f0f7', accent: '#007bff', text: '#212529', textLight: '#495057', textLighter: '#6c757d', border: '#dee2e6' };
-    const colors = { ...baseColors, ...styleOverrides };
-
-    // **CSS COMPLETO Y MEJORADO** (Incluido aquí directamente)
-    const cssStyles = `
-      @import url('https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;600;700&family=Roboto:wght@300;400;500&display=swap');
-      :root {
-        --font-family-headings: 'Poppins', sans-serif; --font-family-body: 'Roboto', sans-serif;
-        --primary-color: ${colors.primary}; --secondary-color: ${colors.secondary}; --accent-color: ${colors.accent};
-        --text-color: ${colors.text}; --text-color-light: ${colors.textLight}; --text-color-lighter: ${colors.textLighter};
-        --border-color: ${colors.border}; --column-gap: 0.8cm; --page-margin: 1.5cm;
-        --ad-bg-color: #ffffff; --ad-border-radius: 5px; --ad-shadow: 0 2px 5px rgba(0,0,0,0.08);
-      }
-      @page { size: A4; margin: var(--page-margin);
-        @bottom-center { content: "Página " counter(page) " / " counter(pages); font-family: var(--font-family-body); font-size: 8pt; color: #aaa; padding-top: 5pt; vertical-align: top; }
-        @top-center { content: element(header); font-family: var(--font-family-body); font-size: 9pt; color: var(--text-color-light); vertical-align: bottom; padding-bottom: 8pt; border-bottom: 0.5pt solid var(--border-color); margin-bottom: 15pt; }
-      }
-      body { font-family: var(--font-family-body); line-height: 1.45; color: var(--text-color); font-size: 8.5pt; font-weight: 300; column-count: 2; column-gap: var(--column-gap); column-fill: auto; background-color: #f8f9fa; -webkit-hyphens: auto; -moz-hyphens: auto; hyphens: auto; -webkit-font-smoothing: antialiased; -moz-osx-font-smoothing: grayscale; widows: 3; orphans: 3; }
-      * { box-sizing: border-box; }
-      .magazine-header { position: running(header); text-align: right; font-weight: 400; font-size: 8.5pt; color: var(--text-color-lighter); }
-      h1.main-title { font-family: var(--font-family-headings); text-align: center; color: var(--primary-color); font-weight: 700; font-size: 20pt; margin-bottom: 0.8cm; border-bottom: 1pt solid var(--primary-color); padding-bottom: 0.2cm; column-span: all; break-after: column; page-break-after: avoid; }
-      main.content-wrapper {}
-      .category-section h2 { background: linear-gradient(135deg, var(--primary-color) 0%, ${colors.accent} 100%); color: white; text-shadow: 1px 1px 2px rgba(0,0,0,0.2); padding: 0.3cm 0.5cm; margin: 1cm 0 0.5cm 0; border-left: none; font-size: 14pt; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; border-radius: var(--ad-border-radius) var(--ad-border-radius) 0 0; column-span: all; break-before: column; break-after: avoid; page-break-before: auto; page-break-after: avoid; }
-      section.category-section:first-of-type h2 { break-before: avoid; page-break-before: avoid; margin-top: 0; }
-      .publication { background-color: var(--ad-bg-color); padding: 0.4cm; margin-bottom: 0.6cm; border-radius: var(--ad-border-radius); border: 1pt solid var(--border-color); box-shadow: var(--ad-shadow); overflow: hidden; break-inside: avoid; page-break-inside: avoid; display: flex; flex-direction: column; position: relative; }
-      .publication:last-child { margin-bottom: 0; }
-      .pub-header { display: flex; gap: 0.4cm; align-items: flex-start; margin-bottom: 0.25cm; }
-      .pub-image-container { flex-shrink: 0; width: 75px; height: 75px; display: flex; align-items: center; justify-content: center; overflow: hidden; border-radius: 3px; border: 1pt solid var(--border-color); }
-      .pub-image { display: block; width: 100%; height: 100%; object-fit: cover; }
-      .pub-title-price { flex-grow: 1; }
-      .pub-title { margin: 0 0 0.1cm 0; color: var(--primary-color); font-size: 11pt; font-weight: 600; line-height: 1.3; font-family: var(--font-family-headings); }
-      .pub-price { font-weight: 700; color: var(--accent-color); margin-bottom: 0.2cm; font-size: 10.5pt; }
-      .pub-body { padding-left: 0.1cm; margin-bottom: 0.3cm; flex-grow: 1; }
-      .pub-description { margin-bottom: 0.3cm; font-size: 8.5pt; line-height: 1.5; color: var(--text-color-light); word-wrap: break-word; hyphens: auto; }
-      .pub-footer { border-top: 0.5pt solid var(--border-color); padding-top: 0.25cm; margin-top: auto; }
-      .pub-location, .pub-contact, .pub-date { font-size: 8pt; color: var(--text-color-lighter); margin-bottom: 0.15cm; line-height: 1.3; display: flex; align-items: flex-start; gap: 5px; }
-      .pub-contact span, .pub-contact a { display: inline-block; margin-bottom: 2px; vertical-align: middle; word-break: break-all; } /* Permitir saltos en links largos */
-      .pub-date { font-size: 7.5pt; text-align: right; margin-top: 2px; display: block; }
-      .icon-location::before, .icon-user::before, .icon-phone::before, .icon-email::before { vertical-align: middle; display: inline-block; margin-right: 1px; } /* Estilos íconos */
-      a.whatsapp-link { color: #128C7E; /* Verde WhatsApp más oscuro */ text-decoration: none; font-weight: 500; } a.whatsapp-link:hover { text-decoration: underline; }
-      a[href^="mailto:"] { color: var(--accent-color); text-decoration: none; } a[href^="mailto:"]:hover { text-decoration: underline; }
-      .attributes { list-style: none; padding: 0.2cm 0 0.1cm 0; margin: 0.25cm 0; font-size: 8pt; color: var(--text-color-light); column-count: 2; column-gap: 0.8cm; break-inside: avoid; border-top: none; }
-      .attributes li { margin-bottom: 0.15cm; break-inside: avoid; page-break-inside: avoid; line-height: 1.3; }
-      .attributes .attr-label { color: var(--text-color); font-weight: 600; margin-right: 4px; }
-      .attributes .attr-value { color: var(--text-color-light); }
-      footer { /* Footer manejado por @page */ }
-    `;
+// Anuncios de una sección, en el orden recibido o por distrito, empaquetados en las columnas por packer
+function formatPublicationsHtml(pubs, theme, images, districtMode, packer) {
+    const formatPublication = pub => packer.listing ? formatListingHtml(pub, theme) : formatPublicationHtml(pub, theme, images, packer.compact.has(pub));
+    const formatPacked = list => packPublications(list, theme, packer).map(formatPublication).join('');
+    if (districtMode === 'group') {
+        // Un subtítulo por distrito
+        return groupByDistrict(pubs).map(([district, districtPubs]) => {
+            packer.block(packer.headingHeight('district'), true);
+            return `  <h3 class="district-heading">${escapeHtml(district || NO_DISTRICT_LABEL)}</h3>\n` + formatPacked(districtPubs);
+        }).join('');
+    }
+    if (districtMode === 'sort') return formatPacked(groupByDistrict(pubs).flatMap(([, districtPubs]) => districtPubs));
+    return formatPacked(pubs);
+}
+
+// Contenido de una sección: los anuncios de arriba de la categoría, luego sus anuncios ordenados o, si tiene
+// subsecciones, un subtítulo y el contenido de cada una. options.packer sigue el llenado de las columnas.
+// En una categoría en formato de listado, todo lo que no va arriba queda en el bloque de columnas angostas.
+function formatSectionContent(section, theme, images, options) {
+    const { packer } = options;
+    let html = "";
+    if (section.top && section.top.length > 0) {
+        // Primero los banners a todo el ancho, luego los de columna completa (al inicio de una columna) y luego los demás
+        const spanOrder = pub => ({ all: 0, column: 1 })[tierOf(pub, theme).span] ?? 2;
+        const top = sortPublications(section.top, options.sortBy).sort((a, b) => spanOrder(a) - spanOrder(b));
+        const isBanner = pub => spanOrder(pub) === 0;
+        top.filter(isBanner).forEach(pub => {
+            packer.spanAll(packer.heightOf(pub));
+            html += formatPublicationHtml(pub, theme, images);
+        });
+        packPublications(top.filter(pub => !isBanner(pub)), theme, packer).forEach(pub => { html += formatPublicationHtml(pub, theme, images); });
+    }
+    if (section.listing) packer.startListing();
+    const content = section.children.length === 0
+        ? formatPublicationsHtml(sortPublications(section.pubs, options.sortBy), theme, images, options.districtMode, packer)
+        : section.children.map(child => {
+            const heading = SUBSECTION_HEADINGS[child.slugs.length];
+            if (!child.name) return formatSectionContent(child, theme, images, options);
+            packer.block(packer.headingHeight(child.slugs.length), true);
+            return `  <${heading} id="${child.id}">${escapeHtml(child.name)}</${heading.split(' ')[0]}>\n` + formatSectionContent(child, theme, images, options);
+        }).join('');
+    if (!section.listing) return html + content;
+    packer.endListing();
+    return html + `  <div class="listings">\n${content}  </div>\n`;
+}
+
+// El CSS, las fuentes, las plantillas y el diseño (columnas, márgenes, imágenes) vienen del tema (themes/<nombre>)
+function generateMagazineHtml(groupedPubs, magazineTitle, theme, options = {}) {
+    const districtMode = options.districtMode || 'none'; // 'none' | 'sort' | 'group'
+    const colors = options.colors || getPalette(theme, 'default'); // Paleta de la categoría
+    const images = options.images || new Map(); // Referencia -> archivo local (ver prepareImages)
+    const depth = options.depth || SECTION_LEVELS.length; // Niveles de secciones (ver buildSubsections)
+    const listingSlugs = options.listing || []; // Categorías en formato de listado (ver formatListingHtml)
+    // Sin huecos en las columnas: se sigue el llenado desde el título de la revista (ver lib/packing.js)
+    const packer = createThemePacker(theme, { pack: options.pack !== false });
+    packer.spanAll(ESTIMATE.mainTitle);
+    const contentOptions = { districtMode, sortBy: options.sortBy || 'pages', packer };
+    const cssStyles = renderStyles(theme, colors);
 
     let htmlPublicationsContent = "";
     const categoriesInGroup = Object.keys(groupedPubs);
     const isSingleCategory = categoriesInGroup.length === 1;
 
-    for (const categoryName of categoriesInGroup.sort()) { // Siempre ordenar por si acaso
+    for (const categoryName of categoriesInGroup) { // En el orden de la taxonomía (ver groupPubsByCategory)
         const pubsInCategory = groupedPubs[categoryName];
         // Solo añadir sección si hay pubs
         if (pubsInCategory && pubsInCategory.length > 0) {
-             htmlPublicationsContent += `<section class="category-section ${isSingleCategory ? 'single-category' : ''}">\n`;
              // Añadir título de categoría siempre, da contexto
-             htmlPublicationsContent += `  <h2>${categoryName}</h2>\n`;
-             pubsInCategory.forEach(pub => { htmlPublicationsContent += formatPublicationHtml(pub); });
-             htmlPublicationsContent += '</section>\n';
+             packer.spanAll(packer.headingHeight(1));
+             htmlPublicationsContent += renderTemplate(theme.templates.section, {
+                 sectionClass: isSingleCategory ? 'single-category' : '',
+                 sectionAttributes: '',
+                 category: escapeHtml(categoryName),
+                 publications: formatSectionContent(buildCategorySection(categoryName, pubsInCategory, depth, theme, listingSlugs), theme, images, contentOptions)
+             });
         }
     }
 
     const generationDate = new Date().toLocaleDateString('es-PE', { year: 'numeric', month: 'long', day: 'numeric' });
-    const fullHtml = `<!DOCTYPE html>
-<html lang="es">
-<head><meta charset="UTF-8"><title>${magazineTitle}</title><style>${cssStyles}</style></head>
-<body>
-    <div class="magazine-header">${magazineTitle} - Buscadis.com - ${generationDate}</div>
-    <h1 class="main-title">${magazineTitle}</h1>
-    <main class="content-wrapper">${htmlPublicationsContent}</main>
-    <footer></footer>
-</body>
-</html>`;
-    // console.log("Estructura HTML avanzada generada."); // Log menos verboso
-    return fullHtml;
-}
-
-// --- Guardado de PDF (Con log de errores detallado) ---
-async function savePdf(htmlContent, outputFilePath) {
-    let browser = null;
-    const fileNameForLog = path.basename(outputFilePath);
-    try {
-        console.log(`... Iniciando Puppeteer para ${fileNameForLog}`);
-        browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-gpu', '--font-render-hinting=none'] });
-        const page = await browser.newPage();
-        page.on('pageerror', error => console.error(`!! Page Error (${fileNameForLog}): ${error.message}`));
-        page.on('requestfailed', request => console.error(`!! Request Failed (${fileNameForLog}): ${request.url()} - ${request.failure()?.errorText}`)); // Added null check for safety
-        await page.setContent(htmlContent, { waitUntil: 'networkidle0', timeout: 90000 });
-        await page.emulateMediaType('print');
-        await page.pdf({ path: outputFilePath, format: 'A4', printBackground: true, displayHeaderFooter: true, headerTemplate: `<span></span>`, footerTemplate: `<span></span>`, margin: { top: '0cm', right: '0cm', bottom: '0cm', left: '0cm' }, preferCSSPageSize: true });
-        console.log(`-> PDF Generado: ${fileNameForLog}`);
-        return true;
-    } catch (error) {
-        console.error(`\n!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!`);
-        console.error(`!! ERROR generando PDF ${fileNameForLog}:`);
-        console.error(`!! Mensaje: ${error.message}`);
-        console.error(`!! Stack Trace:`);
-        console.error(error.stack); // Imprimir stack trace completo
-        console.error(`!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!\n`);
-        return false;
-    } finally {
-        if (browser) { await browser.close(); }
+    return renderTemplate(theme.templates.document, {
+        title: escapeHtml(magazineTitle),
+        date: generationDate,
+        styles: cssStyles,
+        sections: htmlPublicationsContent,
+        theme: theme.name
+    });
+}
+
+// --- Edición Completa (Portada, Índice y Marcadores) ---
+
+const MONTH_NAMES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'setiembre', 'octubre', 'noviembre', 'diciembre'];
+const CSS_COLOR_VARIABLES = { primary: '--primary-color', secondary: '--secondary-color', accent: '--accent-color', text: '--text-color', textLight: '--text-color-light', textLighter: '--text-color-lighter', border: '--border-color' };
+
+// Colores de la paleta de una categoría como variables CSS, para el atributo style de su sección
+function formatColorVariables(theme, categorySlug) {
+    const palette = theme.palettes[categorySlug] || {};
+    return Object.entries(palette)
+        .filter(([key]) => CSS_COLOR_VARIABLES[key])
+        .map(([key, value]) => `${CSS_COLOR_VARIABLES[key]}: ${value};`).join(' ');
+}
+
+// Texto como cadena CSS entre comillas dobles: comillas, barras, saltos de línea y "<" (que podría cerrar el <style>)
+// van como escapes hexadecimales de CSS
+function cssString(text) {
+    return `"${String(text).replace(/["\\<\n\r]/g, char => `\\${char.charCodeAt(0).toString(16)} `)}"`;
+}
+
+// ["2025-04-24", ..., "2025-04-27"] -> "24, 25, 26 y 27 de abril de 2025" (ver lib/issue.js)
+function formatIssueDates(dates) {
+    const months = [];
+    dates.forEach(date => {
+        const [year, month, day] = date.split('-').map(Number);
+        const last = months[months.length - 1];
+        if (last && last.year === year && last.month === month) last.days.push(day);
+        else months.push({ year, month, days: [day] });
+    });
+    const joinDays = days => days.length > 1 ? `${days.slice(0, -1).join(', ')} y ${days[days.length - 1]}` : `${days[0]}`;
+    return months.map((group, i) => {
+        const next = months[i + 1];
+        const year = !next || next.year !== group.year ? ` de ${group.year}` : '';
+        return `${joinDays(group.days)} de ${MONTH_NAMES[group.month - 1]}${year}`;
+    }).join(', ');
+}
+
+// Marcadores del PDF: las entradas del índice, categorías y subcategorías (Chromium solo crea destinos
+// para los ids enlazados desde el documento, ver lib/pdf-outline.js)
+function buildIssueOutline(sections) {
+    return sections.map(section => ({
+        title: section.name,
+        id: section.id,
+        children: section.children.filter(sub => sub.name).map(sub => ({ title: sub.name, id: sub.id, children: [] }))
+    }));
+}
+
+// Entradas del índice: categorías y subcategorías, con su página si ya se conoce (pageNumbers: id -> página)
+function formatTocEntries(sections, pageNumbers) {
+    const tocEntry = (className, id, label) => `        <li class="toc-entry ${className}"><a href="#${id}"><span class="toc-label">${escapeHtml(label)}</span><span class="toc-page">${pageNumbers.get(id) || ''}</span></a></li>\n`;
+    return sections.map(section => tocEntry('toc-category', section.id, section.name) +
+        section.children.filter(sub => sub.name).map(sub => tocEntry('toc-subcategory', sub.id, sub.name)).join('')).join('');
+}
+
+// Contenido de una categoría de la edición: empieza en una página nueva, debajo de su título
+function formatIssueSection(section, theme, images, contentOptions) {
+    const { packer } = contentOptions;
+    packer.newPage();
+    packer.spanAll(packer.headingHeight(1));
+    return formatSectionContent(section, theme, images, contentOptions);
+}
+
+// HTML de la edición completa, con las secciones de buildCategorySection. pageNumbers (id -> página) sale de un render anterior;
+// vacío en el primero. layout (ver planIssueLayout) trae las alturas medidas, los anuncios compactos y las páginas de relleno.
+function generateIssueHtml(sections, issueInfo, theme, options = {}) {
+    const layout = options.layout || null;
+    const packer = createThemePacker(theme, { measured: layout && layout.measured, compact: layout ? layout.compact : new Set(), pack: options.pack !== false });
+    const contentOptions = { districtMode: options.districtMode || 'none', sortBy: options.sortBy || 'pages', packer };
+    const images = options.images || new Map();
+    const pageNumbers = options.pageNumbers || new Map();
+    const headerPrefix = options.headerPrefix || issueInfo.title;
+    let houseAdIndex = 0;
+
+    let sectionsHtml = "";
+    // Cabecera con la categoría actual: una página con nombre (CSS "page") por categoría
+    let pageRules = "";
+    for (const section of sections) {
+        pageRules += `@page ${section.id} { @top-center { content: ${cssString(`${headerPrefix} · ${section.name}`)}; } }\n`;
+
+        const colorVariables = formatColorVariables(theme, section.slugs[0]);
+        let publications = formatIssueSection(section, theme, images, contentOptions);
+        // Con un plan de páginas, los huecos al final de la categoría se llenan con anuncios de la casa
+        if (layout) {
+            packer.gaps().map(gap => gap - LAYOUT_SAFETY).filter(height => height >= HOUSE_AD_MIN_HEIGHT).forEach(height => {
+                publications += formatHouseAd(theme, houseAdIndex++, `${height.toFixed(1)}pt`);
+            });
+        }
+        sectionsHtml += renderTemplate(theme.templates.section, {
+            sectionClass: 'issue-category',
+            sectionAttributes: ` id="${section.id}" style="page: ${section.id}; ${colorVariables}"`,
+            category: escapeHtml(section.name),
+            publications
+        });
+    }
+    // Páginas que faltan para el presupuesto, cada una con un anuncio de la casa
+    const fillerHeight = packer.column.height - LAYOUT_SAFETY;
+    for (let page = 0; layout && page < layout.fillerPages; page++) {
+        sectionsHtml += `<div class="filler-page" style="height: ${fillerHeight.toFixed(1)}pt">${formatHouseAd(theme, houseAdIndex++, '100%')}</div>\n`;
+    }
+
+    const count = sections.reduce((total, section) => total + section.count, 0);
+    return renderTemplate(theme.templates.issue, {
+        title: escapeHtml(issueInfo.title),
+        styles: `${renderStyles(theme, getPalette(theme, 'default'))}\n${pageRules}`,
+        cover: renderTemplate(theme.templates.cover, {
+            title: escapeHtml(issueInfo.title),
+            issue: escapeHtml(issueInfo.label),
+            dates: issueInfo.dates.length > 0 ? formatIssueDates(issueInfo.dates) : '',
+            count,
+            categories: sections.length
+        }),
+        toc: renderTemplate(theme.templates.toc, { entries: formatTocEntries(sections, pageNumbers) }),
+        sections: sectionsHtml,
+        theme: theme.name
+    });
+}
+
+// --- Presupuesto de Páginas (Edición Completa) ---
+
+const HOUSE_AD_MIN_HEIGHT = 72; // Anuncio de la casa más bajo (1 pulgada): los huecos menores quedan vacíos
+const LAYOUT_SAFETY = 36; // Puntos (media pulgada) que se dejan libres: Chromium puede usar algo más que lo medido, y un
+// relleno que no cabe pasaría a la columna siguiente
+// Bloques del documento de medición, en su orden (ver generateMeasureHtml)
+const MEASURE_SELECTOR = '.issue-toc, .issue-category h2, .subcategory-heading, .subsubcategory-heading, .district-heading, .publication, .listing';
+
+// Anuncio de la casa del tema (rotando entre los que tenga) con el alto dado; vacío si el tema no tiene
+function formatHouseAd(theme, index, height) {
+    if (theme.houseAds.length === 0) return '';
+    const ad = theme.houseAds[index % theme.houseAds.length];
+    return renderTemplate(theme.templates.houseAd, { ...ad, height });
+}
+
+// Documento de medición: el índice y, en una sección de la edición, un subtítulo de cada nivel y cada anuncio
+// completo y compacto; si hay categorías en formato de listado, luego un bloque de listado con un subtítulo de cada
+// nivel y sus anuncios. Sin paginar, el alto de cada bloque es el que ocupa en su columna.
+function generateMeasureHtml(sections, pubs, listingPubs, theme, images) {
+    const { layout } = theme;
+    const columns = layout.columns || 1;
+    const contentWidth = columnSize(layout).width * columns + (columns - 1) * lengthToInches(layout.columnGap || '0');
+    const headings = `  <h3 class="subcategory-heading">Subcategoría</h3>\n  <h4 class="subsubcategory-heading">Sub-subcategoría</h4>\n  <h3 class="district-heading">Distrito</h3>\n`;
+    const cards = pubs.map(pub => formatPublicationHtml(pub, theme, images) + formatPublicationHtml(pub, theme, images, true)).join('');
+    const listings = listingPubs.length > 0 ? `  <div class="listings">\n${headings}${listingPubs.map(pub => formatListingHtml(pub, theme)).join('')}  </div>\n` : '';
+    return renderTemplate(theme.templates.issue, {
+        title: 'Medición',
+        styles: `${renderStyles(theme, getPalette(theme, 'default'))}\nhtml { width: ${contentWidth.toFixed(3)}in; }`,
+        cover: '',
+        toc: renderTemplate(theme.templates.toc, { entries: formatTocEntries(sections, new Map()) }),
+        // El bloque final evita que el último anuncio pierda su margen (.publication:last-child)
+        sections: renderTemplate(theme.templates.section, { sectionClass: 'issue-category', sectionAttributes: '', category: escapeHtml(sections[0].name), publications: `${headings}${cards}<div></div>${listings}` }),
+        theme: theme.name
+    });
+}
+
+// Alto en puntos de los bloques de la edición, medido en Chromium: páginas del índice, títulos por nivel y cada anuncio
+// (completo, compacto y, en las categorías en formato de listado, como listado)
+async function measureIssueBlocks(sections, theme, images, browser) {
+    const pubs = sections.flatMap(section => [...section.top, ...section.pubs]);
+    const listingPubs = sections.filter(section => section.listing).flatMap(section => section.pubs);
+    const heights = await measureHeights(generateMeasureHtml(sections, pubs, listingPubs, theme, images), MEASURE_SELECTOR, { browser });
+    const expected = 5 + 2 * pubs.length + (listingPubs.length > 0 ? 3 + listingPubs.length : 0);
+    if (heights.length !== expected) throw new Error(`el tema "${theme.name}" no tiene los bloques que se miden (${heights.length} de ${expected}: ${MEASURE_SELECTOR})`);
+    const [toc, category, subcategory, subSubcategory, district, ...blocks] = heights;
+    const cards = blocks.slice(0, 2 * pubs.length);
+    const [listingSubcategory, listingSubSubcategory, listingDistrict, ...listings] = blocks.slice(2 * pubs.length);
+    const cardHeights = new Map(pubs.map((pub, index) => [pub, { full: cards[2 * index], compact: cards[2 * index + 1] }]));
+    listingPubs.forEach((pub, index) => { cardHeights.get(pub).listing = listings[index]; });
+    const pageHeight = columnSize(theme.layout).height * PT_PER_INCH;
+    return {
+        tocPages: Math.max(1, Math.ceil(toc / pageHeight)),
+        headings: { 1: category, 2: subcategory, 3: subSubcategory, district },
+        listingHeadings: { 2: listingSubcategory, 3: listingSubSubcategory, district: listingDistrict },
+        cards: cardHeights
+    };
+}
+
+// Páginas que ocupa una categoría con los anuncios de compact en formato compacto (ver formatIssueSection)
+function countSectionPages(section, theme, options, measured, compact) {
+    const packer = createThemePacker(theme, { measured, compact, pack: options.pack !== false });
+    formatIssueSection(section, theme, new Map(), { districtMode: options.districtMode || 'none', sortBy: options.sortBy || 'pages', packer });
+    return packer.pageCount();
+}
+
+// Plan de páginas de la edición: portada, índice y categorías. Sin presupuesto (budget) se redondea al múltiplo de
+// `multiple` siguiente; si no entra, los anuncios estándar pasan a formato compacto, primero los que más espacio
+// ahorran (los de las categorías en formato de listado ya son solo texto). Lo que sobra se llena con anuncios de la
+// casa; lo que aun así no entra es el desborde (overflow).
+function planIssueLayout(sections, theme, options, measured, { budget = null, multiple = 4 } = {}) {
+    const candidates = sections.filter(section => !section.listing).flatMap(section => section.pubs)
+        .filter(pub => tierOf(pub, theme).name === DEFAULT_TIER)
+        .map(pub => ({ pub, saving: measured.cards.get(pub).full - measured.cards.get(pub).compact }))
+        .sort((a, b) => b.saving - a.saving)
+        .map(({ pub }) => pub);
+    const layoutWith = compactCount => {
+        const compact = new Set(candidates.slice(0, compactCount));
+        const categories = sections.map(section => ({ name: section.name, pages: countSectionPages(section, theme, options, measured, compact), listing: section.listing }));
+        return { compact, categories, pages: 1 + measured.tocPages + categories.reduce((total, category) => total + category.pages, 0) };
+    };
+
+    let layout = layoutWith(0);
+    const fullPages = layout.pages;
+    const target = budget || Math.ceil(fullPages / multiple) * multiple;
+    if (layout.pages > target && candidates.length > 0) {
+        // El menor número de anuncios compactos con el que entra (búsqueda binaria)
+        layout = layoutWith(candidates.length);
+        if (layout.pages <= target) {
+            let low = 1;
+            let high = candidates.length;
+            while (low < high) {
+                const middle = Math.floor((low + high) / 2);
+                if (layoutWith(middle).pages <= target) high = middle;
+                else low = middle + 1;
+            }
+            layout = layoutWith(low);
+        }
+    }
+    return { ...layout, measured, target, fullPages, fillerPages: Math.max(0, target - layout.pages), overflow: Math.max(0, layout.pages - target) };
+}
+
+// Las páginas del índice se leen del PDF (destinos con nombre) y se vuelve a renderizar hasta que coinciden.
+// Con un plan de páginas, si el PDF no tiene las del presupuesto se corrigen las páginas de relleno (van al final y
+// no cambian el índice); si aun así no coinciden, se avisa: la imprenta necesita ese número exacto.
+async function finishIssuePdf(pdf, renderHtml, buildHtml, outline, title, layout = null) {
+    let current = pdf;
+    let pageNumbers = await readDestinations(current);
+    for (let pass = 0; pass < 3; pass++) {
+        current = await renderHtml(buildHtml(pageNumbers, layout && layout.fillerPages));
+        const rendered = await readDestinations(current);
+        const isStable = [...pageNumbers].every(([id, page]) => rendered.get(id) === page) && rendered.size === pageNumbers.size;
+        pageNumbers = rendered;
+        if (isStable) break;
+    }
+    if (layout) {
+        let pageCount = (await PDFDocument.load(current)).getPageCount();
+        let fillerPages = layout.fillerPages;
+        for (let pass = 0; pass < 2 && pageCount !== layout.target; pass++) {
+            const corrected = Math.max(0, fillerPages + layout.target - pageCount);
+            if (corrected === fillerPages) break;
+            fillerPages = corrected;
+            current = await renderHtml(buildHtml(pageNumbers, fillerPages));
+            pageCount = (await PDFDocument.load(current)).getPageCount();
+        }
+        if (pageCount !== layout.target) console.warn(`! Warn: La edición completa tiene ${pageCount} páginas y el presupuesto es de ${layout.target}.`);
+    }
+    return addOutline(current, outline, { title });
+}
+
+// --- Edición Web (Una Página por Categoría, con Búsqueda y Filtros) ---
+
+const WEB_STYLESHEET = 'edicion.css';
+const WEB_SCRIPT = 'edicion.js';
+const WEB_IMAGES_DIR = 'imagenes';
+const WEB_SECTION_DEPTH = 2; // En pantalla las sub-subcategorías no llevan subtítulo
+
+// Texto de búsqueda de un anuncio: minúsculas y sin tildes, igual que la consulta en el navegador (ver web.js del tema)
+function normalizeSearchText(text) {
+    return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function webPageOf(section) {
+    return `${section.slugs[0]}.html`;
+}
+
+// Un anuncio de la edición web: la misma tarjeta que en el PDF, dentro de un elemento con los datos de los filtros.
+// El id pub-<_id> del anuncio sirve de ancla (categoria.html#pub-<_id>).
+function formatWebItem(pub, theme, images) {
+    const price = resolvePrice(pub);
+    const location = pub.location || {};
+    const description = sanitizeText(pub.description || '').replace(/<[^>]+>/g, ' ');
+    const attributes = getPrintableAttributes(pub).map(({ label, value }) => `${label} ${value}`);
+    const searchText = [plainTitle(pub), description, ...attributes, districtOf(pub), location.address, location.referencePoint, (pub.contact || {}).name].filter(Boolean).join(' ');
+    const data = {
+        subcategory: pub.subcategorySlug || '',
+        district: districtOf(pub) || '',
+        price: price.amount === null ? '' : price.amount,
+        currency: price.currency || '',
+        search: normalizeSearchText(searchText)
+    };
+    const dataAttributes = Object.entries(data).map(([key, value]) => ` data-${key}="${escapeHtml(value)}"`).join('');
+    return `      <div class="web-item tier-${tierOf(pub, theme).name}"${dataAttributes}>${formatPublicationHtml(pub, theme, images)}</div>\n`;
+}
+
+// Grupo de anuncios con su subtítulo (los filtros ocultan el grupo entero si no queda ninguno visible)
+function formatWebGroup(pubs, theme, images, heading = '') {
+    if (pubs.length === 0) return '';
+    return `    <section class="web-group">\n${heading}      <div class="web-items">\n${pubs.map(pub => formatWebItem(pub, theme, images)).join('')}      </div>\n    </section>\n`;
+}
+
+// Página de una categoría: primero los anuncios de arriba de la categoría y luego un grupo por subcategoría
+function formatWebCategoryPage(section, sections, issueInfo, theme, images, sortBy) {
+    const allPubs = [...section.top, ...section.pubs];
+    let content = formatWebGroup(sortPublications(section.top, sortBy), theme, images);
+    const groups = section.children.length > 0 ? section.children : [{ name: null, pubs: section.pubs }];
+    groups.forEach(child => {
+        const heading = child.name ? `      <h3 class="subcategory-heading" id="${child.id}">${escapeHtml(child.name)}</h3>\n` : '';
+        content += formatWebGroup(sortPublications(child.pubs, sortBy), theme, images, heading);
+    });
+
+    const subcategorySlugs = [...new Set(allPubs.map(pub => pub.subcategorySlug).filter(Boolean))]
+        .sort((a, b) => compareSections([...section.slugs, a], [...section.slugs, b]));
+    const subcategoryOptions = subcategorySlugs.map(slug => `<option value="${escapeHtml(slug)}">${escapeHtml(sectionName([...section.slugs, slug]))}</option>`).join('');
+    const districtOptions = groupByDistrict(allPubs).filter(([district]) => district)
+        .map(([district]) => `<option value="${escapeHtml(district)}">${escapeHtml(district)}</option>`).join('');
+    const nav = `<a href="index.html">Inicio</a>` + sections.map(other =>
+        `<a href="${webPageOf(other)}"${other === section ? ' aria-current="page"' : ''}>${escapeHtml(other.name)}</a>`).join('');
+
+    return renderTemplate(theme.templates.webCategory, {
+        title: escapeHtml(issueInfo.title),
+        issue: escapeHtml(issueInfo.label),
+        category: escapeHtml(section.name),
+        colorVariables: formatColorVariables(theme, section.slugs[0]),
+        nav,
+        subcategoryOptions,
+        districtOptions,
+        count: allPubs.length,
+        sections: content,
+        stylesheet: WEB_STYLESHEET,
+        script: WEB_SCRIPT,
+        theme: theme.name
+    });
+}
+
+function formatWebIndexPage(sections, issueInfo, theme) {
+    const entries = sections.map(section => `            <li style="${formatColorVariables(theme, section.slugs[0])}"><a href="${webPageOf(section)}"><span class="web-category-name">${escapeHtml(section.name)}</span><span class="web-category-count">${section.count} ${section.count === 1 ? 'anuncio' : 'anuncios'}</span></a></li>\n`).join('');
+    return renderTemplate(theme.templates.webIndex, {
+        title: escapeHtml(issueInfo.title),
+        issue: escapeHtml(issueInfo.label),
+        dates: issueInfo.dates.length > 0 ? formatIssueDates(issueInfo.dates) : '',
+        count: sections.reduce((total, section) => total + section.count, 0),
+        categories: sections.length,
+        entries,
+        stylesheet: WEB_STYLESHEET,
+        theme: theme.name
+    });
+}
+
+// Edición web estática en directory: index.html, una página por categoría (secciones de buildCategorySection), la hoja
+// de estilos y el script del tema, y las fotos en tamaños web (lib/images.js). photos: referencia -> archivo local.
+// En pantalla no hacen falta códigos QR: los teléfonos ya son links de WhatsApp. Devuelve las páginas escritas.
+async function writeWebEdition(sections, issueInfo, theme, { directory, sortBy = 'pages', photos = new Map() }) {
+    const webTheme = { ...theme, layout: { ...theme.layout, qrCodes: 'none' } };
+    await fs.mkdir(directory, { recursive: true });
+    const processed = await processWebImages(photos, path.join(directory, WEB_IMAGES_DIR));
+    const images = new Map([...processed.images].map(([reference, { sizes }]) => {
+        const urls = Object.fromEntries(Object.entries(sizes).map(([name, file]) => [name, `${WEB_IMAGES_DIR}/${file}`]));
+        return [reference, { src: urls.thumb, srcset: `${urls.thumb} ${WEB_SIZES.thumb}w, ${urls.medium} ${WEB_SIZES.medium}w` }];
+    }));
+    processed.report.filter(entry => entry.status === 'broken').forEach(({ reference, message }) => console.warn(`   ! Imagen ${reference}: ${message}`));
+
+    await fs.writeFile(path.join(directory, WEB_STYLESHEET), renderStyles(webTheme, getPalette(webTheme, 'default'), [...webTheme.styles, ...webTheme.webStyles]), 'utf-8');
+    await fs.writeFile(path.join(directory, WEB_SCRIPT), webTheme.webScripts.join('\n'), 'utf-8');
+    const pages = ['index.html'];
+    await fs.writeFile(path.join(directory, 'index.html'), formatWebIndexPage(sections, issueInfo, webTheme), 'utf-8');
+    for (const section of sections) {
+        pages.push(webPageOf(section));
+        await fs.writeFile(path.join(directory, webPageOf(section)), formatWebCategoryPage(section, sections, issueInfo, webTheme, images, sortBy), 'utf-8');
+    }
+    return { pages, images: images.size, processedImages: processed.processed };
+}
+
+// --- Exportaciones (Planillas, JSON Lines y Feeds) ---
+
+const EXPORTS_DIR = 'exportaciones';
+
+// Número corto de un anuncio ya subido, del final de su url_path ("/inmuebles/casas/1234-casa-en-wanchaq")
+function shortIdOf(urlPath) {
+    const match = /\/(\d+)-[^/]*$/.exec(urlPath || '');
+    return match ? Number(match[1]) : null;
+}
+
+// Documento de un anuncio tal como lo guarda el uploader (publication-uploader/prepare.js), sin tocar la base de datos:
+// el anuncio que se imprime (con la categoría del clasificador y fusionado con sus duplicados), sin el _id y el url_path
+// que se le dieron para la revista. Los anuncios que aún no se subieron no tienen número corto ni url_path.
+function prepareExportDocument(record, issueCode) {
+    const { original, identity, file, classification } = record;
+    const { _id, url_path, ...publication } = record.publication;
+    if (original._id) publication._id = original._id;
+    const shortId = shortIdOf(record.urlPath);
+    const expiration = computeExpiration(publication.categorySlug, issueCode);
+    const document = preparePublicationForInsertion(
+        publication,
+        { ...identity, shortId },
+        { issueCode, file, runId: null, classification, webImages: null },
+        { ...expiration, status: statusForImport({ ...expiration, isDraft: false }) }
+    );
+    if (shortId === null) document.url_path = null;
+    return document;
+}
+
+// Escribe en <salida>/exportaciones las exportaciones pedidas de la edición: planillas (csv, xlsx) con una fila por
+// anuncio, los documentos del uploader (jsonl) y un feed por categoría (rss, atom) en feeds/. records es el registro de
+// origen de cada publicación (ver mergeDuplicateRecords). Devuelve las rutas escritas.
+async function writeExports(formats, groupedData, publications, records, issueInfo, { directory }) {
+    const baseName = `anuncios_${issueInfo.code.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/_+$/, '')}`;
+    const entries = new Map(publications.map((pub, i) => [pub, {
+        publication: pub,
+        id: records[i].identity.id,
+        file: records[i].file,
+        url: pub.url_path ? publicationUrl(pub.url_path) : null
+    }]));
+    const written = [];
+    await fs.mkdir(directory, { recursive: true });
+
+    if (formats.includes('csv') || formats.includes('xlsx')) {
+        // En el orden de la revista: las columnas de atributos de cada categoría quedan juntas
+        const table = buildRows(Object.values(groupedData).flat().map(pub => entries.get(pub)));
+        if (formats.includes('csv')) {
+            const csvPath = path.join(directory, `${baseName}.csv`);
+            await fs.writeFile(csvPath, toCsv(table), 'utf-8');
+            written.push(csvPath);
+        }
+        if (formats.includes('xlsx')) {
+            const xlsxPath = path.join(directory, `${baseName}.xlsx`);
+            await writeXlsx(xlsxPath, table, { sheetName: issueInfo.code });
+            written.push(xlsxPath);
+        }
     }
+    if (formats.includes('jsonl')) {
+        const jsonlPath = path.join(directory, `${baseName}.jsonl`);
+        const documents = records.map(record => prepareExportDocument(record, issueInfo.code));
+        await fs.writeFile(jsonlPath, toJsonLines(documents), 'utf-8');
+        written.push(jsonlPath);
+    }
+
+    const feedFormats = [['rss', renderRss], ['atom', renderAtom]].filter(([format]) => formats.includes(format));
+    if (feedFormats.length > 0) {
+        const feedsDirectory = path.join(directory, 'feeds');
+        await fs.mkdir(feedsDirectory, { recursive: true });
+        const issueDate = issueInfo.dates.length > 0 ? new Date(`${issueInfo.dates[0]}T00:00:00-05:00`) : new Date();
+        for (const [categoryName, pubs] of Object.entries(groupedData)) {
+            const categorySlug = pubs[0].categorySlug || NO_CATEGORY_SLUG;
+            const feed = buildFeed(categorySlug, pubs.map(pub => entries.get(pub)), { title: `${issueInfo.title} - ${categoryName}`, issueDate });
+            for (const [format, render] of feedFormats) {
+                const feedPath = path.join(feedsDirectory, `${categorySlug}.${format}.xml`);
+                await fs.writeFile(feedPath, render(feed), 'utf-8');
+                written.push(feedPath);
+            }
+        }
+    }
+    return written;
 }
 
 // --- Ejecución Principal (Carga Directorio, Genera por Categoría) ---
+// Un solo navegador por ejecución: lo abre el plan de páginas y lo reutilizan los PDFs; se cierra al terminar
 async function main() {
+    const session = { browser: null, launchMs: 0 };
+    try {
+        await generate(session);
+    } finally {
+        if (session.browser) await closeBrowser(session.browser);
+    }
+}
+
+async function generate(session) {
     const argv = yargs(hideBin(process.argv))
         .scriptName("generate_pdf_magazine.js")
         .usage('Uso: $0 [opciones] <directorio_con_json>')
-        .command('$0 <inputDir>', 'Genera PDFs de revista (uno por categoría) desde archivos JSON en un directorio', (yargs) => {
+        .command('$0 <inputDir>', 'Genera la revista en PDF (edición completa o un PDF por categoría) desde archivos JSON en un directorio', (yargs) => {
              yargs.positional('inputDir', { describe: 'Directorio que contiene los archivos JSON', type: 'string', normalize: true })
          })
         .option('o', { alias: 'outputDir', description: 'Directorio donde se guardarán los PDFs', type: 'string', default: './revistas_generadas', normalize: true })
         .option('t', { alias: 'titlePrefix', description: 'Prefijo para el título de cada revista PDF', type: 'string', default: 'Buscadis Clasificados' })
+        .option('strict', { description: 'Abortar si alguna publicación no cumple el esquema o falta algún recurso (por defecto se omiten)', type: 'boolean', default: false })
+        .option('classify', { description: 'Completar categorías faltantes con el clasificador (--no-classify para desactivar)', type: 'boolean', default: true })
+        .option('district-mode', { description: 'Orden por distrito dentro de cada categoría: none (orden de las páginas), sort (ordenar) o group (subtítulo por distrito)', choices: ['none', 'sort', 'group'], default: 'none' })
+        .option('sort', { description: 'Orden de los anuncios dentro de cada sección: pages (orden de las páginas), price (por moneda, soles y luego dólares, y de menor a mayor), district (distrito), date (más recientes primero) o featured (destacados primero)', choices: ['pages', ...Object.keys(SORT_KEYS)], default: 'pages' })
+        .option('section-depth', { description: 'Niveles de secciones: 1 (solo categorías), 2 (subcategorías) o 3 (también sub-subcategorías)', type: 'number', choices: [1, 2, 3], default: 3 })
+        .option('listing', { description: 'Categorías que se imprimen como listado solo texto, al estilo de los clasificados del periódico (título en negrita, atributos clave en línea, teléfono al final, columnas angostas): slugs, p. ej. --listing inmuebles empleos', type: 'array', string: true, default: [] })
+        .option('qr', { description: 'Código QR en cada anuncio (salvo compactos y listados): whatsapp (chat del primer celular con el mensaje predeterminado), web (su página en buscadis.com, si ya se subió con el uploader) o none; por defecto, layout.qrCodes del tema', choices: ['none', 'whatsapp', 'web'] })
+        .option('manifests-dir', { description: 'Manifiestos del uploader de donde se leen las páginas de los anuncios en buscadis.com (--qr web)', type: 'string', default: MANIFESTS_DIR, normalize: true })
+        .option('pack', { description: 'Adelantar anuncios más pequeños para no dejar huecos en las columnas (--no-pack para mantener el orden exacto)', type: 'boolean', default: true })
+        .option('theme', { description: `Tema de la revista: nombre en ./themes (${listThemes().join(', ')}), ruta a un directorio con theme.json o paquete buscadis-theme-<nombre>`, type: 'string', default: DEFAULT_THEME })
+        .option('assets-dir', { description: 'Directorio de caché de las imágenes (descargadas y procesadas para impresión)', type: 'string', default: DEFAULT_CACHE_DIR, normalize: true })
+        .option('fetch', { description: 'Descargar las imágenes remotas que no estén en caché (--no-fetch para trabajar sin red)', type: 'boolean', default: true })
+        .option('pages', { description: 'Presupuesto de páginas de la edición completa (múltiplo de --page-multiple); si no entra, los anuncios estándar pasan a formato compacto', type: 'number' })
+        .option('page-multiple', { description: 'Las páginas de la edición completa se completan hasta un múltiplo de este número (pliegos de imprenta) con anuncios de la casa', type: 'number', default: 4 })
+        .option('output-mode', { description: 'Qué generar: issue (edición completa con portada, índice y marcadores), categories (un PDF por categoría), both (los dos), web (edición web en <salida>/web: una página por categoría con búsqueda y filtros, para el celular), all (todo) o none (solo las exportaciones de --export)', choices: ['issue', 'categories', 'both', 'web', 'all', 'none'], default: 'issue' })
+        .option('export', { description: `Exportar también los anuncios de la edición a <salida>/${EXPORTS_DIR}: csv y xlsx (una fila por anuncio, con una columna por atributo), jsonl (los documentos como los guarda el uploader) y rss o atom (un feed por categoría); p. ej. --export csv rss`, type: 'array', string: true, choices: EXPORT_FORMATS, default: [] })
+        .option('concurrency', { description: 'Categorías que se renderizan a la vez en el mismo navegador', type: 'number', default: 2 })
+        .option('retries', { description: 'Reintentos de una categoría cuya página falla', type: 'number', default: 2 })
+        .option('merge-duplicates', { description: 'Fusionar anuncios repetidos en uno solo (--no-merge-duplicates para solo reportarlos)', type: 'boolean', default: true })
+        .check(argv => {
+            if (!(argv.pageMultiple >= 1) || !Number.isInteger(argv.pageMultiple)) throw new Error('--page-multiple debe ser un entero positivo');
+            if (argv.pages !== undefined && (!Number.isInteger(argv.pages) || argv.pages <= 0 || argv.pages % argv.pageMultiple !== 0)) throw new Error(`--pages debe ser un múltiplo de ${argv.pageMultiple}`);
+            if (!Number.isInteger(argv.concurrency) || argv.concurrency < 1) throw new Error('--concurrency debe ser un entero mayor o igual a 1');
+            return true;
+        })
         .help('h').alias('h', 'help').strict()
         .fail((msg, err, yargs) => { console.error("Error:", msg); console.error("\n", yargs.help()); process.exit(1); })
         .parse();
@@ -305,99 +1025,289 @@ async function main() {
     const inputDirectory = argv.inputDir;
     const outputDirectory = argv.outputDir;
     const titlePrefix = argv.titlePrefix;
+    const isStrict = argv.strict;
+    const shouldMergeDuplicates = argv.mergeDuplicates;
+    const districtMode = argv.districtMode;
+    const outputMode = argv.outputMode;
+    const wantsIssue = ['issue', 'both', 'all'].includes(outputMode);
+    const wantsCategories = ['categories', 'both', 'all'].includes(outputMode);
+    const wantsWeb = ['web', 'all'].includes(outputMode);
+    const exportFormats = argv.export;
+    const sortBy = argv.sort;
+    const sectionDepth = argv.sectionDepth;
+    const listingSlugs = argv.listing;
 
-    let allPublications = [];
-    let jsonFilesToProcess = [];
-    let filesWithError = [];
+    let theme;
+    try {
+        theme = loadTheme(argv.theme);
+        if (argv.qr) theme = { ...theme, layout: { ...theme.layout, qrCodes: argv.qr } };
+        console.log(`Tema: ${theme.name}${theme.description ? ` (${theme.description})` : ''}`);
+    } catch (error) {
+        console.error(`Error al cargar el tema "${argv.theme}": ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
 
+    let loaded;
     console.log(`Buscando archivos JSON en: ${inputDirectory}`);
     try {
         await fs.mkdir(outputDirectory, { recursive: true }); // Crear directorio de salida
-        const directoryEntries = await fs.readdir(inputDirectory, { withFileTypes: true });
-        jsonFilesToProcess = directoryEntries
-            .filter(dirent => dirent.isFile() && path.extname(dirent.name).toLowerCase() === '.json')
-            .map(dirent => path.join(inputDirectory, dirent.name))
-            .sort((a, b) => { /* ... ordenamiento numérico ... */
-                const numA = parseInt(path.basename(a).match(/(\d+)/)?.[1] || 0);
-                const numB = parseInt(path.basename(b).match(/(\d+)/)?.[1] || 0);
-                return numA - numB;
-             });
-        if (jsonFilesToProcess.length === 0) throw new Error(`No se encontraron archivos .json en ${inputDirectory}`);
-        console.log(`Se encontraron ${jsonFilesToProcess.length} archivos JSON.`);
+        // Categorías faltantes: las completa el clasificador entrenado con train_classifier.js
+        const classifier = argv.classify ? loadModel() : null;
+        if (argv.classify && !classifier) console.warn("! Warn: No hay modelo del clasificador (ejecuta train_classifier.js); no se completarán categorías.");
+        loaded = await loadPublicationDirectory(inputDirectory, { classifier });
+        if (loaded.files.length === 0) throw new Error(`No se encontraron archivos .json en ${inputDirectory}`);
+        console.log(`Se encontraron ${loaded.files.length} archivos JSON.`);
     } catch (error) {
         if (error.code === 'ENOENT') { console.error(`Error: El directorio no existe o no es accesible: ${inputDirectory}`); }
         else { console.error(`Error al leer directorio ${inputDirectory}:`, error); }
         return;
     }
 
-    console.log("\n--- Cargando Publicaciones ---");
-    for (const [index, jsonFilePath] of jsonFilesToProcess.entries()) {
-        const fileName = path.basename(jsonFilePath);
-        console.log(`[${index + 1}/${jsonFilesToProcess.length}] Procesando: ${fileName}...`);
-        try {
-            const pubsData = await loadJsonData(jsonFilePath);
-            if (pubsData) {
-                allPublications = allPublications.concat(pubsData);
-                console.log(`   -> OK (${pubsData.length} pubs)`);
-            } else {
-                 console.warn(`   ! WARN: ${fileName} sin datos válidos o error al cargar.`);
-                 filesWithError.push(fileName);
-            }
-        } catch (loadError) {
-             console.error(`   !! FATAL ERROR cargando ${fileName}: ${loadError.message}`);
-             filesWithError.push(fileName);
-             // Considerar salir si la carga es crítica: // process.exit(1);
-        }
+    console.log("\n--- Cargando y Validando Publicaciones ---");
+    const filesWithError = loaded.fileErrors.map(({ file, error }) => {
+        console.error(`!! Error procesando ${file}: ${error}`);
+        return file;
+    });
+    const invalidRecords = loaded.records.filter(record => record.errors.length > 0);
+    invalidRecords.forEach(record => record.errors.forEach(error => console.error(`   !! ${error}`)));
+    loaded.records.forEach(record => record.warnings.forEach(warning => console.warn(`   ! Warn: ${warning}`)));
+    loaded.records.filter(record => record.classification).forEach(({ file, index, publication, classification }) => {
+        const labels = classification.filled.map(field => publication[field]).join(' > ');
+        console.log(`   ~ ${file}[${index}]: categoría completada como ${labels} (confianza ${Math.round(classification.confidence * 100)}%)`);
+    });
+    // Página de cada anuncio en buscadis.com (url_path) para los códigos QR y las exportaciones: la genera el uploader al
+    // subir la edición y se lee de sus manifiestos por el ID estable del anuncio (el mismo que calcula el uploader, ver
+    // lib/identity.js)
+    const issueCode = issueCodeFromDirectory(inputDirectory);
+    const urlPaths = theme.layout.qrCodes === 'web' || exportFormats.length > 0 ? loadUrlPaths(issueCode, argv.manifestsDir) : new Map();
+    const identities = assignIdentities(issueCode, loaded.records);
+    // Los anuncios sin _id (los que no vienen del sitio) usan su ID estable: es el ancla pub-<_id> de su artículo
+    const validRecords = loaded.records
+        .map((record, i) => {
+            const publication = { ...record.publication, _id: record.publication._id || identities[i].id };
+            if (urlPaths.has(identities[i].id)) publication.url_path = urlPaths.get(identities[i].id);
+            // Para las exportaciones: el anuncio tal como está en la página, su identidad y su página en el sitio
+            return { ...record, publication, original: record.publication, identity: identities[i], urlPath: publication.url_path };
+        })
+        .filter(record => record.errors.length === 0);
+
+    // Anuncios repetidos en varias páginas: se fusionan y se reportan
+    const { publications: mergedPublications, records: mergedRecords, report: duplicatesReport } = mergeDuplicateRecords(validRecords);
+    const allPublications = shouldMergeDuplicates ? mergedPublications : validRecords.map(record => record.publication);
+    const allRecords = shouldMergeDuplicates ? mergedRecords : validRecords;
+    if (duplicatesReport.length > 0) {
+        console.log(`\n--- Anuncios Duplicados (${duplicatesReport.length}) ---`);
+        duplicatesReport.forEach(({ title, similarity, sources }) => {
+            console.log(` = "${title}": ${sources.join(' + ')} (similitud ${Math.round(similarity * 100)}%)`);
+        });
+        const reportPath = path.join(outputDirectory, 'duplicados.json');
+        await fs.writeFile(reportPath, JSON.stringify(duplicatesReport, null, 2), 'utf-8');
+        console.log(` Reporte guardado en: ${reportPath}${shouldMergeDuplicates ? '' : ' (no se fusionaron)'}`);
     }
 
-    if (allPublications.length === 0) { console.log("\nNo se cargaron publicaciones válidas. Abortando."); return; }
     console.log(`\n--- Carga Finalizada ---`);
-    console.log(`Total de publicaciones válidas cargadas: ${allPublications.length}`);
+    console.log(`Total de publicaciones válidas cargadas: ${validRecords.length}`);
+    if (shouldMergeDuplicates && duplicatesReport.length > 0) console.log(`Publicaciones tras fusionar duplicados: ${allPublications.length}`);
     if (filesWithError.length > 0) console.warn(`Archivos con errores o sin datos: ${filesWithError.join(', ')}`);
+    if (invalidRecords.length > 0) {
+        console.warn(`Publicaciones inválidas omitidas: ${invalidRecords.length}`);
+        if (isStrict) { console.error("Modo estricto: corrige los errores de validación antes de generar."); process.exitCode = 1; return; }
+    }
+    if (allPublications.length === 0) { console.log("\nNo se cargaron publicaciones válidas. Abortando."); return; }
+    if (theme.layout.qrCodes === 'web') {
+        const withUrl = allPublications.filter(pub => pub.url_path).length;
+        console.log(`Anuncios con página en buscadis.com (código QR): ${withUrl} de ${allPublications.length}`);
+        if (withUrl < allPublications.length) console.warn(`! Warn: ${allPublications.length - withUrl} anuncios no figuran en los manifiestos de ${argv.manifestsDir} (¿falta subir la edición ${issueCode}?); se imprimirán sin código QR.`);
+    }
 
     const groupedData = groupPubsByCategory(allPublications);
-
-    console.log("\n--- Iniciando Generación de PDFs por Categoría ---");
-    let successCount = 0;
-    let errorCount = 0;
-    const totalCategories = Object.keys(groupedData).length;
-    const categoryColors = { // Paleta de colores por categoría (Ejemplo)
-        'Inmuebles': { primary: '#2a9d8f', accent: '#264653' },
-        'Vehículos': { primary: '#e76f51', accent: '#f4a261' },
-        'Empleos':   { primary: '#0077b6', accent: '#00b4d8' },
-        'Servicios': { primary: '#8e44ad', accent: '#9b59b6' },
-        'Productos': { primary: '#34495e', accent: '#2c3e50' },
-        'Mascotas':  { primary: '#e07a5f', accent: '#f2cc8f' },
-        'Comunidad': { primary: '#577590', accent: '#43aa8b' },
-        'Negocios':  { primary: '#4d908e', accent: '#f9c74f' },
-        'default':   { primary: '#004a8f', accent: '#007bff' }
+    const parsedIssue = parseIssueCode(issueCode);
+    const issueInfo = {
+        title: titlePrefix,
+        code: issueCode,
+        number: parsedIssue ? parsedIssue.number : null,
+        label: parsedIssue && parsedIssue.number ? `Edición N° ${parsedIssue.number}` : issueCode,
+        dates: parsedIssue ? parsedIssue.dates : []
     };
 
-    for (const [categoryName, pubsInCategory] of Object.entries(groupedData)) {
-        const categoryIndex = successCount + errorCount + 1;
-        console.log(`\n[${categoryIndex}/${totalCategories}] Procesando categoría: ${categoryName} (${pubsInCategory.length} pubs)`);
+    // Exportaciones: solo necesitan los anuncios cargados, ni imágenes ni navegador
+    if (exportFormats.length > 0) {
+        console.log("\n--- Exportaciones ---");
+        try {
+            const exportsDirectory = path.join(outputDirectory, EXPORTS_DIR);
+            const written = await writeExports(exportFormats, groupedData, allPublications, allRecords, issueInfo, { directory: exportsDirectory });
+            const feeds = written.filter(file => path.basename(path.dirname(file)) === 'feeds').length;
+            written.filter(file => path.basename(path.dirname(file)) !== 'feeds').forEach(file => console.log(`-> Exportado: ${file} (${allPublications.length} anuncios)`));
+            if (feeds > 0) console.log(`-> Feeds: ${feeds} en ${path.join(exportsDirectory, 'feeds')}`);
+            if (exportFormats.includes('jsonl') && allRecords.some(record => !record.urlPath)) console.warn(`! Warn: ${allRecords.filter(record => !record.urlPath).length} anuncios aún no se subieron con el uploader: se exportan sin id_corto ni url_path.`);
+        } catch (error) {
+            console.error(`!! No se pudieron escribir las exportaciones: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+    if (outputMode === 'none') {
+        if (exportFormats.length === 0) console.log(" Nada que generar: --output-mode none sin --export.");
+        return;
+    }
+
+    // Recursos (fuentes del tema e imágenes): se reportan antes de generar, nunca se cargan desde la red al renderizar
+    console.log("\n--- Verificando Recursos ---");
+    const imageReferences = allPublications.map(pub => (pub.images || [])[0]).filter(Boolean);
+    const prepared = await prepareImages(theme.layout.showImages === false ? [] : imageReferences, { cacheDir: argv.assetsDir, fetchRemote: argv.fetch });
+    // Imágenes orientadas y recortadas al espacio del tema a 300 dpi (en caché por contenido)
+    const slot = printSlot(theme.layout);
+    const printed = await processPrintImages(prepared.images, slot, { cacheDir: argv.assetsDir });
+    const imageReport = [...prepared.missing.map(({ reference, message }) => ({ reference, status: 'missing', message })), ...printed.report];
+    const brokenImages = printed.report.filter(entry => entry.status === 'broken').map(({ reference, message }) => ({ type: 'image', reference, message }));
+    const lowResolutionImages = printed.report.filter(entry => entry.status === 'low-resolution');
+    const missingAssets = [...checkThemeAssets(theme), ...prepared.missing, ...brokenImages];
+    console.log(` Imágenes disponibles: ${printed.images.size}${prepared.downloaded > 0 ? ` (${prepared.downloaded} descargadas en ${argv.assetsDir})` : ''}, procesadas: ${printed.processed} (${slot.width}x${slot.height} px), en caché: ${printed.images.size - printed.processed}`);
+    if (lowResolutionImages.length > 0) {
+        console.warn(` Imágenes de baja resolución: ${lowResolutionImages.length}`);
+        lowResolutionImages.forEach(({ reference, message }) => console.warn(`   ! Imagen ${reference}: ${message}`));
+    }
+    if (imageReport.length > 0) {
+        const imageReportPath = path.join(outputDirectory, 'reporte_imagenes.json');
+        await fs.writeFile(imageReportPath, JSON.stringify(imageReport, null, 2), 'utf-8');
+        console.log(` Reporte de imágenes guardado en: ${imageReportPath}`);
+    }
+    if (missingAssets.length > 0) {
+        console.warn(` Recursos faltantes: ${missingAssets.length}`);
+        missingAssets.forEach(({ type, reference, message }) => console.warn(`   ! ${type === 'font' ? 'Fuente' : 'Imagen'} ${reference}: ${message}`));
+        const reportPath = path.join(outputDirectory, 'recursos_faltantes.json');
+        await fs.writeFile(reportPath, JSON.stringify(missingAssets, null, 2), 'utf-8');
+        console.warn(` Reporte guardado en: ${reportPath}`);
+        if (isStrict) { console.error("Modo estricto: agrega los recursos faltantes antes de generar."); process.exitCode = 1; return; }
+        console.warn(" Se generará sin ellos (anuncios sin imagen, fuentes de respaldo).");
+    }
+
+    const sections = Object.entries(groupedData).map(([categoryName, pubs]) => buildCategorySection(categoryName, pubs, sectionDepth, theme, listingSlugs));
+    listingSlugs.filter(slug => !sections.some(section => section.slugs[0] === slug)).forEach(slug => console.warn(`! Warn: --listing ${slug}: no hay anuncios de esa categoría.`));
+
+    // Plan de páginas de la edición completa: se mide cada anuncio en Chromium y se reporta antes de renderizar
+    let layout = null;
+    if (wantsIssue) {
+        console.log("\n--- Plan de Páginas (Edición Completa) ---");
+        try {
+            const launchedAt = Date.now();
+            session.browser = await launchBrowser();
+            session.launchMs = Date.now() - launchedAt;
+            const measured = await measureIssueBlocks(sections, theme, printed.images, session.browser);
+            layout = planIssueLayout(sections, theme, { districtMode, sortBy, pack: argv.pack }, measured, { budget: argv.pages, multiple: argv.pageMultiple });
+        } catch (error) {
+            console.error(`!! No se pudo medir la edición completa: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+    if (layout) {
+        const standardCount = sections.filter(section => !section.listing).flatMap(section => section.pubs).filter(pub => tierOf(pub, theme).name === DEFAULT_TIER).length;
+        console.log(` Páginas: ${layout.pages} de ${layout.target}${argv.pages ? ' (presupuesto)' : ` (múltiplo de ${argv.pageMultiple})`}: portada, ${layout.measured.tocPages} de índice y ${layout.pages - 1 - layout.measured.tocPages} de categorías`);
+        layout.categories.forEach(({ name, pages, listing }) => console.log(`   ${name.padEnd(16)} ${String(pages).padStart(3)} págs.${listing ? ' (listado)' : ''}`));
+        if (layout.compact.size > 0) console.log(` Anuncios compactos (solo texto): ${layout.compact.size} de ${standardCount} estándar (con todos completos: ${layout.fullPages} páginas)`);
+        if (layout.fillerPages > 0) console.log(` Páginas de anuncios de la casa: ${layout.fillerPages}`);
+        const reportPath = path.join(outputDirectory, 'reporte_paginas.json');
+        await fs.writeFile(reportPath, JSON.stringify({
+            target: layout.target,
+            pages: layout.pages,
+            fullPages: layout.fullPages,
+            tocPages: layout.measured.tocPages,
+            fillerPages: layout.fillerPages,
+            overflow: layout.overflow,
+            categories: layout.categories,
+            compact: [...layout.compact].map(pub => pub._id || pub.title)
+        }, null, 2), 'utf-8');
+        console.log(` Reporte guardado en: ${reportPath}`);
+        if (layout.overflow > 0) {
+            console.error(` !! Desborde: la edición necesita ${layout.pages} páginas y el presupuesto es de ${layout.target}, aun con todos los anuncios estándar compactos.`);
+            console.error(" !! No se generará la edición completa: sube --pages o quita anuncios.");
+            process.exitCode = 1;
+        }
+    }
+
+    // Edición web: páginas estáticas, no necesitan el navegador
+    if (wantsWeb) {
+        console.log("\n--- Edición Web ---");
+        if (!theme.templates.webIndex || !theme.templates.webCategory) {
+            console.error(`!! El tema "${theme.name}" no tiene las plantillas de la edición web (webIndex y webCategory).`);
+            process.exitCode = 1;
+        } else {
+            const webDirectory = path.join(outputDirectory, 'web');
+            const webSections = Object.entries(groupedData).map(([categoryName, pubs]) => buildCategorySection(categoryName, pubs, Math.min(sectionDepth, WEB_SECTION_DEPTH), theme));
+            const photos = theme.layout.showImages === false ? new Map() : prepared.images;
+            const web = await writeWebEdition(webSections, issueInfo, theme, { directory: webDirectory, sortBy, photos });
+            console.log(` Páginas: ${web.pages.length} (portada y ${web.pages.length - 1} categorías), imágenes: ${web.images}${web.processedImages > 0 ? ` (${web.processedImages} archivos nuevos)` : ''}`);
+            console.log(`-> Edición web generada: ${path.join(webDirectory, 'index.html')}`);
+        }
+        if (!wantsIssue && !wantsCategories) return;
+    }
+
+    console.log(`\n--- Iniciando Generación de PDFs (${argv.concurrency} en paralelo) ---`);
+    const jobs = [];
+    const pubCounts = {}; // Etiqueta del trabajo -> número de anuncios
+
+    // Edición completa: portada, índice con números de página, una sección por categoría y marcadores
+    if (layout && layout.overflow === 0) {
+        const buildHtml = (pageNumbers, fillerPages = layout.fillerPages) => generateIssueHtml(sections, issueInfo, theme, { districtMode, sortBy, pack: argv.pack, layout: { ...layout, fillerPages }, images: printed.images, pageNumbers });
+        const label = 'Edición completa';
+        pubCounts[label] = allPublications.length;
+        jobs.push({
+            label,
+            outputPath: path.join(outputDirectory, `revista_${issueCode.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/_+$/, '')}.pdf`),
+            html: () => buildHtml(new Map()),
+            finish: (pdf, renderHtml) => finishIssuePdf(pdf, renderHtml, buildHtml, buildIssueOutline(sections), `${titlePrefix} - ${issueInfo.code}`, layout)
+        });
+    }
+
+    // Un trabajo por categoría; el HTML se genera cuando le toca renderizarse
+    const categories = wantsCategories ? Object.entries(groupedData) : [];
+    categories.forEach(([categoryName, pubsInCategory]) => {
         const categoryTitle = `${titlePrefix} - ${categoryName}`;
         const safeCategoryName = categoryName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/_+$/, '');
-        const categoryOutputFilename = path.join(outputDirectory, `revista_${safeCategoryName}.pdf`);
-        const styleOverrides = categoryColors[categoryName] || categoryColors['default'];
-
-        console.log(`   Generando HTML para ${categoryName}...`);
-        const categoryHtml = generateMagazineHtml({ [categoryName]: pubsInCategory }, categoryTitle, styleOverrides);
+        const categorySlug = pubsInCategory[0].categorySlug || 'sin-categoria';
+        const colors = getPalette(theme, categorySlug); // Paleta de la categoría según el tema
+        pubCounts[categoryName] = pubsInCategory.length;
+        jobs.push({
+            label: categoryName,
+            outputPath: path.join(outputDirectory, `revista_${safeCategoryName}.pdf`),
+            html: () => generateMagazineHtml({ [categoryName]: pubsInCategory }, categoryTitle, theme, { colors, districtMode, sortBy, depth: sectionDepth, listing: listingSlugs, pack: argv.pack, images: printed.images })
+        });
+    });
 
-        // Guardar HTML para debug (opcional)
-        // const htmlDebugPath = categoryOutputFilename.replace(/\.pdf$/i, '_debug.html');
-        // await fs.writeFile(htmlDebugPath, categoryHtml, 'utf-8');
-        // console.log(`   HTML guardado para debug en: ${path.basename(htmlDebugPath)}`);
+    if (jobs.length === 0) { console.log(" No hay PDFs que generar."); return; }
 
-        const success = await savePdf(categoryHtml, categoryOutputFilename);
-        if (success) { successCount++; } else { errorCount++; }
+    let rendered;
+    try {
+        rendered = await renderAll(jobs, {
+            browser: session.browser,
+            concurrency: argv.concurrency,
+            retries: argv.retries,
+            onProgress: ({ label, outputPath, ok, attempts, ms, error, warnings, retrying }) => {
+                const seconds = (ms / 1000).toFixed(1);
+                warnings.forEach(warning => console.warn(`   ! ${label}: ${warning}`));
+                if (ok) console.log(`-> PDF Generado: ${path.basename(outputPath)} (${pubCounts[label]} pubs, ${seconds} s${attempts > 1 ? `, ${attempts} intentos` : ''})`);
+                else if (retrying) console.warn(`!! Falló ${label} (intento ${attempts}): ${error.message}. Reintentando...`);
+                else { console.error(`!! ERROR generando PDF ${path.basename(outputPath)} tras ${attempts} intentos: ${error.message}`); console.error(error.stack); }
+            }
+        });
+    } catch (error) {
+        console.error(`!! No se pudo iniciar el navegador: ${error.message}`);
+        process.exitCode = 1;
+        return;
     }
 
-    // Resumen final
+    // Resumen final, con el tiempo de cada categoría
+    const { results, launchMs, totalMs } = rendered;
+    const successCount = results.filter(result => result.ok).length;
+    const errorCount = results.length - successCount;
     console.log("\n--- Resumen de Generación ---");
     console.log(` Directorio de Salida: ${outputDirectory}`);
+    console.log(` Inicio del navegador: ${((launchMs + session.launchMs) / 1000).toFixed(1)} s, total: ${(totalMs / 1000).toFixed(1)} s`);
+    results.forEach(({ label, ok, attempts, ms }) => {
+        console.log(`  ${ok ? '✓' : '✗'} ${label.padEnd(16)} ${String(pubCounts[label]).padStart(4)} pubs ${(ms / 1000).toFixed(1).padStart(6)} s${attempts > 1 ? ` (${attempts} intentos)` : ''}`);
+    });
     console.log(` PDFs Generados con Éxito: ${successCount}`);
-    if (errorCount > 0) console.error(` PDFs con Errores: ${errorCount}`);
+    if (errorCount > 0) { console.error(` PDFs con Errores: ${errorCount}`); process.exitCode = 1; }
     console.log("----------------------------");
 }
 
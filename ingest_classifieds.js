@@ -0,0 +1,115 @@
+// ingest_classifieds.js - Convierte clasificados en texto plano (un anuncio por párrafo, tal como se tipean o se
+// copian de la diagramación) en los archivos pageN.json que leen generate_pdf_magazine.js y el uploader.
+// Título, teléfonos, precio, distrito y atributos clave salen de los parsers de lib/ (ver lib/ingest.js) y la
+// categoría del clasificador (train_classifier.js). Lo dudoso se marca para revisar en revision_ingesta.txt.
+
+const fs = require('fs').promises;
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { loadModel } = require('./lib/classifier');
+const { formatValidationError } = require('./lib/validation');
+const { splitPages, parseAd } = require('./lib/ingest');
+
+// Reporte de lo que hay que revisar; no es .json para que el loader no lo lea como una página
+const REVIEW_FILE = 'revision_ingesta.txt';
+
+// Número de página del nombre del archivo de texto ("page3.txt", "pagina_3.txt"), o null
+function pageFromFileName(file) {
+    const match = /(\d+)/.exec(path.basename(file, path.extname(file)));
+    return match ? parseInt(match[1], 10) : null;
+}
+
+async function main() {
+    const argv = yargs(hideBin(process.argv))
+        .scriptName("ingest_classifieds.js")
+        .usage('Uso: $0 <archivos.txt...> -o publications/<edición> [opciones]')
+        .command('$0 <inputFiles..>', 'Genera los pageN.json de una edición a partir de clasificados en texto plano', (yargs) => {
+             yargs.positional('inputFiles', { describe: 'Archivos de texto con un anuncio por párrafo (línea en blanco entre anuncios). Una línea "--- Página N ---" manda los anuncios siguientes a pageN.json; si no, la página sale del nombre del archivo (page3.txt) o de --page', type: 'string' })
+         })
+        .option('o', { alias: 'outputDir', description: 'Directorio de la edición donde se escriben los pageN.json (p. ej. publications/R2621-ABRIL-24-25-26-27)', type: 'string', demandOption: true, normalize: true })
+        .option('page', { description: 'Página de los anuncios sin marcador de página ni número en el nombre del archivo (cada archivo siguiente, una página más)', type: 'number', default: 1 })
+        .option('force', { description: 'Sobrescribir los pageN.json que ya existen', type: 'boolean', default: false })
+        .option('dry-run', { description: 'Mostrar lo que se generaría sin escribir archivos', type: 'boolean', default: false })
+        .help('h').alias('h', 'help').strict()
+        .fail((msg, err, yargs) => { console.error("Error:", msg); console.error("\n", yargs.help()); process.exit(1); })
+        .parse();
+
+    const classifier = loadModel();
+    if (!classifier) console.warn("! Warn: No hay modelo del clasificador (ejecuta train_classifier.js); las categorías quedarán vacías y habrá que completarlas a mano.");
+
+    // Anuncios de cada página, en el orden de los archivos
+    const pages = new Map(); // número de página -> [texto]
+    let nextPage = argv.page;
+    for (const inputFile of [].concat(argv.inputFiles)) {
+        let text;
+        try {
+            text = await fs.readFile(inputFile, 'utf-8');
+        } catch (error) {
+            console.error(`!! No se pudo leer ${inputFile}: ${error.message}`);
+            process.exitCode = 1;
+            continue;
+        }
+        const filePage = pageFromFileName(inputFile);
+        for (const { page, ads } of splitPages(text)) {
+            const number = page !== null ? page : filePage !== null ? filePage : nextPage;
+            if (!pages.has(number)) pages.set(number, []);
+            pages.get(number).push(...ads);
+            nextPage = Math.max(nextPage, number + 1);
+        }
+    }
+    if (pages.size === 0) { console.error("No se encontraron anuncios en los archivos de texto."); process.exitCode = 1; return; }
+
+    console.log(`\n--- Analizando Anuncios ---`);
+    const review = []; // Bloques del reporte de revisión
+    let adCount = 0;
+    let pageCount = 0;
+    let flaggedCount = 0;
+    const written = [];
+    if (!argv.dryRun) await fs.mkdir(argv.outputDir, { recursive: true });
+    for (const [page, ads] of [...pages].sort(([a], [b]) => a - b)) {
+        const file = `page${page}.json`;
+        const outputPath = path.join(argv.outputDir, file);
+        if (!argv.dryRun && !argv.force && await fs.access(outputPath).then(() => true, () => false)) {
+            console.error(`!! ${outputPath} ya existe: no se sobrescribe (usa --force).`);
+            process.exitCode = 1;
+            continue;
+        }
+        console.log(` ${file}: ${ads.length} ${ads.length === 1 ? 'anuncio' : 'anuncios'}`);
+        pageCount++;
+        const publications = ads.map((text, index) => {
+            const { publication, flags } = parseAd(text, { classifier });
+            adCount++;
+            if (flags.length > 0) {
+                flaggedCount++;
+                const lines = flags.map(flag => formatValidationError(file, index, flag));
+                lines.forEach(line => console.warn(`   ! Revisar ${line}`));
+                review.push(`${file}[${index}] "${publication.title}"\n${lines.map(line => `  - ${line}`).join('\n')}\n  Texto original:\n${text.split('\n').map(line => `    ${line}`).join('\n')}\n`);
+            }
+            return publication;
+        });
+
+        if (argv.dryRun) { console.log(JSON.stringify(publications, null, 4)); continue; }
+        await fs.writeFile(outputPath, `${JSON.stringify(publications, null, 4)}\n`, 'utf-8');
+        written.push(outputPath);
+    }
+
+    console.log("\n--- Resumen de Ingesta ---");
+    console.log(` Anuncios: ${adCount} en ${pageCount} páginas${argv.dryRun ? ' (simulación, no se escribió nada)' : ''}`);
+    written.forEach(file => console.log(`-> Generado: ${file}`));
+    console.log(` Anuncios para revisar: ${flaggedCount}`);
+    if (written.length > 0) {
+        const reviewPath = path.join(argv.outputDir, REVIEW_FILE);
+        if (review.length > 0) {
+            await fs.writeFile(reviewPath, review.join('\n'), 'utf-8');
+            console.log(` Reporte de revisión guardado en: ${reviewPath}`);
+        } else {
+            await fs.rm(reviewPath, { force: true }); // El de una ingesta anterior ya no vale
+        }
+    }
+}
+
+main().catch(error => {
+  console.error("!! Error fatal:", error);
+  process.exit(1);
+});
@@ -0,0 +1,167 @@
+/**
+ * Offline assets of the magazine.
+ *
+ * A render must not depend on the network: theme fonts are embedded from
+ * local files (npm @fontsource packages or files shipped with the theme) and
+ * remote ad images are downloaded once into a cache directory, keyed by URL,
+ * then embedded from disk. Everything that cannot be found is reported before
+ * rendering starts.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, "..", ".cache", "assets");
+const FETCH_TIMEOUT_MS = 20000;
+
+const MIME_TYPES = {
+  ".woff2": "font/woff2",
+  ".woff": "font/woff",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+  ".svg": "image/svg+xml",
+};
+
+const EXTENSIONS = Object.fromEntries(
+  Object.entries(MIME_TYPES).map(([extension, mime]) => [mime, extension])
+);
+
+function isRemote(reference) {
+  return /^https?:\/\//i.test(reference);
+}
+
+/**
+ * Embed a local file as a data: URI
+ */
+function toDataUri(filePath) {
+  const mime =
+    MIME_TYPES[path.extname(filePath).toLowerCase()] ||
+    "application/octet-stream";
+  return `data:${mime};base64,${fs.readFileSync(filePath).toString("base64")}`;
+}
+
+/**
+ * Fonts of a theme that are missing or would need the network.
+ * Returns [{ type: "font", reference, message }].
+ */
+function checkThemeAssets(theme) {
+  const missing = [];
+  for (const url of theme.fonts.imports || []) {
+    missing.push({
+      type: "font",
+      reference: url,
+      message:
+        "remote font stylesheets are not loaded offline; bundle the font as a face",
+    });
+  }
+  for (const face of theme.fonts.faces) {
+    if (!face.path || !fs.existsSync(face.path)) {
+      missing.push({
+        type: "font",
+        reference: face.src,
+        message: `font file of ${face.family} ${face.weight || ""} not found (is its package installed?)`,
+      });
+    }
+  }
+  return missing;
+}
+
+/**
+ * Cached copy of a remote image, or null. Files are named after the SHA-1 of
+ * the URL, with the extension of the downloaded content type.
+ */
+function findCachedImage(url, cacheDir) {
+  const key = crypto.createHash("sha1").update(url).digest("hex");
+  if (!fs.existsSync(cacheDir)) return null;
+  const file = fs
+    .readdirSync(cacheDir)
+    .find((name) => name.startsWith(`${key}.`));
+  return file ? path.join(cacheDir, file) : null;
+}
+
+async function downloadImage(url, cacheDir) {
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const mime = (response.headers.get("content-type") || "")
+    .split(";")[0]
+    .trim();
+  const extension =
+    EXTENSIONS[mime] || path.extname(new URL(url).pathname).toLowerCase();
+  if (!MIME_TYPES[extension] || !MIME_TYPES[extension].startsWith("image/")) {
+    throw new Error(`not an image (${mime || "unknown content type"})`);
+  }
+  const key = crypto.createHash("sha1").update(url).digest("hex");
+  const filePath = path.join(cacheDir, `${key}${extension}`);
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.writeFileSync(filePath, Buffer.from(await response.arrayBuffer()));
+  return filePath;
+}
+
+/**
+ * Resolve image references (URLs or local paths) to local files, downloading
+ * remote images that are not cached yet unless fetchRemote is false.
+ * Returns { images: Map(reference -> file path), missing: [{ type: "image",
+ * reference, message }], downloaded }.
+ */
+async function prepareImages(
+  references,
+  { cacheDir = DEFAULT_CACHE_DIR, fetchRemote = true } = {}
+) {
+  const images = new Map();
+  const missing = [];
+  let downloaded = 0;
+
+  for (const reference of new Set(references.filter(Boolean))) {
+    if (!isRemote(reference)) {
+      const filePath = path.resolve(reference);
+      if (fs.existsSync(filePath)) {
+        images.set(reference, filePath);
+      } else {
+        missing.push({ type: "image", reference, message: "file not found" });
+      }
+      continue;
+    }
+    const cached = findCachedImage(reference, cacheDir);
+    if (cached) {
+      images.set(reference, cached);
+      continue;
+    }
+    if (!fetchRemote) {
+      missing.push({
+        type: "image",
+        reference,
+        message: "not cached (downloads disabled)",
+      });
+      continue;
+    }
+    try {
+      images.set(reference, await downloadImage(reference, cacheDir));
+      downloaded++;
+    } catch (error) {
+      const reason =
+        error.name === "TimeoutError" ? "download timed out" : error.message;
+      missing.push({
+        type: "image",
+        reference,
+        message: `download failed: ${reason}`,
+      });
+    }
+  }
+  return { images, missing, downloaded };
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  isRemote,
+  toDataUri,
+  checkThemeAssets,
+  prepareImages,
+};
@@ -0,0 +1,368 @@
+/**
+ * Attribute registry shared by the magazine generator and the uploader.
+ *
+ * Each category has a file in lib/attributes/<category>.json describing the
+ * attribute keys it accepts: type, unit, label, display order, whether the key
+ * is printed in the magazine and, for enums and lists, a dictionary of value
+ * labels. Subcategories can add keys or override any of those settings.
+ *
+ * Key attributes also set "inline" to be printed in the text-only listings
+ * ("Alquiler, 3 dorm., 2 baños, 120 m²"): true prints the value, or the label
+ * of a boolean; a text is printed after a number ("dorm.") or instead of a
+ * boolean ("amoblado"); ["baño", "baños"] is singular for 1 and plural for
+ * other numbers. Booleans are only printed when true.
+ * "aliases" lists former names of a key: data still using them is read as the
+ * key ("tipo_operacion" -> "tipo_contrato").
+ * lib/attributes/common.json holds the keys every category accepts.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const REGISTRY_DIR = path.join(__dirname, "attributes");
+const DEFAULT_ORDER = 1000;
+
+const TRUE_WORDS = ["si", "sí", "true", "yes"];
+const FALSE_WORDS = ["no", "false"];
+
+const registryCache = {};
+
+/**
+ * Read the registry file of a category (null if the category has none)
+ */
+function loadRegistryFile(name) {
+  if (!(name in registryCache)) {
+    const filePath = path.join(REGISTRY_DIR, `${name}.json`);
+    registryCache[name] = fs.existsSync(filePath)
+      ? JSON.parse(fs.readFileSync(filePath, "utf8"))
+      : null;
+  }
+  return registryCache[name];
+}
+
+/**
+ * Merge attribute definitions, letting later maps override single settings
+ */
+function mergeDefinitions(...maps) {
+  const merged = {};
+  for (const map of maps) {
+    for (const [key, definition] of Object.entries(map || {})) {
+      merged[key] = { ...merged[key], ...definition };
+    }
+  }
+  return merged;
+}
+
+/**
+ * Get the attribute definitions that apply to a category/subcategory
+ */
+function getAttributeDefinitions(category, subcategory) {
+  const common = loadRegistryFile("common");
+  const registry = loadRegistryFile(category) || {};
+  const subRegistry = (registry.subcategories || {})[subcategory] || {};
+  return mergeDefinitions(
+    common.attributes,
+    registry.attributes,
+    subRegistry.attributes
+  );
+}
+
+/**
+ * Map from the former names of keys ("aliases") to the keys
+ */
+function getAliases(definitions) {
+  const aliases = {};
+  for (const [key, definition] of Object.entries(definitions)) {
+    for (const alias of definition.aliases || []) aliases[alias] = key;
+  }
+  return aliases;
+}
+
+/**
+ * Turn a free-text value into a registry key ("Cama Adentro" -> "cama_adentro")
+ */
+function toValueKey(value) {
+  return String(value)
+    .trim()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Coerce a value to a single registry type.
+ * Returns { ok: true, value } or { ok: false }.
+ */
+function coerceToType(value, type, definition) {
+  switch (type) {
+    case "integer":
+    case "number": {
+      let number = value;
+      if (typeof value === "string" && /^\s*\d+([.,]\d+)?\s*$/.test(value)) {
+        number = parseFloat(value.replace(",", "."));
+      }
+      if (typeof number !== "number" || !Number.isFinite(number)) break;
+      if (type === "integer" && !Number.isInteger(number)) break;
+      return { ok: true, value: number };
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return { ok: true, value };
+      if (typeof value !== "string") break;
+      const word = value.trim().toLowerCase();
+      if (TRUE_WORDS.includes(word)) return { ok: true, value: true };
+      if (FALSE_WORDS.includes(word)) return { ok: true, value: false };
+      break;
+    }
+    case "text":
+      if (typeof value === "string" && value.trim() !== "") {
+        return { ok: true, value: value.trim() };
+      }
+      break;
+    case "enum": {
+      if (typeof value !== "string") break;
+      const key = toValueKey(value);
+      if (Object.prototype.hasOwnProperty.call(definition.values || {}, key)) {
+        return { ok: true, value: key };
+      }
+      break;
+    }
+    case "list":
+      if (Array.isArray(value)) return { ok: true, value };
+      break;
+    default:
+      break;
+  }
+  return { ok: false };
+}
+
+/**
+ * Levenshtein distance, used to suggest the intended key for typos
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function suggestKey(key, definitions) {
+  let best = null;
+  for (const candidate of Object.keys(definitions)) {
+    const distance = editDistance(key, candidate);
+    if (distance <= 2 && (!best || distance < best.distance)) {
+      best = { candidate, distance };
+    }
+  }
+  return best ? best.candidate : null;
+}
+
+/**
+ * Normalize the attributes of a publication against the registry.
+ *
+ * Known keys are coerced to their registry type ("si" -> true, "3" -> 3,
+ * "Cama Adentro" -> "cama_adentro") and former names are read as the key they
+ * alias. Unknown keys are kept as they are and reported as warnings; values
+ * that do not fit the registry type are reported as errors. Issues are
+ * { path, message } relative to the publication.
+ */
+function normalizeAttributes(attributes, category, subcategory) {
+  const definitions = getAttributeDefinitions(category, subcategory);
+  const aliases = getAliases(definitions);
+  const values = {};
+  const errors = [];
+  const warnings = [];
+
+  for (const [name, value] of Object.entries(attributes || {})) {
+    const fieldPath = `attributes.${name}`;
+    // A former name gives way to the key itself when both are present
+    const key = definitions[name] ? name : aliases[name] || name;
+    if (key !== name && attributes[key] !== undefined) continue;
+    const definition = definitions[key];
+
+    if (!definition) {
+      const suggestion = suggestKey(key, definitions);
+      warnings.push({
+        path: fieldPath,
+        message: `unknown attribute for ${category}/${subcategory}${
+          suggestion ? ` (did you mean "${suggestion}"?)` : ""
+        }`,
+      });
+      values[key] = value;
+      continue;
+    }
+
+    if (value === null || value === undefined || value === "") continue;
+
+    const types = Array.isArray(definition.type)
+      ? definition.type
+      : [definition.type];
+    const coerced = types
+      .map((type) => coerceToType(value, type, definition))
+      .find((result) => result.ok);
+
+    if (!coerced) {
+      const allowed = definition.values
+        ? `. Allowed: ${Object.keys(definition.values).join(", ")}`
+        : "";
+      errors.push({
+        path: fieldPath,
+        message: `invalid value ${JSON.stringify(value)}, expected ${types.join(
+          " or "
+        )}${allowed}`,
+      });
+      continue;
+    }
+    values[key] = coerced.value;
+  }
+
+  return { values, errors, warnings };
+}
+
+/**
+ * Human-readable text for a single value or list item
+ */
+function formatValueText(value, definition) {
+  if (value && typeof value === "object") {
+    // Objects inside lists (e.g. puestos_requeridos): first text field + rest
+    const texts = Object.values(value).filter((v) => typeof v === "string");
+    const [main, ...rest] = texts.map((text) => formatValueText(text, {}));
+    return rest.length > 0 ? `${main} (${rest.join(", ")})` : main || "";
+  }
+  const labels = definition.values || {};
+  const key = typeof value === "string" ? toValueKey(value) : value;
+  if (Object.prototype.hasOwnProperty.call(labels, key)) return labels[key];
+  return String(value).replace(/_/g, " ");
+}
+
+/**
+ * Format an attribute value for print ("Sí", "150 m²", "sala-comedor, cocina")
+ */
+function formatAttributeValue(value, definition = {}) {
+  let text;
+  if (typeof value === "boolean") {
+    text = value ? "Sí" : "No";
+  } else if (typeof value === "number") {
+    text = new Intl.NumberFormat("es-PE", {
+      useGrouping: definition.grouping !== false,
+    }).format(value);
+  } else if (Array.isArray(value)) {
+    text = value.map((item) => formatValueText(item, definition)).join(", ");
+  } else {
+    text = formatValueText(value, definition);
+  }
+  if (definition.unit && typeof value === "number") {
+    text += ` ${definition.unit}`;
+  }
+  if (definition.maxLength && text.length > definition.maxLength) {
+    text = text.substring(0, definition.maxLength - 3) + "...";
+  }
+  return text;
+}
+
+/**
+ * Default label for keys missing from the registry ("tipo_casa" -> "Tipo Casa")
+ */
+function defaultLabel(key) {
+  return key.replace(/_/g, " ").replace(/\b\w/g, (l) => l.toUpperCase());
+}
+
+/**
+ * List the printable attributes of a publication in display order.
+ * Returns [{ key, label, value }] with value already formatted as text.
+ */
+function getPrintableAttributes(publication) {
+  const category = publication.categorySlug;
+  const subcategory = publication.subcategorySlug;
+  const definitions = getAttributeDefinitions(category, subcategory);
+  const { values } = normalizeAttributes(
+    publication.attributes,
+    category,
+    subcategory
+  );
+
+  return Object.entries(values)
+    .filter(([key, value]) => {
+      const definition = definitions[key] || {};
+      if (definition.print === false) return false;
+      return value !== null && value !== undefined && value !== "";
+    })
+    .map(([key, value], position) => {
+      const definition = definitions[key] || {};
+      return {
+        key,
+        label: definition.label || defaultLabel(key),
+        value: formatAttributeValue(value, definition),
+        order: definition.order ?? DEFAULT_ORDER,
+        position,
+      };
+    })
+    .sort((a, b) => a.order - b.order || a.position - b.position)
+    .map(({ key, label, value }) => ({ key, label, value }));
+}
+
+/**
+ * Inline text of a key attribute (see "inline" above), or null when the value
+ * is not printed
+ */
+function formatInlineAttribute(value, definition) {
+  const { inline } = definition;
+  const [singular, plural] = Array.isArray(inline) ? inline : [inline, inline];
+  const word = value === 1 ? singular : plural;
+  if (typeof value === "boolean") {
+    if (!value) return null;
+    return typeof word === "string" ? word : definition.label;
+  }
+  const text = formatAttributeValue(value, definition);
+  if (typeof value === "number" && typeof word === "string") {
+    return `${text} ${word}`;
+  }
+  return text;
+}
+
+/**
+ * Texts of the key attributes of a publication in display order, for the
+ * text-only listings: ["Alquiler", "3 dorm.", "2 baños", "120 m²"]
+ */
+function getInlineAttributes(publication) {
+  const category = publication.categorySlug;
+  const subcategory = publication.subcategorySlug;
+  const definitions = getAttributeDefinitions(category, subcategory);
+  const { values } = normalizeAttributes(
+    publication.attributes,
+    category,
+    subcategory
+  );
+  const orderOf = (key) => definitions[key].order ?? DEFAULT_ORDER;
+
+  return Object.entries(values)
+    .filter(([key]) => {
+      const definition = definitions[key];
+      return definition && definition.inline && definition.print !== false;
+    })
+    .sort(([a], [b]) => orderOf(a) - orderOf(b))
+    .map(([key, value]) => formatInlineAttribute(value, definitions[key]))
+    .filter(Boolean);
+}
+
+module.exports = {
+  getAttributeDefinitions,
+  normalizeAttributes,
+  formatAttributeValue,
+  getPrintableAttributes,
+  getInlineAttributes,
+  toValueKey,
+  defaultLabel,
+};
@@ -0,0 +1,269 @@
+/**
+ * Category classifier.
+ *
+ * A multinomial naive Bayes model trained offline on the labeled pageN.json
+ * files (see train_classifier.js). It predicts the category, then the
+ * subcategory within that category, then the sub-subcategory within that
+ * subcategory, each with a confidence between 0 and 1. The loader uses it to
+ * fill in missing slugs and to flag labels that look wrong for review.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { normalizeText } = require("./identity");
+
+const MODEL_PATH = path.join(__dirname, "classifier", "model.json");
+const MODEL_VERSION = 1;
+
+// Label fields, from the most general to the most specific
+const LEVELS = ["categorySlug", "subcategorySlug", "subSubcategorySlug"];
+
+// Title words are counted this many times: titles say what the ad is about
+const TITLE_WEIGHT = 2;
+
+const CONFIDENCE = {
+  // Below this a filled-in label is flagged for review (and an optional
+  // sub-subcategory is not filled in at all)
+  low: 0.6,
+  // A label given in the JSON is flagged when the classifier prefers another
+  // one with at least this confidence
+  contradiction: 0.9,
+};
+
+/**
+ * Words of a text used as features
+ */
+function tokenize(text) {
+  return normalizeText(text)
+    .replace(/[^a-z0-9ñ]+/g, " ")
+    .split(" ")
+    .filter((word) => word.length > 2);
+}
+
+/**
+ * Feature list of a publication: title words (weighted) and description words
+ */
+function extractFeatures(publication) {
+  const titleWords = tokenize(publication.title);
+  const features = [];
+  for (let i = 0; i < TITLE_WEIGHT; i++) features.push(...titleWords);
+  features.push(...tokenize(publication.description));
+  return features;
+}
+
+/**
+ * Key of the model node that predicts the labels below a path
+ * ("" for categories, "inmuebles" for its subcategories...)
+ */
+function nodeKey(labels) {
+  return labels.join("/");
+}
+
+/**
+ * Train a model on labeled publications
+ */
+function train(publications) {
+  const nodes = {};
+  const vocabulary = new Set();
+
+  for (const publication of publications) {
+    const features = extractFeatures(publication);
+    features.forEach((feature) => vocabulary.add(feature));
+    const labels = [];
+    for (const level of LEVELS) {
+      const label = publication[level];
+      if (!label) break;
+      const key = nodeKey(labels);
+      if (!nodes[key]) nodes[key] = { documents: {}, words: {}, totals: {} };
+      const node = nodes[key];
+      node.documents[label] = (node.documents[label] || 0) + 1;
+      node.words[label] = node.words[label] || {};
+      for (const feature of features) {
+        node.words[label][feature] = (node.words[label][feature] || 0) + 1;
+      }
+      node.totals[label] = (node.totals[label] || 0) + features.length;
+      labels.push(label);
+    }
+  }
+
+  return {
+    version: MODEL_VERSION,
+    trainedAt: new Date().toISOString(),
+    documents: publications.length,
+    vocabularySize: vocabulary.size,
+    nodes,
+  };
+}
+
+/**
+ * Score the labels of one node. Returns [{ label, confidence }], best first.
+ */
+function predictNode(model, node, features) {
+  const labels = Object.keys(node.documents);
+  const totalDocuments = labels.reduce(
+    (sum, label) => sum + node.documents[label],
+    0
+  );
+  const scores = labels.map((label) => {
+    const words = node.words[label];
+    const denominator = node.totals[label] + model.vocabularySize;
+    let score = Math.log(node.documents[label] / totalDocuments);
+    for (const feature of features) {
+      score += Math.log(((words[feature] || 0) + 1) / denominator);
+    }
+    return { label, score };
+  });
+
+  // Softmax of the log-probabilities. Naive Bayes treats every word as
+  // independent evidence, which makes long ads look 100% certain; dividing
+  // by the square root of the word count keeps confidences meaningful.
+  const best = Math.max(...scores.map(({ score }) => score));
+  const temperature = Math.sqrt(Math.max(features.length, 1));
+  const weights = scores.map(({ score }) =>
+    Math.exp((score - best) / temperature)
+  );
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  return scores
+    .map(({ label }, i) => ({ label, confidence: weights[i] / sum }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Predict every level of a publication. Levels that already have a label
+ * follow that label down; missing ones follow the prediction.
+ * Returns { [level]: { label, confidence, given } } for the levels the model
+ * knows about.
+ */
+function classify(model, publication) {
+  const features = extractFeatures(publication);
+  const labels = [];
+  const result = {};
+  for (const level of LEVELS) {
+    const node = model.nodes[nodeKey(labels)];
+    if (!node) break;
+    const [top] = predictNode(model, node, features);
+    const given = publication[level] || null;
+    result[level] = { ...top, given };
+    labels.push(given || top.label);
+  }
+  return result;
+}
+
+const percent = (confidence) => `${Math.round(confidence * 100)}%`;
+
+/**
+ * Check the labels of a publication against the model.
+ * Returns:
+ *   labels:     a copy of the publication's labels with missing ones filled in
+ *   filled:     the fields that were filled in
+ *   confidence: confidence of the filled-in labels (product over the levels)
+ *   flags:      { path, message } for low-confidence or contradicting labels
+ */
+function reviewLabels(model, publication) {
+  const predictions = classify(model, publication);
+  const labels = {};
+  const filled = [];
+  const flags = [];
+  let confidence = 1;
+
+  for (const level of LEVELS) {
+    const prediction = predictions[level];
+    if (publication[level]) labels[level] = publication[level];
+    if (!prediction) continue;
+    const { label, given } = prediction;
+    const isRequired = level !== "subSubcategorySlug";
+    const isConfident = prediction.confidence >= CONFIDENCE.low;
+
+    if (!given) {
+      if (!isRequired && !isConfident) continue;
+      labels[level] = label;
+      filled.push(level);
+      confidence *= prediction.confidence;
+      if (!isConfident) {
+        flags.push({
+          path: level,
+          message: `filled in as "${label}" with low confidence (${percent(
+            prediction.confidence
+          )}), please review`,
+        });
+      }
+    } else if (
+      label !== given &&
+      prediction.confidence >= CONFIDENCE.contradiction
+    ) {
+      flags.push({
+        path: level,
+        message: `"${given}" contradicts the classifier, which suggests "${label}" (${percent(
+          prediction.confidence
+        )}), please review`,
+      });
+    }
+  }
+
+  return { labels, filled, confidence, flags };
+}
+
+/**
+ * Accuracy of the model on each level with k-fold cross-validation.
+ * Returns { [level]: { correct, total } }.
+ */
+function crossValidate(publications, folds = 5) {
+  const results = {};
+  LEVELS.forEach((level) => (results[level] = { correct: 0, total: 0 }));
+  for (let fold = 0; fold < folds; fold++) {
+    const training = publications.filter((_, i) => i % folds !== fold);
+    const testing = publications.filter((_, i) => i % folds === fold);
+    const model = train(training);
+    for (const publication of testing) {
+      // Predict every level from scratch, as for an unlabeled ad
+      const labels = [];
+      const features = extractFeatures(publication);
+      for (const level of LEVELS) {
+        if (!publication[level]) break;
+        results[level].total++;
+        const node = model.nodes[nodeKey(labels)];
+        if (!node) break;
+        const [top] = predictNode(model, node, features);
+        if (top.label === publication[level]) results[level].correct++;
+        labels.push(top.label);
+      }
+    }
+  }
+  return results;
+}
+
+/**
+ * Save a model as JSON
+ */
+function saveModel(model, filePath = MODEL_PATH) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(model));
+  return filePath;
+}
+
+/**
+ * Load a saved model, or null if it has not been trained yet
+ */
+function loadModel(filePath = MODEL_PATH) {
+  if (!fs.existsSync(filePath)) return null;
+  const model = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  if (model.version !== MODEL_VERSION) {
+    throw new Error(
+      `Classifier model ${filePath} has version ${model.version}, expected ${MODEL_VERSION}. Train it again.`
+    );
+  }
+  return model;
+}
+
+module.exports = {
+  MODEL_PATH,
+  LEVELS,
+  CONFIDENCE,
+  extractFeatures,
+  train,
+  classify,
+  reviewLabels,
+  crossValidate,
+  saveModel,
+  loadModel,
+};
@@ -0,0 +1,215 @@
+/**
+ * Fuzzy duplicate detection.
+ *
+ * The same classified often runs on two pages of an issue, or again in the
+ * next issue with a word or two changed. Two ads are duplicates when their
+ * normalized title and description are similar enough and they share a phone
+ * number; ads without phones need a closer text match. Ads whose phones are
+ * all different are never duplicates, however similar their text (agencies
+ * reuse the same template for different properties, but not the same phone
+ * for different advertisers).
+ */
+
+const { normalizeText } = require("./identity");
+const { parsePhoneList, nationalNumber } = require("./phones");
+
+const THRESHOLDS = {
+  // Minimum text similarity when the ads share a phone number
+  withSharedPhone: 0.75,
+  // Minimum text similarity when neither ad has a phone number
+  withoutPhones: 0.9,
+};
+
+// Words too common in classifieds to tell two ads apart
+const STOPWORDS = new Set([
+  "con",
+  "del",
+  "las",
+  "los",
+  "para",
+  "por",
+  "que",
+  "una",
+  "uno",
+]);
+
+/**
+ * Set of significant words of a text
+ */
+function tokenize(text) {
+  return new Set(
+    normalizeText(text)
+      .replace(/[^a-z0-9ñ]+/g, " ")
+      .split(" ")
+      .filter((word) => word.length > 2 && !STOPWORDS.has(word))
+  );
+}
+
+/**
+ * Comparable phone numbers of a publication: national numbers
+ * ("984123456", "84231234"), ignoring malformed ones
+ */
+function phoneKeysOf(publication) {
+  return parsePhoneList((publication.contact || {}).phones).numbers.map(
+    ({ e164 }) => nationalNumber(e164)
+  );
+}
+
+/**
+ * Precompute what duplicate detection compares for a publication
+ */
+function fingerprint(publication) {
+  return {
+    words: tokenize(`${publication.title || ""} ${publication.description || ""}`),
+    phones: new Set(phoneKeysOf(publication)),
+  };
+}
+
+/**
+ * Jaccard similarity of two sets (1 when both are empty)
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Compare two fingerprints. Returns { similarity, sharedPhone } when they
+ * are duplicates, null otherwise.
+ */
+function compareFingerprints(a, b) {
+  const similarity = jaccard(a.words, b.words);
+  const sharedPhone = [...a.phones].some((phone) => b.phones.has(phone));
+  const hasPhones = a.phones.size > 0 || b.phones.size > 0;
+
+  if (sharedPhone && similarity >= THRESHOLDS.withSharedPhone) {
+    return { similarity, sharedPhone };
+  }
+  if (!hasPhones && similarity >= THRESHOLDS.withoutPhones) {
+    return { similarity, sharedPhone };
+  }
+  return null;
+}
+
+/**
+ * Compare two publications (see compareFingerprints)
+ */
+function comparePublications(a, b) {
+  return compareFingerprints(fingerprint(a), fingerprint(b));
+}
+
+/**
+ * Group duplicated publications of a list.
+ * Returns [{ indexes: [i, j, ...], similarity }] for groups of two or more,
+ * indexes in list order (the first one is the original). `similarity` is the
+ * lowest similarity between matched pairs of the group.
+ */
+function findDuplicateGroups(publications) {
+  const fingerprints = publications.map(fingerprint);
+  const parent = publications.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) index = parent[index];
+    return index;
+  };
+  const lowestSimilarity = {};
+
+  for (let i = 0; i < fingerprints.length; i++) {
+    for (let j = i + 1; j < fingerprints.length; j++) {
+      const match = compareFingerprints(fingerprints[i], fingerprints[j]);
+      if (!match) continue;
+      const rootI = find(i);
+      const rootJ = find(j);
+      const root = Math.min(rootI, rootJ);
+      parent[rootI] = root;
+      parent[rootJ] = root;
+      lowestSimilarity[root] = Math.min(
+        match.similarity,
+        lowestSimilarity[rootI] ?? 1,
+        lowestSimilarity[rootJ] ?? 1
+      );
+    }
+  }
+
+  const groups = new Map();
+  publications.forEach((_, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+  return [...groups.entries()]
+    .filter(([, indexes]) => indexes.length > 1)
+    .map(([root, indexes]) => ({
+      indexes,
+      similarity: lowestSimilarity[root],
+    }));
+}
+
+/**
+ * Merge duplicated publications into one. The first publication wins; the
+ * others fill in what it lacks: the longest description, every phone number
+ * and image, and attributes it does not have.
+ */
+function mergePublications(publications) {
+  const [first, ...others] = publications;
+  const merged = {
+    ...first,
+    location: { ...first.location },
+    contact: { ...first.contact },
+    attributes: { ...first.attributes },
+  };
+  const phones = [...((first.contact || {}).phones || [])];
+  const phoneKeys = new Set(phoneKeysOf(first));
+  const images = [...(first.images || [])];
+
+  for (const other of others) {
+    if ((other.description || "").length > (merged.description || "").length) {
+      merged.description = other.description;
+    }
+    for (const phone of (other.contact || {}).phones || []) {
+      const keys = phoneKeysOf({ contact: { phones: [phone] } });
+      if (keys.some((key) => !phoneKeys.has(key))) {
+        keys.forEach((key) => phoneKeys.add(key));
+        phones.push(phone);
+      }
+    }
+    for (const image of other.images || []) {
+      if (!images.includes(image)) images.push(image);
+    }
+    for (const [key, value] of Object.entries(other.location || {})) {
+      if (!merged.location[key]) merged.location[key] = value;
+    }
+    for (const [key, value] of Object.entries(other.contact || {})) {
+      if (key !== "phones" && !merged.contact[key]) merged.contact[key] = value;
+    }
+    for (const [key, value] of Object.entries(other.attributes || {})) {
+      if (merged.attributes[key] === undefined) merged.attributes[key] = value;
+    }
+    if (merged.amount === undefined || merged.amount === null) {
+      if (other.amount !== undefined && other.amount !== null) {
+        merged.amount = other.amount;
+        merged.currency = other.currency;
+      }
+    }
+  }
+
+  merged.contact.phones = phones;
+  if (first.images || images.length > 0) merged.images = images;
+  if (!first.attributes && Object.keys(merged.attributes).length === 0) {
+    delete merged.attributes;
+  }
+  return merged;
+}
+
+module.exports = {
+  THRESHOLDS,
+  phoneKeysOf,
+  fingerprint,
+  compareFingerprints,
+  comparePublications,
+  findDuplicateGroups,
+  mergePublications,
+};
@@ -0,0 +1,332 @@
+/**
+ * Spreadsheet and feed exports of an issue.
+ *
+ * The magazine generator hands every export the same entries, one per
+ * publication of the issue (after merging duplicates):
+ *
+ *   { publication, id, file, url }
+ *
+ * where id is the stable ID (lib/identity.js), file the page file it came
+ * from and url its page on buscadis.com, or null when the issue has not been
+ * uploaded yet (see lib/urls.js).
+ *
+ * Spreadsheets (CSV and XLSX) have one row per publication with the
+ * attributes flattened into one column per registry key, labelled as in
+ * print. Feeds (RSS 2.0 and Atom) are written per category. JSON Lines files
+ * hold the documents in the shape the uploader stores, which the generator
+ * builds with publication-uploader/prepare.js.
+ */
+
+const ExcelJS = require("exceljs");
+const {
+  getAttributeDefinitions,
+  normalizeAttributes,
+  formatAttributeValue,
+  defaultLabel,
+} = require("./attributes");
+const { parsePhoneList } = require("./phones");
+const { resolveLocation } = require("./gazetteer");
+const { resolvePrice } = require("./prices");
+const { sectionName } = require("./taxonomy");
+const { escapeHtml, sanitizeText, formatInlineMarkup } = require("./sanitize");
+const { SITE_URL } = require("./urls");
+
+const EXPORT_FORMATS = ["csv", "xlsx", "jsonl", "rss", "atom"];
+const FEED_ID_PREFIX = "tag:buscadis.com,2025:";
+
+// Columns of every row, before the attributes
+const BASE_COLUMNS = [
+  { key: "id", header: "ID" },
+  { key: "category", header: "Categoría" },
+  { key: "subcategory", header: "Subcategoría" },
+  { key: "subSubcategory", header: "Sub-subcategoría" },
+  { key: "title", header: "Título" },
+  { key: "description", header: "Descripción" },
+  { key: "price", header: "Precio" },
+  { key: "maxPrice", header: "Precio máximo" },
+  { key: "currency", header: "Moneda" },
+  { key: "priceType", header: "Tipo de precio" },
+  { key: "period", header: "Periodo" },
+  { key: "district", header: "Distrito" },
+  { key: "province", header: "Provincia" },
+  { key: "address", header: "Dirección" },
+  { key: "referencePoint", header: "Referencia" },
+  { key: "contact", header: "Contacto" },
+  { key: "phones", header: "Teléfonos" },
+  { key: "whatsapp", header: "WhatsApp" },
+  { key: "email", header: "Email" },
+  { key: "tier", header: "Nivel" },
+  { key: "createdAt", header: "Fecha" },
+  { key: "file", header: "Archivo" },
+  { key: "url", header: "URL" },
+];
+
+/**
+ * Section names of a publication, from the category down
+ */
+function sectionNames(publication) {
+  const slugs = [
+    publication.categorySlug,
+    publication.subcategorySlug,
+    publication.subSubcategorySlug,
+  ];
+  return slugs.map((slug, level) =>
+    slug ? sectionName(slugs.slice(0, level + 1)) : ""
+  );
+}
+
+/**
+ * Plain text of a description: inline markup and line breaks become spaces
+ */
+function plainText(text) {
+  return (sanitizeText(text || "") || "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Spreadsheet columns and rows of the entries: the base columns, then one
+ * column per attribute key found, in the order the keys first appear (so
+ * entries sorted by category keep the columns of a category together).
+ * Numbers stay numbers (the unit goes in the header); other values are
+ * formatted as printed. Returns { columns: [{ key, header }], rows }.
+ */
+function buildRows(entries) {
+  const attributeColumns = new Map(); // key -> { key, header }
+  const rows = entries.map(({ publication, id, file, url }) => {
+    const [category, subcategory, subSubcategory] = sectionNames(publication);
+    const price = resolvePrice(publication);
+    const resolved = resolveLocation(publication.location);
+    const location = publication.location || {};
+    const contact = publication.contact || {};
+    const { numbers } = parsePhoneList(contact.phones);
+    const mobile = numbers.find((number) => number.type === "mobile");
+    const row = {
+      id,
+      category,
+      subcategory,
+      subSubcategory,
+      title: sanitizeText(publication.title || "", { markup: false }),
+      description: plainText(publication.description),
+      price: price.amount,
+      maxPrice: price.maxAmount,
+      currency: price.currency,
+      priceType: price.kind,
+      period: price.period,
+      district: resolved.district ? resolved.district.name : location.district,
+      province: resolved.province ? resolved.province.name : location.province,
+      address: location.address,
+      referencePoint: location.referencePoint,
+      contact: contact.name,
+      phones: numbers.map((number) => number.e164).join(" / "),
+      whatsapp: mobile ? mobile.e164 : null,
+      email: contact.email,
+      tier: publication.tier,
+      createdAt: publication.createdAt,
+      file,
+      url,
+    };
+
+    const definitions = getAttributeDefinitions(
+      publication.categorySlug,
+      publication.subcategorySlug
+    );
+    const { values } = normalizeAttributes(
+      publication.attributes,
+      publication.categorySlug,
+      publication.subcategorySlug
+    );
+    for (const [key, value] of Object.entries(values)) {
+      if (value === null || value === undefined || value === "") continue;
+      const definition = definitions[key] || {};
+      if (!attributeColumns.has(key)) {
+        const label = definition.label || defaultLabel(key);
+        attributeColumns.set(key, {
+          key: `attributes.${key}`,
+          header: definition.unit ? `${label} (${definition.unit})` : label,
+        });
+      }
+      row[`attributes.${key}`] =
+        typeof value === "number"
+          ? value
+          : formatAttributeValue(value, { ...definition, unit: undefined });
+    }
+    return row;
+  });
+
+  // Keys with the same label in different categories (or the label of a base
+  // column) get the key appended
+  const columns = [...attributeColumns.values()];
+  const baseHeaders = new Set(BASE_COLUMNS.map((column) => column.header));
+  for (const column of columns) {
+    const sameHeader = columns.filter((other) => other.header === column.header);
+    if (sameHeader.length > 1 || baseHeaders.has(column.header)) {
+      sameHeader.forEach((other) => {
+        other.uniqueHeader = `${other.header} [${other.key.slice(11)}]`;
+      });
+    }
+  }
+  return {
+    columns: [
+      ...BASE_COLUMNS,
+      ...columns.map(({ key, header, uniqueHeader }) => ({
+        key,
+        header: uniqueHeader || header,
+      })),
+    ],
+    rows,
+  };
+}
+
+/**
+ * One CSV field: quoted when needed, and with a leading apostrophe when a
+ * spreadsheet could read a text as a formula ("=HYPERLINK(...)", or phone
+ * numbers like "+51992259908 / +51901607583"). Numbers are left alone.
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV (RFC 4180) of buildRows output, with a byte order mark so that Excel
+ * reads it as UTF-8
+ */
+function toCsv({ columns, rows }) {
+  const lines = [
+    columns.map((column) => csvField(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => csvField(row[column.key])).join(",")
+    ),
+  ];
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Write buildRows output as an XLSX workbook with one sheet, a bold frozen
+ * header row and a filter on every column
+ */
+async function writeXlsx(filePath, { columns, rows }, { sheetName = "Anuncios" } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "Buscadis";
+  workbook.created = new Date();
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31), {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  sheet.columns = columns.map(({ key, header }) => ({
+    key,
+    header,
+    width: Math.min(60, Math.max(10, header.length + 2)),
+  }));
+  rows.forEach((row) =>
+    sheet.addRow(
+      Object.fromEntries(columns.map(({ key }) => [key, row[key] ?? null]))
+    )
+  );
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  await workbook.xlsx.writeFile(filePath);
+}
+
+/**
+ * JSON Lines: one document per line
+ */
+function toJsonLines(documents) {
+  return documents.map((document) => `${JSON.stringify(document)}\n`).join("");
+}
+
+/**
+ * Feed of a category: { title, link, id, updated, items } where items are
+ * { id, title, link, html, date, category }. Items without their own page
+ * link to the category on the site.
+ */
+function buildFeed(categorySlug, entries, { title, issueDate = new Date() }) {
+  const link = `${SITE_URL}/${categorySlug}`;
+  const items = entries.map(({ publication, id, url }) => {
+    const [, subcategory] = sectionNames(publication);
+    return {
+      id: `${FEED_ID_PREFIX}${id}`,
+      title: sanitizeText(publication.title || "", { markup: false }),
+      link: url || link,
+      html: formatInlineMarkup(publication.description),
+      date: new Date(publication.createdAt || issueDate),
+      category: subcategory,
+    };
+  });
+  const updated = new Date(
+    Math.max(issueDate.getTime(), ...items.map((item) => item.date.getTime()))
+  );
+  return { title, link, id: `${FEED_ID_PREFIX}${categorySlug}`, updated, items };
+}
+
+/**
+ * RSS 2.0 of a buildFeed feed
+ */
+function renderRss(feed) {
+  const items = feed.items.map(
+    (item) => `    <item>
+      <title>${escapeHtml(item.title)}</title>
+      <link>${escapeHtml(item.link)}</link>
+      <guid isPermaLink="false">${escapeHtml(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>${
+        item.category ? `\n      <category>${escapeHtml(item.category)}</category>` : ""
+      }
+      <description>${escapeHtml(item.html)}</description>
+    </item>
+`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.link)}</link>
+    <description>${escapeHtml(feed.title)}</description>
+    <language>es-PE</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${items.join("")}  </channel>
+</rss>
+`;
+}
+
+/**
+ * Atom of a buildFeed feed
+ */
+function renderAtom(feed) {
+  const entries = feed.items.map(
+    (item) => `  <entry>
+    <id>${escapeHtml(item.id)}</id>
+    <title>${escapeHtml(item.title)}</title>
+    <link href="${escapeHtml(item.link)}"/>
+    <updated>${item.date.toISOString()}</updated>${
+      item.category ? `\n    <category term="${escapeHtml(item.category)}"/>` : ""
+    }
+    <content type="html">${escapeHtml(item.html)}</content>
+  </entry>
+`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="es-PE">
+  <id>${escapeHtml(feed.id)}</id>
+  <title>${escapeHtml(feed.title)}</title>
+  <link href="${escapeHtml(feed.link)}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>Buscadis</name></author>
+${entries.join("")}</feed>
+`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildRows,
+  toCsv,
+  writeXlsx,
+  toJsonLines,
+  buildFeed,
+  renderRss,
+  renderAtom,
+};
@@ -0,0 +1,184 @@
+/**
+ * Location gazetteer of the Cusco region.
+ *
+ * lib/gazetteer/cusco.json lists every province and district with canonical
+ * IDs, alternative spellings ("Huanchac" for Wanchaq) and well-known places
+ * (neighborhoods, urbanizations, landmarks) of each district. Matching ignores
+ * case, accents and punctuation. When an ad has no district, or one the
+ * gazetteer does not know, the district is inferred from the place names in
+ * its address and reference point.
+ */
+
+const gazetteer = require("./gazetteer/cusco.json");
+const { normalizeText } = require("./identity");
+
+// Province assumed when an ad names none: the magazine is printed in Cusco
+const DEFAULT_PROVINCE_ID = "cusco";
+
+/**
+ * Comparable form of a name, padded with spaces for whole-word matching:
+ * "Urb. Santa Mónica" -> " urb santa monica "
+ */
+function matchKey(text) {
+  const words = normalizeText(text)
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+  return words ? ` ${words} ` : "";
+}
+
+// Lookup tables built once from the gazetteer file
+const provincesByKey = new Map();
+const districtNames = []; // { key, province, district } for names and aliases
+const placeNames = []; // { key, province, district } for names, aliases and places
+
+for (const province of gazetteer.provinces) {
+  for (const name of [province.name, ...(province.aliases || [])]) {
+    provincesByKey.set(matchKey(name), province);
+  }
+  for (const district of province.districts) {
+    for (const name of [district.name, ...(district.aliases || [])]) {
+      districtNames.push({ key: matchKey(name), province, district });
+      placeNames.push({ key: matchKey(name), province, district });
+    }
+    for (const place of district.places || []) {
+      placeNames.push({ key: matchKey(place), province, district });
+    }
+  }
+}
+
+const toRef = ({ id, name }) => ({ id, name });
+
+/**
+ * Find a province by name or alias
+ */
+function findProvince(text) {
+  const province = provincesByKey.get(matchKey(text));
+  return province ? toRef(province) : null;
+}
+
+/**
+ * Among matching entries, prefer those of the given province
+ */
+function preferProvince(entries, provinceId) {
+  return (
+    entries.find((entry) => entry.province.id === provinceId) || entries[0]
+  );
+}
+
+/**
+ * Find a district by its exact name or alias.
+ * Returns { province, district } (both { id, name }) or null.
+ */
+function findDistrict(text, provinceId = DEFAULT_PROVINCE_ID) {
+  const key = matchKey(text);
+  if (!key) return null;
+  const matches = districtNames.filter((entry) => entry.key === key);
+  if (matches.length === 0) return null;
+  const { province, district } = preferProvince(matches, provinceId);
+  return { province: toRef(province), district: toRef(district) };
+}
+
+/**
+ * Infer a district from free text (an address, a reference point) by the
+ * district and place names it contains. Names inside a longer match are
+ * ignored ("San Pedro" in "Mercado San Pedro"), and text naming places of
+ * several districts ("Marcavalle, Larapa...") is ambiguous.
+ * Returns { province, district } or null.
+ */
+function inferDistrict(text, provinceId = DEFAULT_PROVINCE_ID) {
+  const key = matchKey(text);
+  if (!key) return null;
+  const found = placeNames.filter((entry) => key.includes(entry.key));
+  let matches = found.filter(
+    (entry) =>
+      !found.some(
+        (other) =>
+          other.key.length > entry.key.length && other.key.includes(entry.key)
+      )
+  );
+  const inProvince = matches.filter(
+    (entry) => entry.province.id === provinceId
+  );
+  if (inProvince.length > 0) matches = inProvince;
+  const districtIds = new Set(matches.map((entry) => entry.district.id));
+  if (districtIds.size !== 1) return null;
+  const { province, district } = matches[0];
+  return { province: toRef(province), district: toRef(district) };
+}
+
+/**
+ * Resolve the location of an ad against the gazetteer.
+ * Returns:
+ *   province, district: { id, name } or null
+ *   districtInferred:   true when the district came from the address
+ *   warnings:           { path, message } for names the gazetteer does not know
+ */
+function resolveLocation(location) {
+  const loc = location || {};
+  const warnings = [];
+
+  let province = loc.province ? findProvince(loc.province) : null;
+  if (loc.province && !province) {
+    warnings.push({
+      path: "location.province",
+      message: `unknown province "${loc.province}" in the Cusco region`,
+    });
+  }
+  const provinceId = province ? province.id : DEFAULT_PROVINCE_ID;
+
+  let match = loc.district ? findDistrict(loc.district, provinceId) : null;
+  let districtInferred = false;
+  if (loc.district && !match) {
+    warnings.push({
+      path: "location.district",
+      message: `unknown district "${loc.district}"`,
+    });
+  }
+  if (!match) {
+    // An unknown district name may still be a known place ("Belenpampa")
+    const text = [loc.district, loc.address, loc.referencePoint]
+      .filter(Boolean)
+      .join(" ; ");
+    match = inferDistrict(text, provinceId);
+    districtInferred = Boolean(match);
+  }
+
+  if (match && province && match.province.id !== province.id) {
+    if (districtInferred) {
+      match = null;
+      districtInferred = false;
+    } else {
+      // A district name is more specific than a province: trust it
+      warnings.push({
+        path: "location.district",
+        message: `"${loc.district}" is in the province of ${match.province.name}, not ${province.name}`,
+      });
+      province = match.province;
+    }
+  }
+  if (match && !province) province = match.province;
+
+  return {
+    province,
+    district: match ? match.district : null,
+    districtInferred,
+    warnings,
+  };
+}
+
+/**
+ * All districts of a province, { id, name } in gazetteer order
+ */
+function listDistricts(provinceId = DEFAULT_PROVINCE_ID) {
+  const province = gazetteer.provinces.find(({ id }) => id === provinceId);
+  return province ? province.districts.map(toRef) : [];
+}
+
+module.exports = {
+  DEFAULT_PROVINCE_ID,
+  findProvince,
+  findDistrict,
+  inferDistrict,
+  resolveLocation,
+  listDistricts,
+};
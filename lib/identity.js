@@ -0,0 +1,111 @@
+/**
+ * Stable identities for imported publications.
+ *
+ * A publication is identified by the print issue it came from, its page file
+ * and its position in that file, so re-importing a corrected pageN.json
+ * (a fixed title included) finds the same records again. The content hash
+ * covers every field and tells whether a record actually changed since the
+ * last import. The repeat key (title and
+ * phone numbers) recognizes the same ad when it runs again in a later issue.
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const { parsePhoneList, nationalNumber } = require("./phones");
+
+/**
+ * Get the issue code from an issue directory ("publications/R2621-ABRIL-24-25-26-27/")
+ */
+function issueCodeFromDirectory(directory) {
+  return path.basename(path.resolve(directory));
+}
+
+/**
+ * Lowercase, strip accents and collapse whitespace, for comparisons
+ */
+function normalizeText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * JSON with sorted keys and trimmed strings, so equal content hashes equally
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  if (typeof value === "string") {
+    return JSON.stringify(value.replace(/\s+/g, " ").trim());
+  }
+  return JSON.stringify(value);
+}
+
+function sha1(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+/**
+ * Deterministic publication ID from issue code, page file and the position
+ * of the publication in that file (0 for the first one)
+ */
+function computePublicationId(issueCode, file, index) {
+  return sha1([issueCode, path.basename(file), index].join("|")).substring(
+    0,
+    24
+  );
+}
+
+/**
+ * Hash of the normalized content of a publication. The review mark of the
+ * uploader (--review) is not content: accepting an ad as it is does not make
+ * the next import an update.
+ */
+function computeContentHash(publication) {
+  const { reviewed, ...content } = publication;
+  return sha1(canonicalJson(content));
+}
+
+/**
+ * Key shared by the same ad across issues: normalized title + national phone
+ * numbers (so "984 123 456" and "+51984123456" give the same key)
+ */
+function computeRepeatKey(publication) {
+  const phones = parsePhoneList((publication.contact || {}).phones)
+    .numbers.map(({ e164 }) => nationalNumber(e164))
+    .sort();
+  return sha1([normalizeText(publication.title), ...phones].join("|"));
+}
+
+/**
+ * Compute { id, contentHash, repeatKey } for every record of a loaded issue directory
+ * (records as returned by loadPublicationDirectory)
+ */
+function assignIdentities(issueCode, records) {
+  return records.map((record) => ({
+    id: computePublicationId(issueCode, record.file, record.index),
+    contentHash: computeContentHash(record.publication),
+    repeatKey: computeRepeatKey(record.publication),
+  }));
+}
+
+module.exports = {
+  issueCodeFromDirectory,
+  normalizeText,
+  canonicalJson,
+  computePublicationId,
+  computeContentHash,
+  computeRepeatKey,
+  assignIdentities,
+};
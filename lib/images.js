@@ -0,0 +1,241 @@
+/**
+ * Ad photo processing.
+ *
+ * Photos arrive in any size, orientation (phone cameras write it in EXIF) and
+ * color mode (CMYK scans). Before printing, each photo is auto-oriented,
+ * cropped to the image slot of the theme at 300 dpi, converted to sRGB and
+ * compressed; for the site, it is resized to a few web sizes. Outputs are
+ * named after the SHA-256 of the source bytes, so unchanged photos are not
+ * processed again, and metadata (including GPS positions) is not copied.
+ *
+ * Every photo gets a report entry:
+ *   ok              processed
+ *   missing         not found or not downloaded (see lib/assets.js)
+ *   broken          not a readable image
+ *   low-resolution  fewer than MIN_PRINT_DPI pixels per inch in its slot
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_CACHE_DIR } = require("./assets");
+
+const PRINT_DPI = 300;
+const MIN_PRINT_DPI = 150;
+const PRINT_QUALITY = 85;
+const WEB_SIZES = { thumb: 320, medium: 800, large: 1600 }; // width in pixels
+const WEB_QUALITY = 80;
+
+const UNITS_PER_INCH = { in: 1, cm: 2.54, mm: 25.4, pt: 72, pc: 6, px: 96 };
+const PAGE_SIZES = {
+  A4: ["21cm", "29.7cm"],
+  A5: ["14.8cm", "21cm"],
+  Letter: ["8.5in", "11in"],
+  Legal: ["8.5in", "14in"],
+};
+
+/**
+ * sharp is a dependency of each tool (the magazine and the uploader), so it
+ * is looked up from the running script first
+ */
+function loadSharp() {
+  const paths = [__dirname];
+  if (require.main) paths.unshift(path.dirname(require.main.filename));
+  return require(require.resolve("sharp", { paths }));
+}
+
+/**
+ * A CSS length ("75px", "4.5cm", "0.8in") in inches, or null
+ */
+function lengthToInches(length) {
+  const match = String(length)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*(in|cm|mm|pt|pc|px)$/);
+  return match ? parseFloat(match[1]) / UNITS_PER_INCH[match[2]] : null;
+}
+
+/**
+ * Size in inches of a text column of a theme layout: the page without its
+ * margins, split into layout.columns columns
+ */
+function columnSize(layout) {
+  const pageName = String(layout.pageSize).split(" ")[0];
+  const [pageWidth, pageHeight] = PAGE_SIZES[pageName] || PAGE_SIZES.A4;
+  const margin = lengthToInches(layout.pageMargin);
+  const columns = layout.columns || 1;
+  return {
+    width:
+      (lengthToInches(pageWidth) -
+        2 * margin -
+        (columns - 1) * lengthToInches(layout.columnGap)) /
+      columns,
+    height: lengthToInches(pageHeight) - 2 * margin,
+  };
+}
+
+/**
+ * Pixel size of the image slot of a theme layout at 300 dpi. The slot is
+ * imageSize high and imageSize wide, or as wide as a text column when
+ * imageWidth is "column".
+ */
+function printSlot(layout) {
+  const height = lengthToInches(layout.imageSize);
+  let width = height;
+  if (layout.imageWidth === "column") {
+    width = columnSize(layout).width;
+  } else if (layout.imageWidth) {
+    width = lengthToInches(layout.imageWidth);
+  }
+  if (!width || !height) {
+    throw new Error(`Invalid image size in theme layout: ${layout.imageSize}`);
+  }
+  return {
+    width: Math.round(width * PRINT_DPI),
+    height: Math.round(height * PRINT_DPI),
+  };
+}
+
+function hashFile(filePath) {
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(filePath))
+    .digest("hex");
+}
+
+/**
+ * Hash and oriented size of a photo. Throws when it is not an image.
+ */
+async function inspectImage(filePath) {
+  const sharp = loadSharp();
+  const metadata = await sharp(filePath).metadata();
+  const { width, height } = metadata.autoOrient || metadata;
+  if (!width || !height) throw new Error("image has no size");
+  return { hash: hashFile(filePath), width, height };
+}
+
+/**
+ * Crop photos to the print slot.
+ * `files` maps each reference (as written in the ad) to a local file (see
+ * prepareImages in lib/assets.js).
+ * Returns { images: Map(reference -> processed file), report, processed }
+ * where report has one { reference, status, width, height, dpi, message }
+ * entry per photo and processed counts the photos not found in the cache.
+ */
+async function processPrintImages(
+  files,
+  slot,
+  { cacheDir = DEFAULT_CACHE_DIR } = {}
+) {
+  const sharp = loadSharp();
+  const outputDir = path.join(cacheDir, "print");
+  const images = new Map();
+  const report = [];
+  let processed = 0;
+
+  for (const [reference, filePath] of files) {
+    let info;
+    try {
+      info = await inspectImage(filePath);
+    } catch (error) {
+      report.push({ reference, status: "broken", message: error.message });
+      continue;
+    }
+    // Cover crop: the side that fills the slot decides the resolution
+    const dpi = Math.floor(
+      PRINT_DPI *
+        Math.min(info.width / slot.width, info.height / slot.height)
+    );
+    const output = path.join(
+      outputDir,
+      `${info.hash}-${slot.width}x${slot.height}.jpg`
+    );
+    if (!fs.existsSync(output)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+      try {
+        await sharp(filePath)
+          .autoOrient()
+          .resize(slot.width, slot.height, {
+            fit: "cover",
+            position: "attention",
+          })
+          .toColourspace("srgb")
+          .jpeg({ quality: PRINT_QUALITY, mozjpeg: true })
+          .toFile(output);
+        processed++;
+      } catch (error) {
+        report.push({ reference, status: "broken", message: error.message });
+        continue;
+      }
+    }
+    images.set(reference, output);
+    const isLowResolution = dpi < MIN_PRINT_DPI;
+    report.push({
+      reference,
+      status: isLowResolution ? "low-resolution" : "ok",
+      width: info.width,
+      height: info.height,
+      dpi,
+      message: isLowResolution
+        ? `${info.width}x${info.height} px prints at ${dpi} dpi (minimum ${MIN_PRINT_DPI})`
+        : undefined,
+    });
+  }
+  return { images, report, processed };
+}
+
+/**
+ * Resize photos to the web sizes, as WebP files named
+ * <hash>-<size>.webp in outputDir. Photos are never enlarged.
+ * Returns { images: Map(reference -> { hash, width, height, sizes }), report,
+ * processed } where sizes maps each size name to a file name.
+ */
+async function processWebImages(files, outputDir) {
+  const sharp = loadSharp();
+  const images = new Map();
+  const report = [];
+  let processed = 0;
+
+  for (const [reference, filePath] of files) {
+    try {
+      const info = await inspectImage(filePath);
+      const sizes = {};
+      for (const [name, width] of Object.entries(WEB_SIZES)) {
+        const fileName = `${info.hash}-${name}.webp`;
+        const output = path.join(outputDir, fileName);
+        if (!fs.existsSync(output)) {
+          fs.mkdirSync(outputDir, { recursive: true });
+          await sharp(filePath)
+            .autoOrient()
+            .resize(width, null, { withoutEnlargement: true })
+            .toColourspace("srgb")
+            .webp({ quality: WEB_QUALITY })
+            .toFile(output);
+          processed++;
+        }
+        sizes[name] = fileName;
+      }
+      images.set(reference, { ...info, sizes });
+      report.push({
+        reference,
+        status: "ok",
+        width: info.width,
+        height: info.height,
+      });
+    } catch (error) {
+      report.push({ reference, status: "broken", message: error.message });
+    }
+  }
+  return { images, report, processed };
+}
+
+module.exports = {
+  PRINT_DPI,
+  MIN_PRINT_DPI,
+  WEB_SIZES,
+  lengthToInches,
+  columnSize,
+  printSlot,
+  inspectImage,
+  processPrintImages,
+  processWebImages,
+};
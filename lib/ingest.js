@@ -0,0 +1,461 @@
+/**
+ * Ingestion of raw classified text.
+ *
+ * Turns classifieds typed or pasted from the print layout (one ad per
+ * paragraph) into publications in the pageN.json format. Every field comes
+ * from a rule-based parser shared with the rest of the tools: phones from
+ * lib/phones.js, prices from lib/prices.js, the district from the gazetteer,
+ * the category from the classifier and a few key attributes from the patterns
+ * below. Whatever the parsers are not sure about is returned as a flag
+ * ({ path, message }, like the classifier's) for someone to review.
+ */
+
+const { parsePhoneNumbers } = require("./phones");
+const { extractPrices } = require("./prices");
+const { inferDistrict } = require("./gazetteer");
+const { reviewLabels } = require("./classifier");
+const { getAttributeDefinitions } = require("./attributes");
+const { validatePublication } = require("./validation");
+
+// Longest title taken from the first sentence of a one-line ad
+const MAX_TITLE_LENGTH = 80;
+const TITLE_WORDS = 8;
+
+// "--- Página 3 ---", "=== page 3 ===", "PÁG. 3": the ads below go to page3.json
+const PAGE_MARKER =
+  /^\s*[-=#*]*\s*(?:p[áa]gina|p[áa]g\.?|page)\s*(\d+)\s*[-=#*]*\s*$/i;
+
+// Lines that only separate ads ("***", "-----")
+const SEPARATOR_LINE = /^\s*[-=*_~·•]{3,}\s*$/;
+
+// Abbreviations that do not end a sentence ("3 dorm. en Wanchaq")
+const ABBREVIATIONS = new Set(
+  (
+    "av jr urb calle psje pje apv asoc mz lt nro n dpto dorm hab sr sra srta " +
+    "dr dra ing lic prof ref aprox tel telf cel s us etc int esq prox cdra " +
+    "cda sto sta"
+  ).split(" ")
+);
+
+// Words before a phone number, removed with it from the description
+const PHONE_LABEL =
+  "(?:(?:informes|inf|contacto|cont|llamar(?:\\s+al)?|tel[eé]fonos?|telfs?|tel|fonos?|cel(?:ulares?)?|whats\\s?app|wsp|wasap)\\.?\\s*:?\\s*)";
+const PHONE_LABEL_PATTERN = new RegExp(`${PHONE_LABEL}$`, "i");
+
+// A run of digits that may be a phone number: "984 123 456", "(084) 23-1234",
+// "+51 984123456", "984123456 974111222"
+const PHONE_CANDIDATE =
+  /(?:\+?51[\s-]?)?(?:\(0?\d{2}\)\s?)?\d(?:[\s-]?\d){5,19}/g;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const EMAIL_LABEL_PATTERN =
+  /(?:(?:o|y)\s+)?(?:escribir|escr[ií]benos|correo|e-?mail)(?:\s+al?)?\.?\s*:?\s*$/i;
+
+// Addresses and reference points as ads write them
+const ADDRESS_PATTERN =
+  /\b(?:Av|Jr|Urb|Calle|Psje|Pje|APV|Asoc|Mz)\.?\s+[^,;()]+?(?=[,;()]|\.\s|\.?$)/i;
+const REFERENCE_PATTERN =
+  /\b(?:ref\.?:?|referencia:?|frente a|cerca (?:a|de)l?|al costado de|a (?:una|media|dos|tres|\d+) cuadras? de|pasando)\s+[^,;()]+?(?=[,;()]|\.\s|\.?$)/i;
+
+/**
+ * Number written with thousands separators ("9,600", "1.500") as an integer
+ */
+function parseInteger(text) {
+  return parseInt(text.replace(/[.,](?=\d{3}\b)/g, ""), 10);
+}
+
+/**
+ * Key attributes found in the text. Each rule gives a value for one registry
+ * key, or undefined; only keys the registry defines for the ad's category and
+ * subcategory are kept.
+ */
+const ATTRIBUTE_RULES = {
+  tipo_contrato: (text) => {
+    if (/\banticr[eé]sis\b/i.test(text)) return "anticresis";
+    if (/\b(alquil\w*|se alquila|renta)\b/i.test(text)) return "alquiler";
+    if (/\b(vendo|venta|se vende|remato)\b/i.test(text)) return "venta";
+    return undefined;
+  },
+  dormitorios: (text) => {
+    const match = /\b(\d{1,2})\s*(?:dormitorios?|dorms?\.?|habitaciones)/i.exec(
+      text
+    );
+    return match ? parseInt(match[1], 10) : undefined;
+  },
+  banos: (text) => {
+    const match = /\b(\d{1,2})\s*baños?\b/i.exec(text);
+    return match ? parseInt(match[1], 10) : undefined;
+  },
+  area_terreno_m2: (text) => {
+    const match =
+      /(\d[\d.,]*)\s*(?:m2|m²|mts2?|metros cuadrados)\s*de\s*terreno/i.exec(
+        text
+      );
+    return match ? parseInteger(match[1]) : undefined;
+  },
+  area_construida_m2: (text) => {
+    const match =
+      /(\d[\d.,]*)\s*(?:m2|m²|mts2?|metros cuadrados)\s*(?:de\s*)?(?:área\s*)?constru/i.exec(
+        text
+      );
+    return match ? parseInteger(match[1]) : undefined;
+  },
+  area_m2: (text) => {
+    const match =
+      /(\d[\d.,]*)\s*(?:m2|m²|mts2?|metros cuadrados)(?!\s*(?:de\s*terreno|(?:de\s*)?(?:área\s*)?constru))/i.exec(
+        text
+      );
+    return match ? parseInteger(match[1]) : undefined;
+  },
+  pisos: (text) => {
+    const match = /\b(\d{1,2})\s*pisos\b/i.exec(text);
+    return match ? parseInt(match[1], 10) : undefined;
+  },
+  cocheras: (text) => {
+    const match = /\b(\d{1,2})\s*cocheras?\b/i.exec(text);
+    return match ? parseInt(match[1], 10) : undefined;
+  },
+  amoblado: (text) =>
+    /\b(amoblad[oa]s?|amueblad[oa]s?)\b/i.test(text) ? true : undefined,
+  // Only after "año" or "modelo": a bare year may be a price ("Precio $ 2000")
+  ano: (text) => {
+    const match =
+      /\b(?:año|modelo|mod\.?)\s*:?\s*((?:19[89]|20[0-3])\d)\b/i.exec(text);
+    return match ? parseInt(match[1], 10) : undefined;
+  },
+  // A distance ("a 5 km de la plaza") is not a mileage: only figures after
+  // "recorrido", or in the thousands
+  kilometraje: (text) => {
+    for (const match of text.matchAll(
+      /(recorrido\W{0,3})?(\d[\d.,]*)\s*(?:km|kms|kilómetros)\b/gi
+    )) {
+      const value = parseInteger(match[2]);
+      if (match[1] || value >= 1000) return value;
+    }
+    return undefined;
+  },
+  transmision: (text) => {
+    if (/\bautom[aá]tic[oa]\b/i.test(text)) return "automatico";
+    if (/\bmec[aá]nic[oa]\b/i.test(text)) return "mecanico";
+    return undefined;
+  },
+  combustible: (text) => {
+    const match = /\b(gasolina|di[eé]sel|glp|gnv)\b/i.exec(text);
+    return match ? match[1].toLowerCase().replace("é", "e") : undefined;
+  },
+  condicion: (text) => {
+    // "nuevo" alone is too common ("nuevo hospital"): only "nuevo de paquete"
+    const match =
+      /\b(estreno|seminuev[oa]|usad[oa]|nuev[oa] de paquete)\b/i.exec(text);
+    if (!match) return undefined;
+    const word = match[1].toLowerCase();
+    if (word.startsWith("nuev")) return "nuevo";
+    return word.replace(/a$/, "o");
+  },
+  experiencia_requerida: (text) => {
+    if (/\bcon o sin experiencia\b/i.test(text)) return "con_o_sin_experiencia";
+    if (/\bcon experiencia\b/i.test(text)) return true;
+    return undefined;
+  },
+};
+
+/**
+ * Split a text into pages of ads. Page markers ("--- Página 3 ---") start a
+ * new page; ads before any marker have page null (the caller decides).
+ * Returns [{ page, ads: [text] }], where each ad is one paragraph with its
+ * line breaks.
+ */
+function splitPages(text) {
+  const pages = [{ page: null, ads: [] }];
+  let lines = [];
+  const flush = () => {
+    const ad = lines.join("\n").trim();
+    if (ad) pages[pages.length - 1].ads.push(ad);
+    lines = [];
+  };
+  const textLines = String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+  for (const line of textLines) {
+    const marker = PAGE_MARKER.exec(line);
+    if (marker) {
+      flush();
+      pages.push({ page: parseInt(marker[1], 10), ads: [] });
+    } else if (!line.trim() || SEPARATOR_LINE.test(line)) {
+      flush();
+    } else {
+      lines.push(line.trim());
+    }
+  }
+  flush();
+  return pages.filter((entry, i) => i > 0 || entry.ads.length > 0);
+}
+
+/**
+ * Sentences of a line, not splitting after abbreviations ("Av.", "dorm.")
+ */
+function splitSentences(text) {
+  const sentences = [];
+  let start = 0;
+  const pattern = /[.!?:](?=\s+[A-ZÁÉÍÓÚÑ¡¿"$0-9])/g;
+  for (const match of text.matchAll(pattern)) {
+    const before = text.slice(start, match.index);
+    const lastWord = (before.match(/([a-záéíóúñ]+)$/i) || [])[1];
+    if (
+      match[0] === "." &&
+      lastWord &&
+      ABBREVIATIONS.has(lastWord.toLowerCase())
+    )
+      continue;
+    sentences.push(text.slice(start, match.index + 1).trim());
+    start = match.index + 1;
+  }
+  sentences.push(text.slice(start).trim());
+  return sentences.filter(Boolean);
+}
+
+/**
+ * Titles typed in capitals: "ALQUILO DEPARTAMENTO EN WANCHAQ" is read as a
+ * sentence ("Alquilo departamento en wanchaq") and the leading words of
+ * "VENDO CASA en Santiago" are capitalized ("Vendo Casa en Santiago")
+ */
+function fixCapitals(text) {
+  if (!/[a-záéíóúñ]/.test(text)) {
+    const lower = text.toLowerCase();
+    return lower.charAt(0).toUpperCase() + lower.slice(1);
+  }
+  return text.replace(/^(?:[A-ZÁÉÍÓÚÑ]{2,}\b\s*)+/, (words) =>
+    words.toLowerCase().replace(/(^|\s)(\S)/g, (match) => match.toUpperCase())
+  );
+}
+
+/**
+ * Title and description of an ad. With several lines the first one is the
+ * title; otherwise it is the first sentence, or the first words when that
+ * sentence is too long (flagged).
+ */
+function splitTitle(text, flags) {
+  const lines = text.split("\n");
+  if (lines.length > 1) {
+    return { title: lines[0], description: lines.slice(1).join("\n") };
+  }
+  const [first, ...rest] = splitSentences(text);
+  let title = first.replace(/[.:]$/, "");
+  if (title.length > MAX_TITLE_LENGTH) {
+    title = title
+      .split(/\s+/)
+      .slice(0, TITLE_WORDS)
+      .join(" ")
+      .replace(/[,;:]$/, "");
+    flags.push({
+      path: "title",
+      message: "made from the first words of the ad, please review",
+    });
+    return { title, description: text };
+  }
+  return { title, description: rest.length > 0 ? rest.join(" ") : text };
+}
+
+/**
+ * Phone numbers of an ad, as written. Mobiles are taken anywhere; landlines
+ * only after a label ("Telf.", "Informes") or when written with an area code
+ * or a dash, so that prices and measures are not read as phones. Returns
+ * { phones, spans } where spans are the [start, end) offsets of the numbers
+ * and their labels in the text.
+ */
+function extractPhones(text) {
+  // Prices are not phones ("S/ 250000")
+  let masked = text;
+  for (const price of extractPrices(text)) {
+    masked = masked.replace(price.text, " ".repeat(price.text.length));
+  }
+  const phones = [];
+  const spans = [];
+  for (const match of masked.matchAll(PHONE_CANDIDATE)) {
+    const candidate = match[0].trim();
+    const { numbers, errors } = parsePhoneNumbers(candidate);
+    if (numbers.length === 0 || errors.length > 0) continue;
+    const before = text.slice(0, match.index);
+    const label = PHONE_LABEL_PATTERN.exec(before);
+    const isMobile = numbers.every((number) => number.type === "mobile");
+    if (!isMobile && !label && !/[-()]/.test(candidate)) continue;
+    phones.push(candidate);
+    spans.push([
+      label ? label.index : match.index,
+      match.index + match[0].length,
+    ]);
+  }
+  return { phones, spans };
+}
+
+/**
+ * Remove the given spans from a text and tidy the punctuation left around
+ * them ("Informes: 984123456 / 974111222." -> "")
+ */
+function removeSpans(text, spans) {
+  let result = text;
+  [...spans]
+    .sort((a, b) => b[0] - a[0])
+    .forEach(([start, end]) => {
+      result = `${result.slice(0, start)} ${result.slice(end)}`;
+    });
+  return result
+    .split("\n")
+    .map((line) =>
+      line
+        .replace(/(^|\s)(?:[\/|-]|y|o)(?=\s*(?:[\/|,;.]|$))/g, "$1")
+        .replace(/[ \t]{2,}/g, " ")
+        .replace(/\s+([.,;:])/g, "$1")
+        .replace(/([,;:])\s*(?=[.,;:]|$)/g, "")
+        .replace(/\.(\s*\.)+/g, ".")
+        .replace(/^[\s.,;:\/]+/, "")
+        .trim()
+    )
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * District of an ad: from its address and reference point, else from its
+ * sentences starting with the last one (ads usually close with the place),
+ * else from the whole text. A long text easily names places of several
+ * districts, which the gazetteer takes as ambiguous.
+ */
+function findAdDistrict(text, { address, referencePoint }) {
+  const place = [address, referencePoint].filter(Boolean).join(" ; ");
+  if (place) {
+    const found = inferDistrict(place);
+    if (found) return found;
+  }
+  for (const sentence of splitSentences(text).reverse()) {
+    const found = inferDistrict(sentence);
+    if (found) return found;
+  }
+  return inferDistrict(text);
+}
+
+/**
+ * Key attributes of an ad for its category and subcategory
+ */
+function extractAttributes(text, categorySlug, subcategorySlug) {
+  const definitions = getAttributeDefinitions(categorySlug, subcategorySlug);
+  const attributes = {};
+  for (const [key, rule] of Object.entries(ATTRIBUTE_RULES)) {
+    if (!definitions[key]) continue;
+    const value = rule(text);
+    if (value !== undefined && !Number.isNaN(value)) attributes[key] = value;
+  }
+  // A measure given as terrain or built area is not also the plain area
+  if (attributes.area_terreno_m2 === attributes.area_m2) {
+    delete attributes.area_m2;
+  }
+  return attributes;
+}
+
+/**
+ * Parse one ad (a paragraph of text) into a publication.
+ * `classifier` is a model from lib/classifier.js; without one there is no
+ * category and the publication does not validate.
+ * Returns:
+ *   publication: in the pageN.json format
+ *   flags:       { path, message } for what should be reviewed, including
+ *                the schema errors and warnings of the result
+ */
+function parseAd(text, { classifier = null } = {}) {
+  const flags = [];
+  const { title: rawTitle, description: rawDescription } = splitTitle(
+    text,
+    flags
+  );
+  const flatText = text.replace(/\n/g, " ");
+
+  const { phones, spans } = extractPhones(rawDescription);
+  const email = EMAIL_PATTERN.exec(rawDescription);
+  if (email) {
+    const label = EMAIL_LABEL_PATTERN.exec(
+      rawDescription.slice(0, email.index)
+    );
+    const start = label ? label.index : email.index;
+    spans.push([start, email.index + email[0].length]);
+  }
+  if (phones.length === 0) {
+    // The number may be in the title of a one-line ad
+    phones.push(...extractPhones(rawTitle).phones);
+  }
+  if (phones.length === 0) {
+    flags.push({
+      path: "contact.phones",
+      message: "no phone number found, please review",
+    });
+  }
+  const title = fixCapitals(
+    removeSpans(rawTitle, extractPhones(rawTitle).spans)
+  );
+  const description = removeSpans(rawDescription, spans) || title;
+
+  const publication = { title, description, images: [] };
+
+  if (classifier) {
+    const review = reviewLabels(classifier, { title, description });
+    Object.assign(publication, review.labels);
+    flags.push(...review.flags);
+  } else {
+    flags.push({
+      path: "categorySlug",
+      message: "no classifier model, the category must be filled in by hand",
+    });
+  }
+
+  const location = {};
+  const address = ADDRESS_PATTERN.exec(flatText);
+  if (address) location.address = address[0].trim();
+  const reference = REFERENCE_PATTERN.exec(flatText);
+  if (reference) location.referencePoint = reference[0].trim();
+  const inferred = findAdDistrict(flatText, location);
+  if (inferred) {
+    location.province = inferred.province.name;
+    location.district = inferred.district.name;
+  } else {
+    flags.push({
+      path: "location.district",
+      message: "no district found in the text, please review",
+    });
+  }
+  publication.location = location;
+
+  publication.contact = { phones };
+  if (email) publication.contact.email = email[0];
+
+  // One price goes to the price fields; with several, the first one is
+  // printed and the validator flags the rest (lib/prices.js)
+  const prices = extractPrices(flatText);
+  if (prices.length === 1) {
+    const [price] = prices;
+    publication.amount = price.amount;
+    if (price.maxAmount !== null) publication.maxAmount = price.maxAmount;
+    publication.currency = price.currency;
+    if (price.period) publication.pricePeriod = price.period;
+  }
+  if (/\bnegociable\b/i.test(flatText)) publication.negotiable = true;
+
+  if (publication.categorySlug) {
+    const attributes = extractAttributes(
+      flatText,
+      publication.categorySlug,
+      publication.subcategorySlug
+    );
+    if (Object.keys(attributes).length > 0) publication.attributes = attributes;
+  }
+
+  const { errors, warnings } = validatePublication(publication);
+  flags.push(...errors, ...warnings);
+  return { publication, flags };
+}
+
+module.exports = {
+  splitPages,
+  splitSentences,
+  extractPhones,
+  extractAttributes,
+  parseAd,
+};
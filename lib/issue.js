@@ -0,0 +1,113 @@
+/**
+ * Print issue codes.
+ *
+ * Issue folders are named after the printed edition, e.g.
+ * "R2621-ABRIL-24-25-26-27": issue number 2621, on sale April 24th to 27th.
+ * A range can cross into the next month ("R2630-ABRIL-29-30-MAYO-1-2"); when
+ * the month name is missing, a day lower than the previous one is taken as
+ * the next month. Codes carry no year, so it is inferred as the one that puts
+ * the issue closest to a reference date (the import or render date).
+ */
+
+const MONTHS = {
+  enero: 1,
+  febrero: 2,
+  marzo: 3,
+  abril: 4,
+  mayo: 5,
+  junio: 6,
+  julio: 7,
+  agosto: 8,
+  setiembre: 9,
+  septiembre: 9,
+  octubre: 10,
+  noviembre: 11,
+  diciembre: 12,
+};
+
+// Ads run in Cusco, so issue days end at midnight Peru time (UTC-5)
+const PERU_UTC_OFFSET = "-05:00";
+
+const pad = (number) => String(number).padStart(2, "0");
+
+/**
+ * Format a { year, month, day } as "YYYY-MM-DD"
+ */
+function toDateString({ year, month, day }) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Parse an issue code. Returns null when the code does not follow the
+ * R<number>-<MES>-<días> convention.
+ *
+ * Result: { code, number, dates: ["YYYY-MM-DD", ...], startDate, endDate }
+ */
+function parseIssueCode(code, referenceDate = new Date()) {
+  const tokens = String(code).trim().split("-").filter(Boolean);
+  const numberMatch = (tokens.shift() || "").match(/^R?(\d+)$/i);
+  if (!numberMatch) return null;
+
+  // Collect (month, day) pairs relative to a year offset of 0
+  const days = [];
+  let month = null;
+  let yearOffset = 0;
+  for (const token of tokens) {
+    const monthNumber = MONTHS[token.toLowerCase()];
+    if (monthNumber) {
+      if (month && monthNumber < month) yearOffset++;
+      month = monthNumber;
+      continue;
+    }
+    if (!/^\d{1,2}$/.test(token) || !month) return null;
+    const day = parseInt(token, 10);
+    const previous = days[days.length - 1];
+    if (previous && previous.month === month && day <= previous.day) {
+      // "ABRIL-29-30-1-2": the 1st is in the next month
+      month = month === 12 ? 1 : month + 1;
+      if (month === 1) yearOffset++;
+    }
+    days.push({ month, day, yearOffset });
+  }
+  if (days.length === 0) return null;
+
+  // Pick the year that puts the first day closest to the reference date
+  const referenceYear = referenceDate.getUTCFullYear();
+  let bestYear = referenceYear;
+  let bestDistance = Infinity;
+  for (const year of [referenceYear - 1, referenceYear, referenceYear + 1]) {
+    const first = Date.UTC(year, days[0].month - 1, days[0].day);
+    const distance = Math.abs(first - referenceDate.getTime());
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestYear = year;
+    }
+  }
+
+  const dates = days.map(({ month: m, day, yearOffset: offset }) =>
+    toDateString({ year: bestYear + offset, month: m, day })
+  );
+  return {
+    code,
+    number: parseInt(numberMatch[1], 10),
+    dates,
+    startDate: dates[0],
+    endDate: dates[dates.length - 1],
+  };
+}
+
+/**
+ * ISO timestamp for the last second of a "YYYY-MM-DD" date, Peru time,
+ * optionally `extraDays` later
+ */
+function endOfDayIso(dateString, extraDays = 0) {
+  const end = new Date(`${dateString}T23:59:59${PERU_UTC_OFFSET}`);
+  end.setUTCDate(end.getUTCDate() + extraDays);
+  return end.toISOString();
+}
+
+module.exports = {
+  MONTHS,
+  parseIssueCode,
+  endOfDayIso,
+};
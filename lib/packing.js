@@ -0,0 +1,211 @@
+/**
+ * Column packing of ads.
+ *
+ * The magazine flows ads through CSS columns and never splits one
+ * (break-inside: avoid), so an ad taller than what is left of a column moves
+ * to the next column and leaves a gap. Larger tiers make it worse: a
+ * full-column ad only fits in an empty column. Before rendering, a packer
+ * follows the flow with the height of every block and, when the next ad does
+ * not fit, pulls one of the following ads forward into the gap. Ads are never
+ * moved back, so the sort order is kept wherever there is no gap to fill.
+ *
+ * The packer also counts the pages the flow takes and the space left at the
+ * end of it, for page budgets (see planIssueLayout in generate_pdf_magazine.js).
+ *
+ * Heights are in any unit, as long as it is the same for the column and the
+ * blocks.
+ */
+
+// How many ads ahead a gap may be filled from: further ads stay in order
+const MAX_LOOKAHEAD = 8;
+
+/**
+ * Height of `columns` balanced columns holding blocks that are never split,
+ * in order: the shortest column height they fit in (as browsers balance the
+ * columns above a spanning block)
+ */
+function balancedHeight(blocks, columns) {
+  // Columns filled in order up to `height`: the height of each one
+  const fill = (height) => {
+    const filled = [0];
+    for (const block of blocks) {
+      const last = filled.length - 1;
+      if (filled[last] > 0 && filled[last] + block > height) filled.push(block);
+      else filled[last] += block;
+    }
+    return filled;
+  };
+  let low = Math.max(0, ...blocks);
+  let high = blocks.reduce((total, block) => total + block, 0);
+  while (high - low > 0.5 && fill(low).length > columns) {
+    const middle = (low + high) / 2;
+    if (fill(middle).length <= columns) high = middle;
+    else low = middle;
+  }
+  const best = fill(low).length <= columns ? low : high;
+  return Math.max(0, ...fill(best));
+}
+
+/**
+ * Packer for one flow of `columns` columns of `columnHeight`; with a
+ * `lookahead` of 0 it keeps the order and only counts. It keeps the space
+ * used in the current column across calls:
+ *   block(height, keepWithNext)
+ *                      a heading or other block that stays in place; with
+ *                      keepWithNext it moves along with the next block
+ *                      (break-after: avoid), like the headings of a section
+ *   spanAll(height)    a block across every column (column-span: all); the
+ *                      columns above it are balanced and start again below
+ *   setColumns(count)  the flow continues below in `count` columns, like a
+ *                      nested multi-column block that spans every column
+ *   pack(items)        reorders items ({ height, fullColumn }) to fill gaps
+ *                      and returns them in print order
+ *   newPage()          the flow continues on a new page (break-before: page)
+ *   pageCount()        pages used so far
+ *   gaps()             free height left in the current column and in each of
+ *                      the following columns of the page ([] on a new page)
+ */
+function createColumnPacker({
+  columnHeight,
+  columns = 1,
+  lookahead = MAX_LOOKAHEAD,
+}) {
+  // Space used in the current column, and where the columns of the current
+  // row of columns start on the page (below spanning blocks)
+  let used = 0;
+  let rowTop = 0;
+  let column = 0;
+  let rowBlocks = []; // Heights placed in the current row, for balancing
+  let page = 0;
+  let pageHasContent = false;
+  let kept = 0; // Height of the blocks waiting for the next one (keepWithNext)
+
+  function nextPage() {
+    if (pageHasContent) page++;
+    pageHasContent = false;
+    column = 0;
+    rowTop = 0;
+    rowBlocks = [];
+    used = 0;
+  }
+
+  function nextColumn() {
+    column++;
+    if (column >= columns) nextPage();
+    used = rowTop;
+  }
+
+  function place(blockHeight) {
+    const height = kept + blockHeight;
+    kept = 0;
+    if (used > rowTop && used + height > columnHeight) nextColumn();
+    used += height;
+    rowBlocks.push(height);
+    pageHasContent = true;
+  }
+
+  // Balance the columns of the current row and start a new one below a block
+  // of `height` across every column
+  function nextRow(height) {
+    let top = rowTop + balancedHeight(rowBlocks, columns);
+    if (top + height > columnHeight) {
+      nextPage();
+      top = 0;
+    }
+    rowTop = Math.min(top + height, columnHeight);
+    column = 0;
+    rowBlocks = [];
+    used = rowTop;
+  }
+
+  // A full-column ad goes at the top of a column, below the spanning blocks
+  // of the row when it fits there, and always on an empty page
+  function fits(item) {
+    if (item.fullColumn) {
+      return (
+        kept === 0 &&
+        used === rowTop &&
+        (rowTop === 0 || rowTop + item.height <= columnHeight)
+      );
+    }
+    return used + kept + item.height <= columnHeight;
+  }
+
+  return {
+    block(height, keepWithNext = false) {
+      if (keepWithNext) kept += height;
+      else place(height);
+    },
+
+    spanAll(height) {
+      if (kept > 0) place(0);
+      nextRow(height);
+      pageHasContent = true;
+    },
+
+    setColumns(count) {
+      if (kept > 0) place(0);
+      if (pageHasContent) nextRow(0);
+      columns = count;
+    },
+
+    newPage() {
+      if (kept > 0) place(0);
+      nextPage();
+    },
+
+    pageCount() {
+      return page + (pageHasContent || kept > 0 ? 1 : 0);
+    },
+
+    gaps() {
+      if (kept > 0) place(0);
+      if (!pageHasContent) return [];
+      const free = [columnHeight - used];
+      for (let next = column + 1; next < columns; next++) {
+        free.push(columnHeight - rowTop);
+      }
+      return free;
+    },
+
+    pack(items) {
+      const pending = [...items];
+      const packed = [];
+      while (pending.length > 0) {
+        let index = 0;
+        if (!fits(pending[0])) {
+          // Fill the gap with a following ad that fits, if any
+          const limit = Math.min(pending.length, lookahead + 1);
+          index = -1;
+          for (let i = 1; i < limit && index === -1; i++) {
+            if (!pending[i].fullColumn && fits(pending[i])) index = i;
+          }
+          if (index === -1) {
+            index = 0;
+            // A full-column ad breaks before itself, so the blocks kept with
+            // it stay behind
+            if (pending[0].fullColumn && kept > 0) place(0);
+            if (used > rowTop || pending[0].fullColumn) nextColumn();
+            // Every column of a page is tried at most once: a new page fits
+            for (
+              let moves = 0;
+              pending[0].fullColumn && !fits(pending[0]) && moves < columns;
+              moves++
+            ) {
+              nextColumn();
+            }
+          }
+        }
+        const [item] = pending.splice(index, 1);
+        place(item.fullColumn ? columnHeight - used : item.height);
+        packed.push(item);
+      }
+      return packed;
+    },
+  };
+}
+
+module.exports = {
+  MAX_LOOKAHEAD,
+  createColumnPacker,
+};
@@ -0,0 +1,93 @@
+/**
+ * Page numbers and bookmarks of rendered PDFs.
+ *
+ * Chromium writes a named destination for every element id a link points to
+ * (<a href="#cat-inmuebles">), so the page of each section can be read back
+ * from a first render to print the numbers of a table of contents. The same
+ * destinations anchor the outline (the bookmarks panel of PDF viewers).
+ */
+
+const {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+} = require("pdf-lib");
+
+/**
+ * Read the named destinations of a PDF.
+ * Returns a Map(id -> page number, starting at 1).
+ */
+async function readDestinations(pdfBytes) {
+  const doc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const pageRefs = doc.getPages().map((page) => page.ref.toString());
+  const destinations = new Map();
+  const dests = doc.catalog.lookup(PDFName.of("Dests"));
+  if (!(dests instanceof PDFDict)) return destinations;
+  for (const [name, value] of dests.entries()) {
+    const target = doc.context.lookup(value);
+    const array =
+      target instanceof PDFDict ? target.lookup(PDFName.of("D")) : target;
+    if (!(array instanceof PDFArray)) continue;
+    const pageIndex = pageRefs.indexOf(array.get(0).toString());
+    if (pageIndex >= 0) destinations.set(name.decodeText(), pageIndex + 1);
+  }
+  return destinations;
+}
+
+/**
+ * Add an outline to a PDF. `entries` is a tree of { title, id, children }
+ * where id is a named destination (an element id). Entries whose id has no
+ * destination are left out. Returns the new PDF bytes.
+ */
+async function addOutline(pdfBytes, entries, { title } = {}) {
+  const doc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const destinations = await readDestinations(pdfBytes);
+  const context = doc.context;
+
+  // Builds the items of one level under `parentRef`; returns their refs and
+  // the number of visible items below (every level is shown open)
+  function buildLevel(levelEntries, parentRef) {
+    const present = levelEntries.filter((entry) => destinations.has(entry.id));
+    const refs = present.map(() => context.nextRef());
+    let visible = 0;
+    present.forEach((entry, i) => {
+      const item = context.obj({});
+      item.set(PDFName.of("Title"), PDFHexString.fromText(entry.title));
+      item.set(PDFName.of("Parent"), parentRef);
+      item.set(PDFName.of("Dest"), PDFName.of(entry.id));
+      if (i > 0) item.set(PDFName.of("Prev"), refs[i - 1]);
+      if (i < refs.length - 1) item.set(PDFName.of("Next"), refs[i + 1]);
+      const children = buildLevel(entry.children || [], refs[i]);
+      if (children.refs.length > 0) {
+        item.set(PDFName.of("First"), children.refs[0]);
+        item.set(PDFName.of("Last"), children.refs[children.refs.length - 1]);
+        item.set(PDFName.of("Count"), PDFNumber.of(children.visible));
+      }
+      context.assign(refs[i], item);
+      visible += 1 + children.visible;
+    });
+    return { refs, visible };
+  }
+
+  const outlinesRef = context.nextRef();
+  const top = buildLevel(entries, outlinesRef);
+  const outlines = context.obj({ Type: "Outlines" });
+  if (top.refs.length > 0) {
+    outlines.set(PDFName.of("First"), top.refs[0]);
+    outlines.set(PDFName.of("Last"), top.refs[top.refs.length - 1]);
+    outlines.set(PDFName.of("Count"), PDFNumber.of(top.visible));
+  }
+  context.assign(outlinesRef, outlines);
+  doc.catalog.set(PDFName.of("Outlines"), outlinesRef);
+  doc.catalog.set(PDFName.of("PageMode"), PDFName.of("UseOutlines"));
+  if (title) doc.setTitle(title);
+  return doc.save();
+}
+
+module.exports = {
+  readDestinations,
+  addOutline,
+};
@@ -0,0 +1,162 @@
+/**
+ * Peruvian phone numbers.
+ *
+ * Ads write numbers in many ways: "984 123 456", "+51 984123456",
+ * "(084) 23-1234", "231234" (a Cusco landline without its area code) or
+ * several numbers in one string ("984123456 / 084-231234"). This module
+ * splits and parses them into E.164 numbers ("+51984123456", "+5184231234")
+ * while keeping the text as written for display.
+ */
+
+const COUNTRY_CODE = "51";
+
+// Area code assumed for 6-digit landlines: the magazine is printed in Cusco
+const DEFAULT_AREA_CODE = "84";
+
+// Two-digit area codes of the provinces (Lima is "1", with 7-digit numbers)
+const AREA_CODES = new Set([
+  "41", "42", "43", "44",
+  "51", "52", "53", "54", "56",
+  "61", "62", "63", "64", "65", "66", "67",
+  "72", "73", "74", "76",
+  "82", "83", "84",
+]);
+
+// Separators between several numbers in one string
+const SEPARATOR_PATTERN = /\s*(?:[\/,;|\n]|\s+(?:y|o)\s+)\s*/i;
+
+/**
+ * Parse the digits of one number (without separators). Returns
+ * { e164, type } where type is "mobile" or "landline", or null.
+ */
+function parseDigits(digits) {
+  let national = digits;
+  // Country code: "51984123456", "005184231234"
+  if (national.startsWith("00" + COUNTRY_CODE)) national = national.slice(4);
+  else if (national.startsWith(COUNTRY_CODE) && national.length >= 10) {
+    national = national.slice(2);
+  }
+  // Trunk prefix of landlines: "084231234", "017654321"
+  if (national.startsWith("0")) national = national.slice(1);
+
+  if (/^9\d{8}$/.test(national)) {
+    return { e164: `+${COUNTRY_CODE}${national}`, type: "mobile" };
+  }
+  if (/^1\d{7}$/.test(national)) {
+    return { e164: `+${COUNTRY_CODE}${national}`, type: "landline" };
+  }
+  if (/^\d{8}$/.test(national) && AREA_CODES.has(national.slice(0, 2))) {
+    return { e164: `+${COUNTRY_CODE}${national}`, type: "landline" };
+  }
+  if (/^[2-8]\d{5}$/.test(national) && digits === national) {
+    return {
+      e164: `+${COUNTRY_CODE}${DEFAULT_AREA_CODE}${national}`,
+      type: "landline",
+    };
+  }
+  return null;
+}
+
+/**
+ * Parse one chunk of text holding a single number, or several mobiles
+ * written one after the other ("984123456 974111222")
+ */
+function parseChunk(text) {
+  const digits = text.replace(/\D/g, "");
+  const single = parseDigits(digits);
+  if (single) return [single];
+  if (digits.length > 9 && digits.length % 9 === 0) {
+    const parts = digits.match(/\d{9}/g).map(parseDigits);
+    if (parts.every((part) => part && part.type === "mobile")) return parts;
+  }
+  return null;
+}
+
+/**
+ * Parse a phone string that may hold several numbers.
+ * Returns { numbers: [{ e164, type, display }], errors: [message] }.
+ */
+function parsePhoneNumbers(text) {
+  const numbers = [];
+  const errors = [];
+  const chunks = String(text || "")
+    .split(SEPARATOR_PATTERN)
+    .map((chunk) => chunk.trim())
+    .filter(Boolean);
+
+  for (const chunk of chunks) {
+    const parsed = parseChunk(chunk);
+    if (!parsed) {
+      errors.push(`"${chunk}" is not a valid Peruvian phone number`);
+      continue;
+    }
+    // A chunk with several numbers is displayed number by number
+    parsed.forEach((number) =>
+      numbers.push({
+        ...number,
+        display: parsed.length === 1 ? chunk : formatPhoneNumber(number.e164),
+      })
+    );
+  }
+  return { numbers, errors };
+}
+
+/**
+ * Parse every entry of contact.phones, dropping repeated numbers.
+ * Returns { numbers, errors } like parsePhoneNumbers; errors carry the index
+ * of the entry: { index, message }.
+ */
+function parsePhoneList(phones) {
+  const numbers = [];
+  const errors = [];
+  const seen = new Set();
+  (phones || []).forEach((phone, index) => {
+    const result = parsePhoneNumbers(phone);
+    result.errors.forEach((message) => errors.push({ index, message }));
+    for (const number of result.numbers) {
+      if (seen.has(number.e164)) continue;
+      seen.add(number.e164);
+      numbers.push(number);
+    }
+  });
+  return { numbers, errors };
+}
+
+/**
+ * National number of an E.164 number: "+51984123456" -> "984123456"
+ */
+function nationalNumber(e164) {
+  return e164.replace(`+${COUNTRY_CODE}`, "");
+}
+
+/**
+ * Readable form of an E.164 number: "984 123 456", "(084) 23 1234",
+ * "(01) 765 4321"
+ */
+function formatPhoneNumber(e164) {
+  const national = nationalNumber(e164);
+  if (national.startsWith("9")) {
+    return national.replace(/^(\d{3})(\d{3})(\d{3})$/, "$1 $2 $3");
+  }
+  if (national.startsWith("1")) {
+    return national.replace(/^1(\d{3})(\d{4})$/, "(01) $1 $2");
+  }
+  return national.replace(/^(\d{2})(\d{2})(\d{4})$/, "(0$1) $2 $3");
+}
+
+/**
+ * Number for wa.me links ("51984123456"), or null for landlines
+ */
+function whatsappNumber(number) {
+  return number.type === "mobile" ? number.e164.slice(1) : null;
+}
+
+module.exports = {
+  COUNTRY_CODE,
+  DEFAULT_AREA_CODE,
+  parsePhoneNumbers,
+  parsePhoneList,
+  nationalNumber,
+  formatPhoneNumber,
+  whatsappNumber,
+};
@@ -0,0 +1,224 @@
+/**
+ * Prices.
+ *
+ * Most ads state their price only in the description ("S/35", "$ 37,000",
+ * "S/50-70 mensual"). extractPrices() pulls amounts, ranges, currency and
+ * period out of free text, and resolvePrice() applies the one rule both tools
+ * follow to tell apart a price, a price range, a free ad and an ad without a
+ * price:
+ *
+ *   fixed  amount > 0, from the JSON fields or the first price in the text
+ *   range  maxAmount > amount, or a range in the text ("S/50-70")
+ *   free   amount is explicitly 0, or the ad itself is free ("gratis" of the
+ *          item in the title, or next to "precio" or a currency) and there
+ *          is no price
+ *   none   no amount anywhere: "Consultar precio", never shown as free
+ *
+ * Several prices in the text are not a range ("Cuarto S/350, garantía
+ * S/700"): the first one is used and the validator warns about the rest.
+ */
+
+const PERIODS = {
+  hour: { pattern: /^(por|x|la|\/)\s*hora\b/, label: "por hora" },
+  day: { pattern: /^((por|x|al|\/)\s*d[ií]a\b|diari[oa]s?\b)/, label: "por día" },
+  night: { pattern: /^(por|x|la|\/)\s*noche\b/, label: "por noche" },
+  week: { pattern: /^((por|x|a la|\/)\s*semana\b|semanal(es)?\b)/, label: "por semana" },
+  month: { pattern: /^((por|x|al|\/)\s*mes\b|mensual(es)?\b)/, label: "al mes" },
+  year: { pattern: /^((por|x|al|\/)\s*año\b|anual(es)?\b)/, label: "al año" },
+};
+
+// "Gratis" only makes the ad free when it says so of the ad, not of an extra
+// ("wifi gratis"): next to "precio" or a currency anywhere, or in the title
+// (see isFreeTitle)
+const FREE_WORDS = "(?:gratis|gratuit[oa]s?|sin costo|libre)";
+const FREE_PRICE_PATTERN = new RegExp(
+  `\\b(?:precio|costo|valor|entrada|ingreso|inscripci[oó]n)\\s*(?:es\\s*)?:?\\s*${FREE_WORDS}\\b|\\b${FREE_WORDS}\\s*:?\\s*(?:S\\/\\.?|US\\$|\\$)\\s*0\\b`,
+  "i"
+);
+
+// In a title "libre" means available ("Cuarto libre"), not free
+const TITLE_FREE_WORDS = "(?:gratis|gratuit[oa]s?|sin costo)";
+const FREE_TITLE_START = new RegExp(`^\\W*${TITLE_FREE_WORDS}\\b`, "i");
+// The words before the first free word of the first clause of the title
+const FREE_TITLE_ITEM = new RegExp(
+  `^\\s*([^,.;:!?]*?)\\s+${TITLE_FREE_WORDS}\\b`,
+  "i"
+);
+// Words that make "gratis" part of an extra: "con wifi gratis", "agua y luz
+// gratis", "primera clase gratis"
+const EXTRA_WORDS =
+  /(?:^|\s)(?:con|incluye|m[aá]s|y|e|\+|primer[ao]?|1r?[ao]|1er)(?=\s|$)/i;
+// What businesses give away to win clients, never the ad itself
+const GIVEAWAYS =
+  /^(?:evaluaci[oó]n|consulta|diagn[oó]stico|cotizaci[oó]n|presupuesto|asesor[ií]a|revisi[oó]n|delivery|env[ií]o|instalaci[oó]n|wifi|internet|cable|agua|luz|cochera|estacionamiento|degustaci[oó]n|muestra)(?:es|s)?\b/i;
+// Most words an item takes before "gratis": "Taller de pintura gratis"
+const MAX_ITEM_WORDS = 3;
+
+// "37,000" "1.500" "35.50" "2,000.00" "120 000" "450". Groups separated by
+// spaces stop at two, so that a phone number after a price is not read as
+// part of it ("S/ 350 984 123 456")
+const NUMBER =
+  "\\d{1,3}(?:[.,]\\d{3})+(?:[.,]\\d{1,2})?|\\d{1,3}(?: \\d{3}){1,2}(?![ ]?\\d)(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?";
+const RANGE = `(${NUMBER})(?:\\s*(?:-|–|a|al|hasta)\\s*(?:S\\/\\.?|US\\$|\\$)?\\s*(${NUMBER}))?`;
+
+// Currency before the amount ("S/ 35", "$37,000", "US$ 500") or after it
+// ("2,000 soles", "500 USD", "120 dólares")
+const PRICE_PATTERN = new RegExp(
+  `(S\\/\\.?|US\\$|\\$)\\s*${RANGE}|${RANGE}\\s*(soles|d[oó]lares|usd|pen)\\b`,
+  "gi"
+);
+
+/**
+ * Parse a number written with thousands separators or decimals:
+ * a separator followed by exactly three digits groups thousands
+ */
+function parseAmount(text) {
+  const parts = text.replace(/ /g, "").split(/[.,]/);
+  const last = parts[parts.length - 1];
+  if (parts.length > 1 && last.length !== 3) {
+    return parseFloat(`${parts.slice(0, -1).join("")}.${last}`);
+  }
+  return parseFloat(parts.join(""));
+}
+
+function currencyOf(symbol) {
+  return /^(S\/|soles|pen)/i.test(symbol) ? "PEN" : "USD";
+}
+
+/**
+ * Period stated right after a price ("S/800 mensual", "S/50 por día")
+ */
+function periodAfter(text) {
+  const next = text.trim().toLowerCase();
+  for (const [period, { pattern }] of Object.entries(PERIODS)) {
+    if (pattern.test(next)) return period;
+  }
+  return null;
+}
+
+/**
+ * Find every price in a text.
+ * Returns [{ amount, maxAmount, currency, period, text }] in text order;
+ * maxAmount is null unless the text gives a range.
+ */
+function extractPrices(text) {
+  const source = String(text || "");
+  const prices = [];
+  for (const match of source.matchAll(PRICE_PATTERN)) {
+    const [, prefix, from1, to1, from2, to2, suffix] = match;
+    const amount = parseAmount(from1 || from2);
+    const maxText = to1 || to2;
+    const maxAmount = maxText ? parseAmount(maxText) : null;
+    const end = match.index + match[0].length;
+    const after = source.slice(end, end + 20);
+    prices.push({
+      amount,
+      maxAmount: maxAmount !== null && maxAmount > amount ? maxAmount : null,
+      currency: currencyOf(prefix || suffix),
+      period: periodAfter(after),
+      text: match[0].trim(),
+    });
+  }
+  return prices;
+}
+
+/**
+ * Whether a title says the ad itself is free: "gratis" opens it ("Gratis:
+ * clases de yoga") or follows the item in the first clause ("Clases gratis de
+ * inglés", "Charla informativa gratuita"). Not after a comma or a period
+ * ("Cuarto amoblado, wifi gratis"), of an extra ("Cuarto con wifi gratis",
+ * "Primera clase gratis") or of a giveaway ("Evaluación gratis").
+ */
+function isFreeTitle(title) {
+  if (FREE_TITLE_START.test(title)) return true;
+  const match = FREE_TITLE_ITEM.exec(title);
+  if (!match) return false;
+  const item = match[1].trim();
+  return (
+    item.split(/\s+/).length <= MAX_ITEM_WORDS &&
+    !EXTRA_WORDS.test(item) &&
+    !GIVEAWAYS.test(item)
+  );
+}
+
+/**
+ * Decide the price of a publication from its fields and, when it has no
+ * amount, its title and description.
+ * Returns { kind, amount, maxAmount, currency, period, negotiable, source,
+ * ignored } where kind is "fixed", "range", "free" or "none", source is
+ * "fields", "text" or null and ignored lists the texts of the prices after
+ * the first one when the price comes from the text.
+ */
+function resolvePrice(publication) {
+  const negotiable = publication.negotiable || false;
+  const base = {
+    kind: "none",
+    amount: null,
+    maxAmount: null,
+    currency: null,
+    period: publication.pricePeriod || null,
+    negotiable,
+    source: null,
+    ignored: [],
+  };
+  const hasAmount =
+    publication.amount !== undefined && publication.amount !== null;
+  const text = `${publication.title || ""}. ${publication.description || ""}`;
+  const prices = extractPrices(text);
+
+  if (hasAmount) {
+    // The text may still say what the amount is for ("S/800 mensual")
+    const stated = prices.find((price) => price.amount === publication.amount);
+    const maxAmount =
+      publication.maxAmount > publication.amount ? publication.maxAmount : null;
+    let kind = "fixed";
+    if (publication.amount === 0) kind = "free";
+    else if (maxAmount !== null) kind = "range";
+    return {
+      ...base,
+      kind,
+      amount: publication.amount,
+      maxAmount,
+      currency: publication.currency || "PEN",
+      period: base.period || (stated ? stated.period : null),
+      source: "fields",
+    };
+  }
+
+  if (prices.length > 0) {
+    const [{ amount, maxAmount, currency, period }, ...others] = prices;
+    let kind = "fixed";
+    if (maxAmount !== null) kind = "range";
+    else if (amount === 0) kind = "free";
+    return {
+      ...base,
+      kind,
+      amount,
+      maxAmount,
+      currency,
+      period: base.period || period,
+      source: "text",
+      ignored: others.map((price) => price.text),
+    };
+  }
+
+  if (isFreeTitle(publication.title || "") || FREE_PRICE_PATTERN.test(text)) {
+    return { ...base, kind: "free", amount: 0, source: "text" };
+  }
+  return base;
+}
+
+/**
+ * Spanish label of a price period ("al mes"), or "" for none
+ */
+function periodLabel(period) {
+  return period && PERIODS[period] ? PERIODS[period].label : "";
+}
+
+module.exports = {
+  PERIODS,
+  extractPrices,
+  isFreeTitle,
+  resolvePrice,
+  periodLabel,
+};
@@ -0,0 +1,95 @@
+/**
+ * Loads the pageN.json files of an issue directory and validates every
+ * publication against the shared schema.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { validatePublication, formatValidationError } = require("./validation");
+const { reviewLabels } = require("./classifier");
+
+/**
+ * Extract the page number from a file name like "page12.json" (0 if none)
+ */
+function pageNumberOf(fileName) {
+  return parseInt(path.basename(fileName).match(/(\d+)/)?.[1] || 0, 10);
+}
+
+/**
+ * List the .json files of a directory, sorted by page number
+ */
+async function listPublicationFiles(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isFile() && path.extname(entry.name).toLowerCase() === ".json")
+    .map((entry) => entry.name)
+    .sort((a, b) => pageNumberOf(a) - pageNumberOf(b));
+}
+
+/**
+ * Load and validate every publication in a directory.
+ *
+ * With a `classifier` model (see lib/classifier.js), missing category slugs
+ * are filled in before validation and doubtful labels become warnings.
+ *
+ * Returns:
+ *   files:    names of the JSON files found, in page order
+ *   records:  one { file, index, publication, errors, warnings,
+ *             classification } per publication, where errors and warnings are
+ *             already formatted as "page7.json[3].field: message" and
+ *             classification is { filled, confidence } when slugs were filled in
+ *   fileErrors: { file, error } for files that could not be read or parsed
+ */
+async function loadPublicationDirectory(directory, { classifier = null } = {}) {
+  const files = await listPublicationFiles(directory);
+  const records = [];
+  const fileErrors = [];
+
+  for (const file of files) {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(path.join(directory, file), "utf-8"));
+    } catch (error) {
+      fileErrors.push({ file, error: error.message });
+      continue;
+    }
+    if (!Array.isArray(data)) {
+      fileErrors.push({ file, error: "expected an array of publications" });
+      continue;
+    }
+    data.forEach((source, index) => {
+      let publication = source;
+      let classification = null;
+      const flags = [];
+      if (classifier && source && typeof source === "object") {
+        const review = reviewLabels(classifier, source);
+        publication = { ...source, ...review.labels };
+        flags.push(...review.flags);
+        if (review.filled.length > 0) {
+          classification = {
+            filled: review.filled,
+            confidence: review.confidence,
+          };
+        }
+      }
+      const { errors, warnings } = validatePublication(publication);
+      const format = (issue) => formatValidationError(file, index, issue);
+      records.push({
+        file,
+        index,
+        publication,
+        errors: errors.map(format),
+        warnings: [...flags, ...warnings].map(format),
+        classification,
+      });
+    });
+  }
+
+  return { files, records, fileErrors };
+}
+
+module.exports = {
+  pageNumberOf,
+  listPublicationFiles,
+  loadPublicationDirectory,
+};
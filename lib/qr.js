@@ -0,0 +1,41 @@
+/**
+ * QR codes for print.
+ *
+ * Codes are drawn locally as inline SVG, never fetched from a QR service, so
+ * renders stay offline like the rest of the HTML (see lib/assets.js). The SVG
+ * has no size of its own: the theme sizes it with CSS.
+ */
+
+const QRCode = require("qrcode");
+
+// Light margin around the code, in modules, as the standard requires
+const QUIET_ZONE = 4;
+
+/**
+ * SVG of the QR code of `text`: one path with a rectangle per run of dark
+ * modules. errorCorrectionLevel is "L", "M", "Q" or "H"; lower levels give
+ * fewer, larger modules for long texts.
+ */
+function qrSvg(text, { errorCorrectionLevel = "M", color = "#000" } = {}) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel });
+  const size = modules.size + 2 * QUIET_ZONE;
+  const runs = [];
+  for (let row = 0; row < modules.size; row++) {
+    let start = -1;
+    for (let column = 0; column <= modules.size; column++) {
+      const dark = column < modules.size && modules.get(row, column);
+      if (dark && start === -1) start = column;
+      if (!dark && start !== -1) {
+        runs.push(
+          `M${start + QUIET_ZONE} ${row + QUIET_ZONE}h${column - start}v1h${start - column}z`
+        );
+        start = -1;
+      }
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/><path d="${runs.join("")}" fill="${color}"/></svg>`;
+}
+
+module.exports = {
+  qrSvg,
+};
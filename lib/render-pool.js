@@ -0,0 +1,262 @@
+/**
+ * PDF render pool.
+ *
+ * Launching Chromium takes longer than rendering most categories, so one
+ * browser is launched per run and shared: each job renders in its own page,
+ * `concurrency` pages at a time. A failed job is retried in a fresh page (and
+ * a fresh browser if it crashed) up to `retries` times. The caller can launch
+ * the browser itself (launchBrowser) to share it with the layout passes of
+ * measureHeights.
+ *
+ * The HTML is self-contained (see lib/assets.js): every network request is
+ * blocked and reported, so renders are offline and deterministic.
+ */
+
+const fs = require("fs");
+const puppeteer = require("puppeteer");
+
+const LAUNCH_OPTIONS = {
+  headless: true,
+  args: [
+    "--no-sandbox",
+    "--disable-setuid-sandbox",
+    "--disable-gpu",
+    "--font-render-hinting=none",
+  ],
+};
+const PAGE_TIMEOUT_MS = 90000;
+const PT_PER_CSS_PX = 0.75; // 1px = 1/96 in, 1pt = 1/72 in
+
+/**
+ * Launch a browser with LAUNCH_OPTIONS
+ */
+function launchBrowser() {
+  return puppeteer.launch(LAUNCH_OPTIONS);
+}
+
+/**
+ * Close a browser, killing its process when it does not exit (a crashed
+ * browser can leave Chromium running after it disconnects)
+ */
+async function closeBrowser(browser) {
+  await browser.close().catch(() => {});
+  const child = browser.process();
+  if (child && child.exitCode === null && child.signalCode === null) {
+    child.kill("SIGKILL");
+  }
+}
+
+/**
+ * Render one HTML document to PDF in a new page.
+ * Returns { pdf, warnings } with the PDF bytes and the warnings of the page
+ * (script errors, blocked requests).
+ */
+async function renderPdf(browser, html) {
+  const warnings = [];
+  const page = await browser.newPage();
+  try {
+    page.on("pageerror", (error) =>
+      warnings.push(`page error: ${error.message}`)
+    );
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      if (request.url().startsWith("data:")) {
+        request.continue();
+        return;
+      }
+      warnings.push(`blocked external request: ${request.url()}`);
+      request.abort();
+    });
+    await page.setContent(html, {
+      waitUntil: "load",
+      timeout: PAGE_TIMEOUT_MS,
+    });
+    await page.emulateMediaType("print");
+    const pdf = await page.pdf({
+      format: "A4",
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: "<span></span>",
+      footerTemplate: "<span></span>",
+      margin: { top: "0cm", right: "0cm", bottom: "0cm", left: "0cm" },
+      preferCSSPageSize: true,
+      timeout: PAGE_TIMEOUT_MS,
+    });
+    return { pdf, warnings };
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * Heights of the elements matching `selector`, in document order, in points
+ * and with their vertical margins, as laid out with print styles (without
+ * pagination). Measures in a new page of `browser` when given, and launches
+ * (and closes) a browser of its own otherwise.
+ */
+async function measureHeights(html, selector, { browser = null } = {}) {
+  const owned = browser ? null : await launchBrowser();
+  const page = await (browser || owned).newPage();
+  try {
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      if (request.url().startsWith("data:")) request.continue();
+      else request.abort();
+    });
+    await page.setContent(html, {
+      waitUntil: "load",
+      timeout: PAGE_TIMEOUT_MS,
+    });
+    await page.emulateMediaType("print");
+    await page.evaluate(() => document.fonts.ready);
+    return await page.evaluate(
+      (selector, ptPerPx) =>
+        [...document.querySelectorAll(selector)].map((element) => {
+          const style = getComputedStyle(element);
+          const height =
+            element.getBoundingClientRect().height +
+            parseFloat(style.marginTop) +
+            parseFloat(style.marginBottom);
+          return height * ptPerPx;
+        }),
+      selector,
+      PT_PER_CSS_PX
+    );
+  } finally {
+    await page.close().catch(() => {});
+    if (owned) await closeBrowser(owned);
+  }
+}
+
+/**
+ * Render jobs { label, outputPath, html, finish } with one shared browser.
+ * `html` is a string or a function returning it, called when the job starts
+ * so that only `concurrency` documents are held in memory. The optional
+ * finish(pdf, renderHtml) returns the bytes to save instead of the rendered
+ * PDF; renderHtml(html) renders another document in the same browser (for
+ * documents that need a second pass, like page numbers in a table of
+ * contents).
+ *
+ * onProgress(result) is called after every attempt; results are
+ *   { label, outputPath, ok, attempts, ms, error, warnings, retrying }
+ * where ms covers every attempt of the job, and retrying is true when the
+ * job will be attempted again.
+ *
+ * With `browser` the jobs start in that browser, which is left open for the
+ * caller to close; browsers launched here are closed before returning.
+ *
+ * Returns { results (in job order), launchMs, totalMs } (launchMs is 0 with
+ * `browser`). Throws when the browser cannot be launched.
+ */
+async function renderAll(
+  jobs,
+  {
+    browser: givenBrowser = null,
+    concurrency = 2,
+    retries = 2,
+    onProgress = () => {},
+  } = {}
+) {
+  const startedAt = Date.now();
+  let browser = givenBrowser || (await launchBrowser());
+  const launchMs = Date.now() - startedAt;
+  let relaunching = null;
+
+  // A crashed browser is closed and launched again once, whichever job
+  // notices first
+  async function connectedBrowser() {
+    if (browser.connected) return browser;
+    if (!relaunching) {
+      relaunching = closeBrowser(browser)
+        .then(launchBrowser)
+        .then(
+          (launched) => {
+            browser = launched;
+            relaunching = null;
+            return launched;
+          },
+          (error) => {
+            relaunching = null;
+            throw error;
+          }
+        );
+    }
+    return relaunching;
+  }
+
+  async function runJob(job) {
+    const jobStartedAt = Date.now();
+    let html = null;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        if (html === null) {
+          html = typeof job.html === "function" ? await job.html() : job.html;
+        }
+        const currentBrowser = await connectedBrowser();
+        const rendered = await renderPdf(currentBrowser, html);
+        const warnings = [...rendered.warnings];
+        let pdf = rendered.pdf;
+        if (job.finish) {
+          pdf = await job.finish(pdf, async (nextHtml) => {
+            const next = await renderPdf(currentBrowser, nextHtml);
+            warnings.push(...next.warnings);
+            return next.pdf;
+          });
+        }
+        fs.writeFileSync(job.outputPath, pdf);
+        const result = {
+          label: job.label,
+          outputPath: job.outputPath,
+          ok: true,
+          attempts: attempt,
+          ms: Date.now() - jobStartedAt,
+          error: null,
+          warnings,
+          retrying: false,
+        };
+        onProgress(result);
+        return result;
+      } catch (error) {
+        const result = {
+          label: job.label,
+          outputPath: job.outputPath,
+          ok: false,
+          attempts: attempt,
+          ms: Date.now() - jobStartedAt,
+          error,
+          warnings: [],
+          retrying: attempt <= retries,
+        };
+        onProgress(result);
+        if (!result.retrying) return result;
+      }
+    }
+  }
+
+  const results = new Array(jobs.length);
+  let next = 0;
+  async function worker() {
+    while (next < jobs.length) {
+      const index = next++;
+      results[index] = await runJob(jobs[index]);
+    }
+  }
+
+  try {
+    const workers = Math.max(1, Math.min(concurrency, jobs.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+  } finally {
+    if (relaunching) await relaunching.catch(() => {});
+    if (browser !== givenBrowser) await closeBrowser(browser);
+  }
+  return { results, launchMs, totalMs: Date.now() - startedAt };
+}
+
+module.exports = {
+  LAUNCH_OPTIONS,
+  launchBrowser,
+  closeBrowser,
+  renderPdf,
+  measureHeights,
+  renderAll,
+};
@@ -0,0 +1,194 @@
+/**
+ * HTML escaping and the markup allowed in ads.
+ *
+ * Texts of the page JSON files go into HTML templates (the magazine) and into
+ * the site database (the uploader), so markup in them must never reach either
+ * as is. Descriptions may keep the little inline markup printed classifieds
+ * use: bold lead words (<b>, <strong>), italics (<i>, <em>) and line breaks
+ * (<br> or a newline). Every other tag is removed, script and style elements
+ * with their content, and allowed tags lose their attributes. Titles and other
+ * fields are plain text.
+ *
+ * A "<" that does not open a tag ("menos de <100m²") is text, and so are
+ * entities, which are decoded ("A &amp; B" is "A & B"). sanitizeText() gives
+ * that text, which is what the uploader stores, and whoever renders it
+ * escapes it; sanitizeHtml() escapes it for HTML.
+ */
+
+const INLINE_TAGS = ["b", "strong", "i", "em", "br"];
+const VOID_TAGS = ["br"];
+
+// Elements removed together with their content
+const DROPPED_ELEMENTS = /<(script|style|iframe|object|template)\b[^>]*>[\s\S]*?(<\/\1\s*>|$)/gi;
+// An opening or closing tag, with any attributes
+const TAG = /<(\/?)([a-z][a-z0-9]*)\b[^>]*>/gi;
+// Control characters other than tab and newline
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000b-\u001f\u007f]/g;
+
+// Named entities decoded besides the numeric ones: the escapes and what
+// Spanish text uses. Others are left as they are.
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  aacute: "á",
+  eacute: "é",
+  iacute: "í",
+  oacute: "ó",
+  uacute: "ú",
+  uuml: "ü",
+  ntilde: "ñ",
+  Aacute: "Á",
+  Eacute: "É",
+  Iacute: "Í",
+  Oacute: "Ó",
+  Uacute: "Ú",
+  Uuml: "Ü",
+  Ntilde: "Ñ",
+  iexcl: "¡",
+  iquest: "¿",
+  deg: "°",
+  ordm: "º",
+  ordf: "ª",
+  sup2: "²",
+  euro: "€",
+};
+const ENTITY = /&(?:#(\d+)|#x([0-9a-f]+)|([a-z][a-z0-9]*));/gi;
+
+const ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escape text for HTML content and attribute values. null and undefined give
+ * "".
+ */
+function escapeHtml(text) {
+  if (text === undefined || text === null) return "";
+  return String(text).replace(/[&<>"']/g, (character) => ESCAPES[character]);
+}
+
+/**
+ * Decode the HTML entities of a text ("&amp;", "&ntilde;", "&#233;"). Unknown
+ * entities and invalid code points are left as they are.
+ */
+function decodeEntities(text) {
+  return String(text).replace(ENTITY, (entity, decimal, hex, name) => {
+    if (name) return Object.hasOwn(ENTITIES, name) ? ENTITIES[name] : entity;
+    const codePoint = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+    return codePoint > 0 && codePoint <= 0x10ffff
+      ? String.fromCodePoint(codePoint)
+      : entity;
+  });
+}
+
+/**
+ * Split a text into text runs and the allowed tags it keeps ({ text } or
+ * { tag, closing }), with the tags balanced: a closing tag without its
+ * opening one is dropped, and tags left open are closed at the end. Entities
+ * in the text runs are decoded.
+ */
+function tokenize(text, allowedTags) {
+  const source = String(text)
+    .replace(CONTROL_CHARACTERS, "")
+    .replace(DROPPED_ELEMENTS, "");
+  const tokens = [];
+  const open = [];
+  let last = 0;
+  for (const match of source.matchAll(TAG)) {
+    if (match.index > last) {
+      tokens.push({ text: decodeEntities(source.slice(last, match.index)) });
+    }
+    last = match.index + match[0].length;
+    const tag = match[2].toLowerCase();
+    if (!allowedTags.includes(tag)) continue;
+    if (VOID_TAGS.includes(tag)) {
+      if (!match[1]) tokens.push({ tag, closing: false });
+    } else if (!match[1]) {
+      open.push(tag);
+      tokens.push({ tag, closing: false });
+    } else if (open.includes(tag)) {
+      // Close the tags opened inside it too (<b><i>...</b>)
+      while (open.length > 0) {
+        const closed = open.pop();
+        tokens.push({ tag: closed, closing: true });
+        if (closed === tag) break;
+      }
+    }
+  }
+  if (last < source.length) {
+    tokens.push({ text: decodeEntities(source.slice(last)) });
+  }
+  while (open.length > 0) tokens.push({ tag: open.pop(), closing: true });
+  return tokens;
+}
+
+function tagHtml({ tag, closing }) {
+  return closing ? `</${tag}>` : `<${tag}>`;
+}
+
+/**
+ * Clean text for storage: tags other than the inline ones removed (all of
+ * them with markup: false), allowed tags without attributes and balanced,
+ * entities decoded, control characters removed and the ends trimmed. The
+ * text is not escaped: whoever renders it does.
+ */
+function sanitizeText(text, { markup = true } = {}) {
+  if (text === undefined || text === null) return text;
+  return tokenize(text, markup ? INLINE_TAGS : [])
+    .map((token) => (token.tag ? tagHtml(token) : token.text))
+    .join("")
+    .trim();
+}
+
+/**
+ * Clean text for HTML: as sanitizeText, with the text between the allowed
+ * tags escaped, so that no markup other than theirs gets through
+ * ("<img src=x onerror=..." without its ">" becomes "&lt;img src=x ...").
+ */
+function sanitizeHtml(text, { markup = true } = {}) {
+  if (text === undefined || text === null) return text;
+  return tokenize(text, markup ? INLINE_TAGS : [])
+    .map((token) => (token.tag ? tagHtml(token) : escapeHtml(token.text)))
+    .join("")
+    .trim();
+}
+
+/**
+ * HTML of a text with the allowed inline markup: everything else escaped
+ * (other tags are removed, as by sanitizeHtml) and newlines as <br>.
+ */
+function formatInlineMarkup(text) {
+  if (text === undefined || text === null) return "";
+  return sanitizeHtml(text).replace(/\r?\n/g, "<br>");
+}
+
+/**
+ * Tags of a text that sanitizeText removes, lowercase and without repeats
+ * (["script", "div"]), for warnings
+ */
+function findRemovedTags(text, { markup = true } = {}) {
+  if (typeof text !== "string") return [];
+  const allowed = markup ? INLINE_TAGS : [];
+  const tags = [...text.matchAll(TAG)]
+    .map((match) => match[2].toLowerCase())
+    .filter((tag) => !allowed.includes(tag));
+  return [...new Set(tags)];
+}
+
+module.exports = {
+  INLINE_TAGS,
+  escapeHtml,
+  decodeEntities,
+  sanitizeText,
+  sanitizeHtml,
+  formatInlineMarkup,
+  findRemovedTags,
+};
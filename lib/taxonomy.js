@@ -0,0 +1,69 @@
+/**
+ * Category taxonomy.
+ *
+ * lib/taxonomy/categories.json lists the categories, their subcategories and
+ * sub-subcategories with the names printed in the magazine, in the order of
+ * the sections. A section is addressed by its path of slugs, from the
+ * category down: ["inmuebles", "departamentos", "estudio-loft"]. Slugs the
+ * taxonomy does not list are named after the slug and sorted last.
+ */
+
+const taxonomy = require("./taxonomy/categories.json");
+
+/**
+ * "terrenos-lotes" -> "Terrenos lotes"
+ */
+function humanizeSlug(slug) {
+  const text = String(slug || "").replace(/-/g, " ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Taxonomy node of a section path, or null when a slug is not listed
+ */
+function findSection(slugs) {
+  let node = { subcategories: taxonomy.categories };
+  for (const slug of slugs) {
+    node = (node.subcategories || []).find((child) => child.slug === slug);
+    if (!node) return null;
+  }
+  return node;
+}
+
+/**
+ * Printed name of a section
+ */
+function sectionName(slugs) {
+  const node = findSection(slugs);
+  return node ? node.name : humanizeSlug(slugs[slugs.length - 1]);
+}
+
+/**
+ * Position of a section among its siblings; Infinity when not listed
+ */
+function sectionOrder(slugs) {
+  const parent = findSection(slugs.slice(0, -1));
+  const slug = slugs[slugs.length - 1];
+  const index = parent
+    ? (parent.subcategories || []).findIndex((child) => child.slug === slug)
+    : -1;
+  return index === -1 ? Infinity : index;
+}
+
+/**
+ * Sort comparator for sibling section paths: taxonomy order, then name
+ */
+function compareSections(a, b) {
+  const orderA = sectionOrder(a);
+  const orderB = sectionOrder(b);
+  if (orderA !== orderB) return orderA < orderB ? -1 : 1;
+  return sectionName(a).localeCompare(sectionName(b), "es");
+}
+
+module.exports = {
+  humanizeSlug,
+  findSection,
+  sectionName,
+  sectionOrder,
+  compareSections,
+};
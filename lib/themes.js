@@ -0,0 +1,227 @@
+/**
+ * Magazine themes.
+ *
+ * A theme is a directory (or an npm package) with a theme.json describing
+ * its fonts, colors, per-category palettes, layout options, ad tiers and
+ * house ads, plus the HTML templates and stylesheets the renderer fills in
+ * ({{placeholders}} with dotted paths, {{colors.primary}}). A theme can
+ * extend another one and only override what it changes. The theme.json
+ * format is described in themes/README.md.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { toDataUri } = require("./assets");
+
+const THEMES_DIR = path.join(__dirname, "..", "themes");
+const DEFAULT_THEME = "default";
+const TEMPLATE_NAMES = [
+  "document",
+  "section",
+  "publication",
+  "listing",
+  "issue",
+  "cover",
+  "toc",
+];
+
+/**
+ * Find the directory of a theme given as a path, a name under ./themes or
+ * the name of an installed package ("buscadis-theme-<name>" or "<name>")
+ */
+function resolveThemeDirectory(nameOrPath) {
+  const candidates = [
+    path.resolve(nameOrPath),
+    path.join(THEMES_DIR, nameOrPath),
+  ];
+  for (const candidate of candidates) {
+    if (fs.existsSync(path.join(candidate, "theme.json"))) return candidate;
+  }
+  for (const packageName of [`buscadis-theme-${nameOrPath}`, nameOrPath]) {
+    try {
+      return path.dirname(require.resolve(`${packageName}/theme.json`));
+    } catch (error) {
+      // Not installed: try the next name
+    }
+  }
+  throw new Error(
+    `Theme "${nameOrPath}" not found (looked in ${THEMES_DIR} and installed packages)`
+  );
+}
+
+/**
+ * Local file of a font face: relative to the theme directory or inside an
+ * installed package. Returns null when it cannot be found.
+ */
+function resolveFontFile(src, directory) {
+  const local = path.resolve(directory, src);
+  if (fs.existsSync(local)) return local;
+  try {
+    return require.resolve(src, { paths: [directory] });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load a theme and the themes it extends. Returns the merged theme:
+ * { name, directory, colors, fonts, palettes, tiers, houseAds, layout,
+ *   templates, styles, webStyles, webScripts }
+ * where templates holds the template sources and styles, webStyles and
+ * webScripts the stylesheet and script sources, parent themes first.
+ */
+function loadTheme(nameOrPath = DEFAULT_THEME, seen = []) {
+  const directory = resolveThemeDirectory(nameOrPath);
+  if (seen.includes(directory)) {
+    throw new Error(`Theme "${nameOrPath}" extends itself`);
+  }
+  const config = JSON.parse(
+    fs.readFileSync(path.join(directory, "theme.json"), "utf-8")
+  );
+  const parent = config.extends
+    ? loadTheme(config.extends, [...seen, directory])
+    : {
+        colors: {},
+        fonts: { imports: [], faces: [] },
+        palettes: {},
+        tiers: {},
+        houseAds: [],
+        layout: {},
+        templates: {},
+        styles: [],
+        webStyles: [],
+        webScripts: [],
+      };
+
+  const palettes = { ...parent.palettes };
+  for (const [category, palette] of Object.entries(config.palettes || {})) {
+    palettes[category] = { ...palettes[category], ...palette };
+  }
+  const tiers = { ...parent.tiers };
+  for (const [tier, options] of Object.entries(config.tiers || {})) {
+    tiers[tier] = { ...tiers[tier], ...options };
+  }
+  const readFiles = (files) =>
+    (files || []).map((file) =>
+      fs.readFileSync(path.join(directory, file), "utf-8")
+    );
+  const templates = { ...parent.templates };
+  for (const [name, file] of Object.entries(config.templates || {})) {
+    templates[name] = fs.readFileSync(path.join(directory, file), "utf-8");
+  }
+  const fonts = config.fonts || {};
+  const faces = (fonts.faces || []).map((face) => ({
+    ...face,
+    path: resolveFontFile(face.src, directory),
+  }));
+
+  const theme = {
+    name: config.name || path.basename(directory),
+    description: config.description || parent.description || "",
+    directory,
+    colors: { ...parent.colors, ...config.colors },
+    fonts: {
+      ...parent.fonts,
+      ...fonts,
+      // A theme that lists its own fonts does not need those of its parent
+      imports: fonts.imports || parent.fonts.imports,
+      faces: fonts.faces ? faces : parent.fonts.faces,
+    },
+    palettes,
+    tiers,
+    houseAds: config.houseAds || parent.houseAds,
+    layout: { ...parent.layout, ...config.layout },
+    templates,
+    styles: [...parent.styles, ...readFiles(config.stylesheets)],
+    webStyles: [...parent.webStyles, ...readFiles(config.webStylesheets)],
+    webScripts: [...parent.webScripts, ...readFiles(config.webScripts)],
+  };
+
+  if (seen.length === 0) {
+    const tierTemplates = Object.values(theme.tiers).map((tier) => tier.template);
+    const houseAdTemplates = theme.houseAds.length > 0 ? ["houseAd"] : [];
+    const missing = [
+      ...new Set([...TEMPLATE_NAMES, ...tierTemplates, ...houseAdTemplates]),
+    ].filter(
+      (name) => name && !theme.templates[name]
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `Theme "${theme.name}" has no ${missing.join(", ")} template`
+      );
+    }
+  }
+  return theme;
+}
+
+/**
+ * Colors of a category: the theme colors with the category palette (or the
+ * "default" palette) on top
+ */
+function getPalette(theme, categorySlug) {
+  return {
+    ...theme.colors,
+    ...(theme.palettes[categorySlug] || theme.palettes.default || {}),
+  };
+}
+
+/**
+ * Fill the {{placeholders}} of a template. Missing values render as "".
+ * Values are inserted as they are: they are HTML, escaped by the caller (see
+ * lib/sanitize.js).
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+    const value = key
+      .split(".")
+      .reduce((object, part) => (object == null ? undefined : object[part]), values);
+    return value === undefined || value === null ? "" : String(value);
+  });
+}
+
+/**
+ * CSS of a theme for one palette: the embedded font faces, then every
+ * stylesheet (the print ones, or `stylesheets`) rendered with
+ * { colors, fonts, layout }. Faces whose file is
+ * missing are left out (see checkThemeAssets in lib/assets.js). Faces use
+ * font-display: swap: with the default (block), Chromium can print the page
+ * margin boxes (headers, page numbers) of long documents as blank text.
+ */
+function renderStyles(theme, colors, stylesheets = theme.styles) {
+  const values = { colors, fonts: theme.fonts, layout: theme.layout };
+  const faces = theme.fonts.faces
+    .filter((face) => face.path && fs.existsSync(face.path))
+    .map(
+      (face) =>
+        `@font-face { font-family: '${face.family}'; font-display: swap; src: url('${toDataUri(face.path)}'); font-weight: ${face.weight || "normal"}; font-style: ${face.style || "normal"}; }`
+    );
+  return [
+    ...faces,
+    ...stylesheets.map((style) => renderTemplate(style, values)),
+  ].join("\n");
+}
+
+/**
+ * Names of the themes under ./themes
+ */
+function listThemes() {
+  if (!fs.existsSync(THEMES_DIR)) return [];
+  return fs
+    .readdirSync(THEMES_DIR, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        fs.existsSync(path.join(THEMES_DIR, entry.name, "theme.json"))
+    )
+    .map((entry) => entry.name);
+}
+
+module.exports = {
+  THEMES_DIR,
+  DEFAULT_THEME,
+  loadTheme,
+  getPalette,
+  renderTemplate,
+  renderStyles,
+  listThemes,
+};
@@ -0,0 +1,101 @@
+/**
+ * Addresses of publications on buscadis.com.
+ *
+ * The uploader stores every ad with a url_path made of its category, its
+ * subcategories, its short ID (id_corto) and a slug of its title:
+ * "/inmuebles/departamentos/10042-alquilo-departamento-3-dormitorios". The
+ * short ID is allocated by the database the first time an ad is imported, so
+ * the magazine cannot build the path on its own: it reads the url_path of each
+ * publication (by stable ID, see lib/identity.js) from the manifests the
+ * uploader writes for every import run (publication-uploader/imports.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SITE_URL = "https://buscadis.com";
+const MANIFESTS_DIR = path.join(
+  __dirname,
+  "..",
+  "publication-uploader",
+  "manifests"
+);
+
+/**
+ * Generate a URL-friendly slug from a title
+ */
+function generateSlug(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^\w\sáéíóúüñ]/g, "")
+    .replace(/\s+/g, "-")
+    .replace(/[áàäâ]/g, "a")
+    .replace(/[éèëê]/g, "e")
+    .replace(/[íìïî]/g, "i")
+    .replace(/[óòöô]/g, "o")
+    .replace(/[úùüû]/g, "u")
+    .replace(/ñ/g, "n")
+    .replace(/-+/g, "-")
+    .trim()
+    .substring(0, 80);
+}
+
+/**
+ * Path of a publication (as in the pageN.json files) on the site, given its
+ * short ID. Publications without a subcategory go under "general".
+ */
+function buildUrlPath(publication, shortId) {
+  const subcategory = publication.subcategorySlug || "general";
+  const subsubcategory = publication.subSubcategorySlug || "";
+  let urlPath = `/${publication.categorySlug}/${subcategory}`;
+  if (subsubcategory) {
+    urlPath += `/${subsubcategory}`;
+  }
+  return `${urlPath}/${shortId}-${generateSlug(publication.title)}`;
+}
+
+/**
+ * Full address of a url_path
+ */
+function publicationUrl(urlPath) {
+  return `${SITE_URL}${urlPath}`;
+}
+
+/**
+ * url_path of the publications of an issue by stable ID, from the manifests
+ * of its import runs in `directory` (later runs win). Repeated ads get the
+ * path of the record they were linked to. Returns an empty Map when the issue
+ * was never imported.
+ */
+function loadUrlPaths(issueCode, directory = MANIFESTS_DIR) {
+  const urlPaths = new Map();
+  if (!fs.existsSync(directory)) return urlPaths;
+  const manifests = fs
+    .readdirSync(directory)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) =>
+      JSON.parse(fs.readFileSync(path.join(directory, file), "utf-8"))
+    )
+    .filter((manifest) => manifest.issue_code === issueCode)
+    .sort((a, b) => String(a.started_at).localeCompare(String(b.started_at)));
+  for (const manifest of manifests) {
+    for (const entry of manifest.entries || []) {
+      if (entry.url_path) urlPaths.set(entry.id, entry.url_path);
+    }
+    for (const entry of manifest.entries || []) {
+      if (entry.duplicate_of && urlPaths.has(entry.duplicate_of)) {
+        urlPaths.set(entry.id, urlPaths.get(entry.duplicate_of));
+      }
+    }
+  }
+  return urlPaths;
+}
+
+module.exports = {
+  SITE_URL,
+  MANIFESTS_DIR,
+  generateSlug,
+  buildUrlPath,
+  publicationUrl,
+  loadUrlPaths,
+};
@@ -0,0 +1,223 @@
+/**
+ * Publication validation shared by the magazine generator and the uploader.
+ *
+ * Implements the subset of JSON Schema used by lib/schemas/publication.v1.json
+ * (type, enum, required, properties, additionalProperties, items, minItems,
+ * minLength, minimum, pattern and format) so neither tool needs an extra
+ * dependency to check the page JSON files.
+ */
+
+const publicationSchema = require("./schemas/publication.v1.json");
+const { normalizeAttributes } = require("./attributes");
+const { parsePhoneList } = require("./phones");
+const { resolveLocation } = require("./gazetteer");
+const { findRemovedTags } = require("./sanitize");
+const { resolvePrice } = require("./prices");
+
+const SCHEMA_VERSION = publicationSchema.version;
+
+const FORMATS = {
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  "date-time": (value) => !Number.isNaN(Date.parse(value)),
+};
+
+/**
+ * Return the JSON Schema type name of a value
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+  return actual === expected || (expected === "number" && actual === "integer");
+}
+
+/**
+ * Join a parent path and a child key ("location" + "district", "phones" + 0)
+ */
+function joinPath(parent, key) {
+  if (typeof key === "number") return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema node, collecting { path, message } errors
+ */
+function validateNode(value, schema, path, errors) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({
+        path,
+        message: `expected ${types.join(" or ")}, got ${typeOf(value)}`,
+      });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path,
+      message: `invalid value ${JSON.stringify(value)}. Allowed: ${schema.enum.join(", ")}`,
+    });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path, message: "must not be empty" });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({
+        path,
+        message: `${JSON.stringify(value)} does not match ${schema.pattern}`,
+      });
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push({
+        path,
+        message: `${JSON.stringify(value)} is not a valid ${schema.format}`,
+      });
+    }
+  }
+
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be >= ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        validateNode(item, schema.items, joinPath(path, index), errors)
+      );
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push({ path: joinPath(path, field), message: "is required" });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], joinPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: "unknown field" });
+      }
+    }
+  }
+}
+
+/**
+ * Validate a publication against the shared schema, the attribute registry,
+ * the phone number rules (lib/phones.js) and the gazetteer (lib/gazetteer.js).
+ * Returns { errors, warnings }, both arrays of { path, message }. Unknown
+ * attribute keys and place names, markup that lib/sanitize.js removes from
+ * the title and description, and prices in the text beyond the one used
+ * (lib/prices.js) are warnings; everything else is an error.
+ */
+function validatePublication(publication) {
+  const errors = [];
+  const warnings = [];
+  validateNode(publication, publicationSchema, "", errors);
+
+  const categoryOk = !errors.some((error) => error.path === "categorySlug");
+  if (categoryOk && typeOf(publication.attributes) === "object") {
+    const attributeIssues = normalizeAttributes(
+      publication.attributes,
+      publication.categorySlug,
+      publication.subcategorySlug
+    );
+    errors.push(...attributeIssues.errors);
+    warnings.push(...attributeIssues.warnings);
+  }
+
+  const contact = publication.contact;
+  const phonesOk = !errors.some((error) =>
+    error.path.startsWith("contact.phones")
+  );
+  if (phonesOk && typeOf(contact) === "object" && contact.phones) {
+    for (const { index, message } of parsePhoneList(contact.phones).errors) {
+      errors.push({ path: `contact.phones[${index}]`, message });
+    }
+  }
+
+  const { amount, maxAmount } = publication;
+  if (typeof amount === "number" && typeof maxAmount === "number") {
+    if (maxAmount <= amount) {
+      errors.push({
+        path: "maxAmount",
+        message: `must be greater than amount (${amount})`,
+      });
+    }
+  }
+
+  if (
+    typeOf(publication.title) === "string" &&
+    (amount === undefined || amount === null)
+  ) {
+    const { ignored } = resolvePrice(publication);
+    if (ignored.length > 0) {
+      warnings.push({
+        path: "amount",
+        message: `several prices in the text, only the first one is used (ignored: ${ignored.join(
+          ", "
+        )}); set amount to choose`,
+      });
+    }
+  }
+
+  if (typeOf(publication.location) === "object") {
+    warnings.push(...resolveLocation(publication.location).warnings);
+  }
+
+  for (const [field, markup] of [
+    ["title", false],
+    ["description", true],
+  ]) {
+    const tags = findRemovedTags(publication[field], { markup });
+    if (tags.length > 0) {
+      warnings.push({
+        path: field,
+        message: `markup removed: <${tags.join(">, <")}>`,
+      });
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Format an error location like "page7.json[3].location.district"
+ */
+function formatErrorLocation(file, index, path) {
+  let location = file || "";
+  if (index !== undefined && index !== null) location += `[${index}]`;
+  if (path) location += path.startsWith("[") ? path : `.${path}`;
+  return location;
+}
+
+/**
+ * Format a validation error as "page7.json[3].location.district: is required"
+ */
+function formatValidationError(file, index, error) {
+  return `${formatErrorLocation(file, index, error.path)}: ${error.message}`;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  publicationSchema,
+  validatePublication,
+  formatErrorLocation,
+  formatValidationError,
+};
@@ -0,0 +1,31 @@
+/**
+ * MongoDB collection names used by the uploader
+ */
+
+// Collections based on categories
+const CATEGORY_COLLECTIONS = {
+  empleos: "publications_empleos",
+  inmuebles: "publications_inmuebles",
+  vehiculos: "publications_vehiculos",
+  servicios: "publications_servicios",
+  productos: "publications_productos",
+  eventos: "publications_eventos",
+  negocios: "publications_negocios",
+  comunidad: "publications_comunidad",
+};
+
+// Counter used to hand out unique short IDs across all categories
+const COUNTERS_COLLECTION = "counters";
+const SHORT_ID_COUNTER = "publications_id_corto";
+const LEGACY_SHORT_ID_MAX = 9999;
+
+// One manifest document per import run
+const IMPORT_RUNS_COLLECTION = "import_runs";
+
+module.exports = {
+  CATEGORY_COLLECTIONS,
+  COUNTERS_COLLECTION,
+  SHORT_ID_COUNTER,
+  LEGACY_SHORT_ID_MAX,
+  IMPORT_RUNS_COLLECTION,
+};
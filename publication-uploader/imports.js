@@ -0,0 +1,251 @@
+/**
+ * Import manifests and rollback
+ *
+ * Every upload run gets a run ID and writes a manifest listing each
+ * publication it processed (stable ID, source page, content hash and what
+ * happened to it, with the previous version of the records it updated or
+ * renewed). Manifests are stored in the import_runs collection and as JSON
+ * files in ./manifests, and are what rollback and diff work from.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const {
+  CATEGORY_COLLECTIONS,
+  IMPORT_RUNS_COLLECTION,
+} = require("./collections");
+const { STATUS } = require("./lifecycle");
+
+const MANIFESTS_DIR = path.join(__dirname, "manifests");
+
+// Status given to publications when a rollback deactivates them
+const ROLLBACK_STATUS = STATUS.WITHDRAWN;
+
+// Manifest entries a rollback of the run undoes; "unchanged" and "duplicate"
+// entries did not write anything
+const ROLLBACK_ACTIONS = ["inserted", "updated", "renewed"];
+
+/**
+ * Generate a unique ID for an import run
+ */
+function generateRunId() {
+  const timestamp = Date.now();
+  const randomStr = crypto.randomBytes(4).toString("hex");
+  return `run_${timestamp}_${randomStr}`;
+}
+
+/**
+ * Create an empty manifest for a new run
+ */
+function createManifest(runId, issueCode, sourceDir) {
+  return {
+    _id: runId,
+    run_id: runId,
+    issue_code: issueCode,
+    source_dir: path.resolve(sourceDir),
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    incomplete: false,
+    counts: {
+      inserted: 0,
+      updated: 0,
+      renewed: 0,
+      unchanged: 0,
+      duplicates: 0,
+      errors: 0,
+    },
+    entries: [],
+    errors: [],
+    rolled_back_at: null,
+    rollback_mode: null,
+  };
+}
+
+/**
+ * Save a manifest with the counts and errors of the run's results to
+ * ./manifests/<runId>.json and to the database (the file first, in case the
+ * database is what failed)
+ */
+async function saveManifest(db, manifest, results) {
+  manifest.finished_at = new Date().toISOString();
+  manifest.counts = {
+    inserted: results.inserted,
+    updated: results.updated,
+    renewed: results.renewed,
+    unchanged: results.unchanged,
+    duplicates: results.duplicates,
+    errors: results.errors.length,
+  };
+  manifest.errors = results.errors;
+
+  fs.mkdirSync(MANIFESTS_DIR, { recursive: true });
+  const filePath = path.join(MANIFESTS_DIR, `${manifest.run_id}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(manifest, null, 2));
+
+  await db
+    .collection(IMPORT_RUNS_COLLECTION)
+    .replaceOne({ _id: manifest._id }, manifest, { upsert: true });
+  return filePath;
+}
+
+/**
+ * List past import runs, newest first (without their entries)
+ */
+async function listImportRuns(db, { issueCode } = {}) {
+  const filter = issueCode ? { issue_code: issueCode } : {};
+  return db
+    .collection(IMPORT_RUNS_COLLECTION)
+    .find(filter, { projection: { entries: 0, errors: 0 } })
+    .sort({ started_at: -1 })
+    .toArray();
+}
+
+/**
+ * Get a full manifest by run ID
+ */
+async function getImportRun(db, runId) {
+  return db.collection(IMPORT_RUNS_COLLECTION).findOne({ _id: runId });
+}
+
+/**
+ * Compare the entries of two manifests by stable publication ID.
+ * Returns { added, removed, changed, unchanged } arrays of entries
+ * (changed holds { before, after } pairs).
+ */
+function diffManifests(before, after) {
+  const beforeById = new Map(before.entries.map((entry) => [entry.id, entry]));
+  const afterById = new Map(after.entries.map((entry) => [entry.id, entry]));
+  const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+  for (const [id, entry] of afterById) {
+    const previous = beforeById.get(id);
+    if (!previous) diff.added.push(entry);
+    else if (previous.content_hash !== entry.content_hash) {
+      diff.changed.push({ before: previous, after: entry });
+    } else diff.unchanged.push(entry);
+  }
+  for (const [id, entry] of beforeById) {
+    if (!afterById.has(id)) diff.removed.push(entry);
+  }
+  return diff;
+}
+
+/**
+ * Delete or deactivate publications matching a filter in every category
+ * collection. Returns the number of affected documents.
+ */
+async function rollbackPublications(db, filter, mode) {
+  let affected = 0;
+  for (const collectionName of Object.values(CATEGORY_COLLECTIONS)) {
+    const collection = db.collection(collectionName);
+    const result =
+      mode === "delete"
+        ? await collection.deleteMany(filter)
+        : await collection.updateMany(filter, {
+            $set: {
+              status: ROLLBACK_STATUS,
+              status_changed_at: new Date().toISOString(),
+              updated_at: new Date().toISOString(),
+            },
+          });
+    affected += mode === "delete" ? result.deletedCount : result.modifiedCount;
+  }
+  return affected;
+}
+
+/**
+ * Mark manifests as rolled back
+ */
+async function markRolledBack(db, filter, mode) {
+  await db.collection(IMPORT_RUNS_COLLECTION).updateMany(filter, {
+    $set: { rolled_back_at: new Date().toISOString(), rollback_mode: mode },
+  });
+}
+
+/**
+ * Put back the record an update or renewal replaced, unless a later run has
+ * written it again (its content hash is no longer the one of this run).
+ * Returns true when it was restored.
+ */
+async function restorePublication(db, entry) {
+  const { collection: previousCollection, document } = entry.previous;
+  const filter = { id: document.id, content_hash: entry.content_hash };
+  for (const collectionName of Object.values(CATEGORY_COLLECTIONS)) {
+    const collection = db.collection(collectionName);
+    const current = await collection.findOne(filter, {
+      projection: { _id: 1 },
+    });
+    if (!current) continue;
+    if (collectionName === previousCollection) {
+      await collection.replaceOne(filter, document);
+    } else {
+      // Recategorized by the run: the record goes back to its old collection
+      await collection.deleteOne(filter);
+      await db.collection(previousCollection).insertOne(document);
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Roll back what a run wrote: publications it inserted are deactivated (or
+ * deleted, with mode "delete") and the ones it updated or renewed get their
+ * previous version back. Publications it left unchanged or linked as
+ * duplicates, which earlier runs created, are not touched.
+ * Returns { affected, restored, notRestored } where notRestored lists the
+ * entries whose previous version could not be put back.
+ */
+async function rollbackRun(db, runId, mode = "deactivate") {
+  const manifest = await getImportRun(db, runId);
+  if (!manifest) {
+    throw new Error(`Import run "${runId}" not found`);
+  }
+  const entries = manifest.entries.filter((entry) =>
+    ROLLBACK_ACTIONS.includes(entry.action)
+  );
+  const insertedIds = entries
+    .filter((entry) => entry.action === "inserted")
+    .map((entry) => entry.id);
+  const affected =
+    insertedIds.length > 0
+      ? await rollbackPublications(db, { id: { $in: insertedIds } }, mode)
+      : 0;
+
+  let restored = 0;
+  const notRestored = [];
+  for (const entry of entries) {
+    if (entry.action === "inserted") continue;
+    if (entry.previous && (await restorePublication(db, entry))) restored++;
+    else notRestored.push(entry);
+  }
+  await markRolledBack(db, { _id: runId }, mode);
+  return { affected, restored, notRestored };
+}
+
+/**
+ * Roll back every publication imported from an issue, whatever the run.
+ * Publications renewed by a later issue carry that issue's code instead.
+ */
+async function rollbackIssue(db, issueCode, mode = "deactivate") {
+  const affected = await rollbackPublications(
+    db,
+    { issue_code: issueCode },
+    mode
+  );
+  await markRolledBack(db, { issue_code: issueCode }, mode);
+  return affected;
+}
+
+module.exports = {
+  ROLLBACK_STATUS,
+  generateRunId,
+  createManifest,
+  saveManifest,
+  listImportRuns,
+  getImportRun,
+  diffManifests,
+  rollbackRun,
+  rollbackIssue,
+};
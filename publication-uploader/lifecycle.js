@@ -0,0 +1,114 @@
+/**
+ * Lifecycle of imported publications
+ *
+ *   draft     imported with --draft, not shown on the site yet
+ *   active    running in the current print issue
+ *   expired   its issue (plus the category's extra days) is over
+ *   renewed   reappeared in a newer issue; live again with a later expiry
+ *   withdrawn taken down by a rollback or by hand
+ *
+ * Expiration dates come from the issue folder name (see lib/issue.js) and
+ * the per-category settings in expiration-policy.json.
+ */
+
+const { parseIssueCode, endOfDayIso } = require("../lib/issue");
+const { CATEGORY_COLLECTIONS } = require("./collections");
+const expirationPolicy = require("./expiration-policy.json");
+
+const STATUS = {
+  DRAFT: "draft",
+  ACTIVE: "active",
+  EXPIRED: "expired",
+  RENEWED: "renewed",
+  WITHDRAWN: "withdrawn",
+};
+
+// Statuses that are visible on the site and can expire
+const LIVE_STATUSES = [STATUS.ACTIVE, STATUS.RENEWED];
+
+/**
+ * Expiration settings of a category, merged over the defaults
+ */
+function getCategoryPolicy(category) {
+  return {
+    ...expirationPolicy.default,
+    ...(expirationPolicy.categories[category] || {}),
+  };
+}
+
+/**
+ * Compute the issue dates and expiration of a publication.
+ * Returns { issueStartDate, issueEndDate, expiresAt } (dates may be null
+ * when the issue code has none).
+ */
+function computeExpiration(category, issueCode, now = new Date()) {
+  const policy = getCategoryPolicy(category);
+  const issue = parseIssueCode(issueCode, now);
+  if (!issue) {
+    const expires = new Date(now);
+    expires.setUTCDate(expires.getUTCDate() + policy.fallbackDays);
+    return {
+      issueStartDate: null,
+      issueEndDate: null,
+      expiresAt: expires.toISOString(),
+    };
+  }
+  return {
+    issueStartDate: issue.startDate,
+    issueEndDate: issue.endDate,
+    expiresAt: endOfDayIso(issue.endDate, policy.daysAfterIssue),
+  };
+}
+
+/**
+ * Status of a publication being imported.
+ * `existingStatus` is the status of the stored record (undefined if new).
+ * A withdrawn record stays withdrawn when its issue is imported again; only
+ * a renewal from a newer issue brings it back.
+ */
+function statusForImport({ existingStatus, expiresAt, isDraft, isRenewal }) {
+  if (existingStatus === STATUS.WITHDRAWN && !isRenewal) {
+    return STATUS.WITHDRAWN;
+  }
+  if (isDraft) return STATUS.DRAFT;
+  if (new Date(expiresAt) < new Date()) return STATUS.EXPIRED;
+  if (isRenewal || existingStatus === STATUS.RENEWED) return STATUS.RENEWED;
+  return STATUS.ACTIVE;
+}
+
+/**
+ * Mark live publications whose expiration date has passed as expired.
+ * Returns { [collectionName]: count }; with dryRun only counts them.
+ */
+async function sweepExpired(db, { dryRun = false, now = new Date() } = {}) {
+  const filter = {
+    status: { $in: LIVE_STATUSES },
+    expires_at: { $lt: now.toISOString() },
+  };
+  const counts = {};
+  for (const collectionName of Object.values(CATEGORY_COLLECTIONS)) {
+    const collection = db.collection(collectionName);
+    if (dryRun) {
+      counts[collectionName] = await collection.countDocuments(filter);
+    } else {
+      const result = await collection.updateMany(filter, {
+        $set: {
+          status: STATUS.EXPIRED,
+          status_changed_at: now.toISOString(),
+          updated_at: now.toISOString(),
+        },
+      });
+      counts[collectionName] = result.modifiedCount;
+    }
+  }
+  return counts;
+}
+
+module.exports = {
+  STATUS,
+  LIVE_STATUSES,
+  getCategoryPolicy,
+  computeExpiration,
+  statusForImport,
+  sweepExpired,
+};
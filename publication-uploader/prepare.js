@@ -0,0 +1,195 @@
+/**
+ * Documents as the uploader stores them.
+ *
+ * Turns a publication of the page JSON files into the document of its
+ * category collection, without touching the database: the caller provides
+ * the identity (with the short ID allocated by the database), the lifecycle
+ * and the source of the import run. The magazine generator uses it too, to
+ * export an issue in the same shape (--export jsonl).
+ */
+
+const { normalizeAttributes } = require("../lib/attributes");
+const { parsePhoneList } = require("../lib/phones");
+const { resolveLocation } = require("../lib/gazetteer");
+const { resolvePrice } = require("../lib/prices");
+const { phoneKeysOf } = require("../lib/duplicates");
+const { pageNumberOf } = require("../lib/publication-loader");
+const { generateSlug, buildUrlPath } = require("../lib/urls");
+const { sanitizeText } = require("../lib/sanitize");
+
+/**
+ * Photos resized for the site replace the originals (largest size first in
+ * images, every size in image_sizes). `source` is that of
+ * preparePublicationForInsertion; without web sizes the images are stored as
+ * written and image_sizes is undefined.
+ */
+function prepareImageFields(publication, source) {
+  const webImages = (publication.images || [])
+    .filter((reference) => source.webImages && source.webImages.has(reference))
+    .map((reference) => {
+      const { width, height, sizes } = source.webImages.get(reference);
+      const urls = Object.fromEntries(
+        Object.entries(sizes).map(([name, file]) => [
+          name,
+          `${source.imagesBaseUrl}/${file}`,
+        ])
+      );
+      return { original: reference, width, height, ...urls };
+    });
+  const images = (publication.images || []).map((reference) => {
+    const web = webImages.find((image) => image.original === reference);
+    return web ? web.large : reference;
+  });
+  return {
+    images,
+    image_sizes: webImages.length > 0 ? webImages : undefined,
+  };
+}
+
+/**
+ * Prepare publication data for insertion.
+ * `identity` is { id, shortId, contentHash, repeatKey } (see lib/identity.js),
+ * `source` is { issueCode, file, runId, classification, webImages,
+ * imagesBaseUrl } of the import run (classification is set when the
+ * classifier filled in the category, webImages comes from prepareWebImages
+ * and its files are served from imagesBaseUrl) and `lifecycle`
+ * is { status, previousStatus, expiresAt, issueStartDate, issueEndDate } (see
+ * lifecycle.js), where previousStatus is that of the stored record, if any:
+ * status_changed_at is only set when the status changes.
+ */
+function preparePublicationForInsertion(
+  publication,
+  identity,
+  source,
+  lifecycle
+) {
+  const now = new Date().toISOString();
+  const category = publication.categorySlug;
+  const { id, shortId, contentHash, repeatKey } = identity;
+
+  // Title and description are stored as text, entities decoded: the title
+  // without markup and the description with only the inline markup allowed by
+  // lib/sanitize.js (bold, italics, line breaks). The site escapes them.
+  const title = sanitizeText(publication.title, { markup: false });
+  const description = sanitizeText(publication.description);
+
+  // Generate slug
+  const slug = generateSlug(title);
+
+  // Canonical province and district names and IDs from the gazetteer; the
+  // district may be inferred from the address. The site expects a city.
+  const resolved = resolveLocation(publication.location);
+  const location = {
+    ...publication.location,
+    province: resolved.province
+      ? resolved.province.name
+      : publication.location.province || null,
+    district: resolved.district
+      ? resolved.district.name
+      : publication.location.district || null,
+    province_id: resolved.province ? resolved.province.id : null,
+    district_id: resolved.district ? resolved.district.id : null,
+    district_inferred: resolved.districtInferred,
+  };
+  location.city = location.province;
+
+  // Use subcategory from subcategorySlug
+  const subcategory = publication.subcategorySlug || "general";
+  const subsubcategory = publication.subSubcategorySlug || "";
+
+  // Build URL path (the magazine reads it back from the manifest)
+  const urlPath = buildUrlPath({ ...publication, title }, shortId);
+
+  // Price from amount, or from the description when there is none; an ad
+  // without any price gets price null, never 0 (which means free)
+  const price = resolvePrice(publication);
+
+  // Process contact information: every number in E.164 plus the text as
+  // printed; phone/whatsapp are the first number and the first mobile.
+  // Whatever the ad does not give is null: no placeholder contact is made up.
+  const { numbers } = parsePhoneList(publication.contact.phones);
+  const mobile = numbers.find((number) => number.type === "mobile");
+  const contact = {
+    name: publication.contact.name || null,
+    phone: numbers.length > 0 ? numbers[0].e164 : null,
+    whatsapp: mobile ? mobile.e164 : null,
+    phones: numbers.map(({ e164, type, display }) => ({
+      number: e164,
+      type,
+      display,
+    })),
+    email: publication.contact.email || null,
+  };
+
+  const { images, image_sizes } = prepareImageFields(publication, source);
+
+  // Move attributes to features, typed and normalized by the registry
+  const { values: features } = normalizeAttributes(
+    publication.attributes,
+    category,
+    subcategory
+  );
+
+  // Prepare final publication object
+  const preparedPublication = {
+    ...publication,
+    title: title,
+    description: description,
+    status: lifecycle.status,
+    status_changed_at: now,
+    expires_at: lifecycle.expiresAt,
+    issue_start_date: lifecycle.issueStartDate,
+    issue_end_date: lifecycle.issueEndDate,
+    created_at: publication.created_at || now,
+    updated_at: publication.updated_at || now,
+    category: category,
+    id: id,
+    id_corto: shortId,
+    content_hash: contentHash,
+    repeat_key: repeatKey,
+    phone_keys: phoneKeysOf(publication),
+    issue_code: source.issueCode,
+    source_file: source.file,
+    source_page: pageNumberOf(source.file),
+    import_run_id: source.runId,
+    classification: source.classification || undefined,
+    slug: slug,
+    url_path: urlPath,
+    subcategory: subcategory,
+    subsubcategory: subsubcategory || undefined,
+    location: location,
+    images: images,
+    image_sizes: image_sizes,
+    user_id: publication.user_id || "admin", // Default user for imported publications
+    contact: contact,
+    features: features,
+    price: price.amount,
+    price_max: price.maxAmount,
+    price_type: price.kind,
+    price_period: price.period,
+    price_source: price.source,
+    currency: price.currency,
+    negotiable: price.negotiable,
+  };
+
+  // Remove redundant fields
+  delete preparedPublication.categorySlug;
+  delete preparedPublication.subcategorySlug;
+  delete preparedPublication.subSubcategorySlug;
+  delete preparedPublication.attributes;
+  delete preparedPublication.amount;
+  delete preparedPublication.maxAmount;
+  delete preparedPublication.pricePeriod;
+  delete preparedPublication.reviewed;
+  // The stored record keeps the date of its last status change
+  if (lifecycle.status === lifecycle.previousStatus) {
+    delete preparedPublication.status_changed_at;
+  }
+
+  return preparedPublication;
+}
+
+module.exports = {
+  prepareImageFields,
+  preparePublicationForInsertion,
+};
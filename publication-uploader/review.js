@@ -0,0 +1,402 @@
+/**
+ * Review of an issue before it is imported (--review).
+ *
+ * Steps through the publications that need a look: validation errors and
+ * warnings, categories guessed by the classifier, a location the site has to
+ * make up (no district or province, or a district inferred from the address)
+ * and a contact without phone or email, which leaves readers no way to reach
+ * the advertiser. For each one it shows what would be stored and lets
+ * the operator accept it, edit a field, recategorize it or skip it.
+ *
+ * Decisions go back to the page JSON files: edits as typed, and accepting
+ * writes the guessed category and district into the publication and marks
+ * it as reviewed ("reviewed": date), so the next run only stops on it again
+ * for validation errors.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { reviewLabels } = require("../lib/classifier");
+const {
+  validatePublication,
+  formatValidationError,
+} = require("../lib/validation");
+const { resolveLocation } = require("../lib/gazetteer");
+const { parsePhoneList } = require("../lib/phones");
+const { findSection, sectionName } = require("../lib/taxonomy");
+const { preparePublicationForInsertion } = require("./prepare");
+
+const LABEL_FIELDS = ["categorySlug", "subcategorySlug", "subSubcategorySlug"];
+
+// Characters of the description shown for each publication
+const DESCRIPTION_PREVIEW = 160;
+
+/**
+ * Key of a record in the set of skipped records: "page3.json[2]"
+ */
+function recordKey(file, index) {
+  return `${file}[${index}]`;
+}
+
+/**
+ * The publication as the loader would see it (with the labels filled in by
+ * the classifier), its errors and warnings, and what was filled in
+ */
+function evaluate(source, file, index, classifier) {
+  let publication = source;
+  let classification = null;
+  const flags = [];
+  if (classifier) {
+    const review = reviewLabels(classifier, source);
+    publication = { ...source, ...review.labels };
+    flags.push(...review.flags);
+    if (review.filled.length > 0) {
+      classification = { filled: review.filled, confidence: review.confidence };
+    }
+  }
+  const { errors, warnings } = validatePublication(publication);
+  const format = (issue) => formatValidationError(file, index, issue);
+  return {
+    publication,
+    classification,
+    errors: errors.map(format),
+    warnings: [...flags, ...warnings].map(format),
+  };
+}
+
+/**
+ * Why a publication needs review. Errors always count; the rest only until
+ * the publication has been reviewed.
+ */
+function reviewReasons(source, evaluation) {
+  const { publication, classification, errors, warnings } = evaluation;
+  const reasons = errors.map((error) => `Error: ${error}`);
+  if (source.reviewed) return reasons;
+
+  reasons.push(...warnings.map((warning) => `Warning: ${warning}`));
+  if (classification) {
+    reasons.push(
+      `Category guessed by the classifier: ${classification.filled
+        .map((field) => publication[field])
+        .join(" > ")} (confidence ${Math.round(
+        classification.confidence * 100
+      )}%)`
+    );
+  }
+  const location = publication.location || {};
+  const resolved = resolveLocation(location);
+  if (resolved.districtInferred) {
+    reasons.push(
+      `District inferred from the address: ${resolved.district.name}`
+    );
+  } else if (!location.district && !location.province) {
+    reasons.push("No district or province: the site shows no location");
+  }
+  const contact = publication.contact || {};
+  if (parsePhoneList(contact.phones).numbers.length === 0 && !contact.email) {
+    reasons.push("No phone or email: the site shows no contact");
+  }
+  return reasons;
+}
+
+/**
+ * Print the document that would be stored for a publication
+ */
+function printPrepared(publication, file, issueCode) {
+  let prepared;
+  try {
+    prepared = preparePublicationForInsertion(
+      publication,
+      { id: "(new)", shortId: "0" },
+      { issueCode, file, runId: null, webImages: null },
+      {}
+    );
+  } catch (error) {
+    console.log(`  Cannot be stored as it is: ${error.message}`);
+    return;
+  }
+  const slugs = [
+    prepared.category,
+    prepared.subcategory,
+    prepared.subsubcategory,
+  ].filter(Boolean);
+  const { location, contact } = prepared;
+  const place = [
+    [location.district, location.province].filter(Boolean).join(", "),
+    location.address,
+    location.referencePoint,
+  ].filter(Boolean);
+  let price = "none";
+  if (prepared.price !== null) {
+    price = `${prepared.currency} ${prepared.price}`;
+    if (prepared.price_max) price += `-${prepared.price_max}`;
+    if (prepared.price_period) price += ` per ${prepared.price_period}`;
+  }
+  const features = Object.entries(prepared.features || {}).map(
+    ([key, value]) => `${key}: ${JSON.stringify(value)}`
+  );
+  let description = prepared.description.replace(/\s+/g, " ");
+  if (description.length > DESCRIPTION_PREVIEW) {
+    description = `${description.slice(0, DESCRIPTION_PREVIEW - 3)}...`;
+  }
+
+  console.log("  Would be stored as:");
+  console.log(`    Title: ${prepared.title}`);
+  console.log(
+    `    Category: ${slugs
+      .map((slug, level) => sectionName(slugs.slice(0, level + 1)))
+      .join(" > ")} (${slugs.join("/")})`
+  );
+  console.log(`    Location: ${place.join(" - ") || "none"}`);
+  console.log(
+    `    Contact: ${
+      [
+        contact.name,
+        ...contact.phones.map((phone) => phone.number),
+        contact.email,
+      ]
+        .filter(Boolean)
+        .join(", ") || "none"
+    }`
+  );
+  console.log(`    Price: ${price}`);
+  if (features.length > 0) {
+    console.log(`    Features: ${features.join(", ")}`);
+  }
+  console.log(`    Description: ${description}`);
+  console.log(`    URL: ${prepared.url_path}`);
+}
+
+/**
+ * Read and write fields by path ("location.district", "contact.phones")
+ */
+function getField(object, fieldPath) {
+  return fieldPath
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value && typeof value === "object" ? value[key] : undefined,
+      object
+    );
+}
+
+function setField(object, fieldPath, value) {
+  const keys = fieldPath.split(".");
+  const last = keys.pop();
+  let target = object;
+  for (const key of keys) {
+    if (!target[key] || typeof target[key] !== "object") target[key] = {};
+    target = target[key];
+  }
+  if (value === undefined) delete target[last];
+  else target[last] = value;
+}
+
+/**
+ * Value typed by the operator: JSON when it parses (3, true, ["a", "b"]), a
+ * comma-separated list for a field that holds a list, text otherwise, and
+ * undefined (remove the field) when empty
+ */
+function parseValue(text, current) {
+  const trimmed = text.trim();
+  if (!trimmed) return undefined;
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    if (!Array.isArray(current)) return trimmed;
+    return trimmed
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+}
+
+/**
+ * Ask for one of the sections under `slugs`, by number or slug. Resolves to
+ * the slug, or null when the answer is empty or there is nothing to choose.
+ */
+async function askSection(ask, slugs, label) {
+  const node = findSection(slugs);
+  const children = (node && node.subcategories) || [];
+  if (children.length === 0) return null;
+  children.forEach((child, i) => {
+    console.log(`    ${i + 1}. ${child.name} (${child.slug})`);
+  });
+  for (;;) {
+    const answer = (await ask(`  ${label}: `)).trim();
+    if (!answer) return null;
+    const child = /^\d+$/.test(answer)
+      ? children[parseInt(answer, 10) - 1]
+      : children.find((candidate) => candidate.slug === answer);
+    if (child) return child.slug;
+    console.log(`  "${answer}" is not one of the options`);
+  }
+}
+
+/**
+ * Choose category, subcategory and optional sub-subcategory. Returns false
+ * (and leaves the publication alone) when the operator stops before the
+ * subcategory.
+ */
+async function recategorize(ask, source) {
+  const slugs = [];
+  const prompts = [
+    "Category",
+    "Subcategory",
+    "Sub-subcategory (empty for none)",
+  ];
+  for (const prompt of prompts) {
+    const slug = await askSection(ask, slugs, prompt);
+    if (!slug) break;
+    slugs.push(slug);
+  }
+  if (slugs.length < 2) return false;
+  LABEL_FIELDS.forEach((field, level) => {
+    if (slugs[level]) source[field] = slugs[level];
+    else delete source[field];
+  });
+  return true;
+}
+
+/**
+ * Accept a publication: the guessed labels and the inferred district become
+ * part of it, so the next run neither guesses again nor stops on it
+ */
+function accept(source, { publication }) {
+  for (const field of LABEL_FIELDS) {
+    if (publication[field]) source[field] = publication[field];
+  }
+  const resolved = resolveLocation(source.location);
+  if (resolved.districtInferred) {
+    source.location.district = resolved.district.name;
+    if (!source.location.province) {
+      source.location.province = resolved.province.name;
+    }
+  }
+  source.reviewed = new Date().toISOString();
+}
+
+/**
+ * Read a page file, remembering whether it ends with a newline so that
+ * saving it changes only the publications
+ */
+function readPage(sourceDir, file) {
+  const text = fs.readFileSync(path.join(sourceDir, file), "utf-8");
+  return { publications: JSON.parse(text), newline: text.endsWith("\n") };
+}
+
+function writePage(sourceDir, file, { publications, newline }) {
+  fs.writeFileSync(
+    path.join(sourceDir, file),
+    JSON.stringify(publications, null, 4) + (newline ? "\n" : ""),
+    "utf-8"
+  );
+}
+
+/**
+ * Review the records of loadPublicationDirectory one by one. `ask(question)`
+ * resolves to the operator's answer. With `save` false (dry runs) nothing is
+ * written. Returns { reviewed, skipped, saved } where reviewed is the number
+ * of publications accepted, skipped the Set of recordKey()s not to import in
+ * this run and saved the page files written.
+ */
+async function reviewRecords(
+  sourceDir,
+  records,
+  { ask, classifier = null, issueCode = null, save = true }
+) {
+  // The loader's records carry the filled-in labels; review and save the
+  // publications as they are in the files
+  const pages = new Map();
+  const queue = [];
+  for (const { file, index } of records) {
+    if (!pages.has(file)) pages.set(file, readPage(sourceDir, file));
+    const source = pages.get(file).publications[index];
+    const evaluation = evaluate(source, file, index, classifier);
+    if (reviewReasons(source, evaluation).length > 0) {
+      queue.push({ file, index, source });
+    }
+  }
+
+  const changed = new Set();
+  const skipped = new Set();
+  let reviewed = 0;
+  console.log(`\n=== REVIEW: ${queue.length} publications to check ===`);
+
+  review: for (const [position, { file, index, source }] of queue.entries()) {
+    for (;;) {
+      const evaluation = evaluate(source, file, index, classifier);
+      console.log(
+        `\n[${position + 1}/${queue.length}] ${recordKey(file, index)}: "${
+          source.title
+        }"`
+      );
+      reviewReasons(source, evaluation).forEach((reason) => {
+        console.log(`  - ${reason}`);
+      });
+      printPrepared(evaluation.publication, file, issueCode);
+
+      const answer = (
+        await ask(
+          "[a]ccept, [e]dit a field, [c]ategory, [s]kip, [q]uit review: "
+        )
+      )
+        .trim()
+        .toLowerCase()
+        .charAt(0);
+
+      if (answer === "a") {
+        accept(source, evaluation);
+        changed.add(file);
+        reviewed++;
+        if (evaluation.errors.length > 0) {
+          console.log(
+            "  Accepted, but it will not be imported until the errors are fixed"
+          );
+        }
+        continue review;
+      } else if (answer === "e") {
+        const field = (
+          await ask("  Field (e.g. title, location.district, contact.phones): ")
+        ).trim();
+        if (!field) continue;
+        const current = getField(source, field);
+        console.log(`  Current value: ${JSON.stringify(current)}`);
+        const value = parseValue(
+          await ask("  New value (empty removes the field): "),
+          current
+        );
+        setField(source, field, value);
+        changed.add(file);
+      } else if (answer === "c") {
+        if (await recategorize(ask, source)) changed.add(file);
+        else console.log("  Category unchanged");
+      } else if (answer === "s") {
+        skipped.add(recordKey(file, index));
+        console.log("  Skipped: not imported in this run");
+        continue review;
+      } else if (answer === "q") {
+        console.log(
+          `  Review stopped: ${
+            queue.length - position
+          } publications left as they are`
+        );
+        break review;
+      }
+    }
+  }
+
+  const saved = [];
+  if (save) {
+    for (const file of changed) {
+      writePage(sourceDir, file, pages.get(file));
+      saved.push(file);
+    }
+  }
+  return { reviewed, skipped, saved };
+}
+
+module.exports = {
+  recordKey,
+  reviewRecords,
+};
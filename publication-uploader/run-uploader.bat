@@ -10,6 +10,7 @@ if "%~1"=="" (
   echo Options:
   echo   --dry-run   Test without making changes
   echo   --force     Skip confirmation prompts
+  echo   --draft     Import publications as drafts
   echo.
   echo Example: run-uploader.bat C:\path\to\files
   exit /b 1
@@ -6,10 +6,18 @@
  *
  * Usage:
  * node scripts/publication-uploader/uploader.js <source-directory>
+ * node scripts/publication-uploader/uploader.js imports [--issue <code>]
+ * node scripts/publication-uploader/uploader.js diff <run-id> <run-id>
+ * node scripts/publication-uploader/uploader.js rollback --run <run-id> | --issue <code>
+ * node scripts/publication-uploader/uploader.js sweep
  *
  * Options:
  *   --dry-run: Shows what would be imported without making changes
  *   --force: Runs without asking for confirmation
+ *   --draft: Imports publications with status "draft"
+ *   --no-classify: Do not fill in missing categories with the classifier
+ *   --review: Step through the publications that need a look before importing
+ *   --delete: (rollback) Delete publications instead of deactivating them
  */
 
 // Dependencies
@@ -17,8 +25,55 @@ const { MongoClient, ServerApiVersion } = require("mongodb");
 const dotenv = require("dotenv");
 const path = require("path");
 const fs = require("fs");
+const { isDeepStrictEqual } = require("util");
 const readline = require("readline");
-const crypto = require("crypto");
+const {
+  loadPublicationDirectory,
+  pageNumberOf,
+} = require("../lib/publication-loader");
+const { loadModel } = require("../lib/classifier");
+const { prepareImages } = require("../lib/assets");
+const { processWebImages } = require("../lib/images");
+const {
+  issueCodeFromDirectory,
+  assignIdentities,
+  computeContentHash,
+} = require("../lib/identity");
+const {
+  phoneKeysOf,
+  comparePublications,
+  findDuplicateGroups,
+  mergePublications,
+} = require("../lib/duplicates");
+const { parseIssueCode } = require("../lib/issue");
+const {
+  CATEGORY_COLLECTIONS,
+  COUNTERS_COLLECTION,
+  SHORT_ID_COUNTER,
+  LEGACY_SHORT_ID_MAX,
+} = require("./collections");
+const {
+  ROLLBACK_STATUS,
+  generateRunId,
+  createManifest,
+  saveManifest,
+  listImportRuns,
+  getImportRun,
+  diffManifests,
+  rollbackRun,
+  rollbackIssue,
+} = require("./imports");
+const {
+  STATUS,
+  computeExpiration,
+  statusForImport,
+  sweepExpired,
+} = require("./lifecycle");
+const {
+  prepareImageFields,
+  preparePublicationForInsertion,
+} = require("./prepare");
+const { recordKey, reviewRecords } = require("./review");
 
 // Load environment variables from .env.local file
 const envPath = path.resolve(process.cwd(), ".env.local");
@@ -28,6 +83,13 @@ dotenv.config({ path: envPath });
 const uri = process.env.MONGODB_URI || "mongodb://localhost:27017";
 const dbName = process.env.MONGODB_DB || "buscadis";
 
+// Web sizes of the photos are written to IMAGES_DIR and served from
+// IMAGES_BASE_URL; without IMAGES_DIR, image URLs are imported as written
+const imagesDir = process.env.IMAGES_DIR || null;
+const imagesBaseUrl = (
+  process.env.IMAGES_BASE_URL || "/images/publications"
+).replace(/\/+$/, "");
+
 // MongoDB client with optimal settings
 const client = new MongoClient(uri, {
   serverApi: {
@@ -40,18 +102,6 @@ const client = new MongoClient(uri, {
   socketTimeoutMS: 45000,
 });
 
-// Collections based on categories
-const CATEGORY_COLLECTIONS = {
-  empleos: "publications_empleos",
-  inmuebles: "publications_inmuebles",
-  vehiculos: "publications_vehiculos",
-  servicios: "publications_servicios",
-  productos: "publications_productos",
-  eventos: "publications_eventos",
-  negocios: "publications_negocios",
-  comunidad: "publications_comunidad",
-};
-
 // Set up readline interface for user interaction
 const rl = readline.createInterface({
   input: process.stdin,
@@ -71,353 +121,377 @@ function askUser(question) {
 const args = process.argv.slice(2);
 const isDryRun = args.includes("--dry-run");
 const isForce = args.includes("--force");
+const isDelete = args.includes("--delete");
+const isDraft = args.includes("--draft");
+const isClassifyEnabled = !args.includes("--no-classify");
+const isReview = args.includes("--review");
 
-// Get source directory from arguments
-let sourceDir = null;
-for (const arg of args) {
-  if (!arg.startsWith("--")) {
-    sourceDir = arg;
-    break;
-  }
+// Options that take a value, e.g. --issue R2621-ABRIL-24-25-26-27
+const VALUE_OPTIONS = ["--issue", "--run"];
+
+function getOptionValue(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] || null : null;
 }
 
-// Validate source directory
-if (!sourceDir) {
+// Positional arguments: an optional command followed by its operands
+const positional = args.filter(
+  (arg, index) =>
+    !arg.startsWith("--") && !VALUE_OPTIONS.includes(args[index - 1])
+);
+const COMMANDS = ["imports", "diff", "rollback", "sweep"];
+const command = COMMANDS.includes(positional[0]) ? positional[0] : "upload";
+const sourceDir = command === "upload" ? positional[0] : null;
+
+function printUsage() {
   console.error(
-    "Error: Please provide a source directory containing JSON files."
+    "Usage: node scripts/publication-uploader/uploader.js <source-directory> [options]"
   );
   console.error(
-    "Usage: node scripts/publication-uploader/uploader.js <source-directory> [options]"
+    "       node scripts/publication-uploader/uploader.js imports [--issue <code>]"
+  );
+  console.error(
+    "       node scripts/publication-uploader/uploader.js diff <run-id> <run-id>"
+  );
+  console.error(
+    "       node scripts/publication-uploader/uploader.js rollback --run <run-id> | --issue <code> [--delete]"
+  );
+  console.error(
+    "       node scripts/publication-uploader/uploader.js sweep [--dry-run]"
   );
   console.error("Options:");
   console.error("  --dry-run: Simulate import without making actual changes");
   console.error("  --force: Skip confirmation prompts");
+  console.error("  --draft: Import publications as drafts");
+  console.error(
+    "  --no-classify: Do not fill in missing categories with the classifier"
+  );
+  console.error(
+    "  --review: Review publications with problems or guessed values first"
+  );
+  console.error(
+    "  --delete: (rollback) Delete publications instead of deactivating them"
+  );
+}
+
+// Validate source directory
+if (command === "upload" && !sourceDir) {
+  console.error(
+    "Error: Please provide a source directory containing JSON files."
+  );
+  printUsage();
   process.exit(1);
 }
 
 /**
- * Generate a unique ID for a publication
+ * Allocate the next short ID (id_corto) from the shared counter.
+ * Numbering starts above the 1000-9999 range of the old random short IDs,
+ * so new IDs never collide with records imported before.
  */
-function generateUniqueId(prefix) {
-  const timestamp = Date.now();
-  const randomStr = crypto.randomBytes(4).toString("hex");
-  return `${prefix}_${timestamp}_${randomStr}`;
+async function allocateShortId(db) {
+  const result = await db.collection(COUNTERS_COLLECTION).findOneAndUpdate(
+    { _id: SHORT_ID_COUNTER },
+    [
+      {
+        $set: {
+          seq: { $add: [{ $ifNull: ["$seq", LEGACY_SHORT_ID_MAX] }, 1] },
+        },
+      },
+    ],
+    { upsert: true, returnDocument: "after" }
+  );
+  return String(result.value.seq);
 }
 
 /**
- * Generate a short ID for a publication
+ * Make sure every category collection has a unique index on the stable ID,
+ * and indexes on the fields used to find repeated ads
  */
-function generateShortId(category) {
-  // Generate a random number between 1000 and 9999
-  const counter = Math.floor(1000 + Math.random() * 9000);
-  return counter.toString();
+async function ensureIdentityIndexes(db) {
+  for (const collectionName of Object.values(CATEGORY_COLLECTIONS)) {
+    const collection = db.collection(collectionName);
+    try {
+      await collection.createIndex(
+        { id: 1 },
+        { unique: true, name: "id_unique" }
+      );
+      await collection.createIndex({ repeat_key: 1 });
+      await collection.createIndex({ phone_keys: 1 });
+    } catch (error) {
+      console.warn(
+        `Warning: could not create indexes on ${collectionName}: ${error.message}`
+      );
+    }
+  }
 }
 
+// Fields needed to decide between insert, update, renewal or no change
+const PUBLICATION_LOOKUP_PROJECTION = {
+  id: 1,
+  id_corto: 1,
+  content_hash: 1,
+  category: 1,
+  status: 1,
+  issue_code: 1,
+  title: 1,
+  description: 1,
+  phone_keys: 1,
+  url_path: 1,
+  image_sizes: 1,
+};
+
 /**
- * Generate a URL-friendly slug from a title
+ * Find a publication by its stable ID in any category collection
+ * (it may have been recategorized since the last import). Renewed
+ * publications are also found by the IDs of the issues that renewed them.
  */
-function generateSlug(title) {
-  return title
-    .toLowerCase()
-    .replace(/[^\w\sáéíóúüñ]/g, "")
-    .replace(/\s+/g, "-")
-    .replace(/[áàäâ]/g, "a")
-    .replace(/[éèëê]/g, "e")
-    .replace(/[íìïî]/g, "i")
-    .replace(/[óòöô]/g, "o")
-    .replace(/[úùüû]/g, "u")
-    .replace(/ñ/g, "n")
-    .replace(/-+/g, "-")
-    .trim()
-    .substring(0, 80);
+async function findPublicationById(db, id) {
+  for (const collectionName of Object.values(CATEGORY_COLLECTIONS)) {
+    const doc = await db
+      .collection(collectionName)
+      .findOne(
+        { $or: [{ id }, { renewal_ids: id }] },
+        {
+          projection: PUBLICATION_LOOKUP_PROJECTION,
+        }
+      );
+    if (doc) return { collectionName, doc };
+  }
+  return null;
 }
 
 /**
- * Detect category based on publication title keywords
+ * Find the same ad imported from an older issue: same repeat key, or a
+ * shared phone number and similar text (see lib/duplicates.js)
  */
-function detectCategory(title) {
-  const lowerTitle = title.toLowerCase();
-
-  // Inmuebles patterns
-  if (
-    lowerTitle.includes("alquilo") ||
-    lowerTitle.includes("alquiler") ||
-    lowerTitle.includes("vendo terreno") ||
-    lowerTitle.includes("vendo lote") ||
-    lowerTitle.includes("vendo casa") ||
-    lowerTitle.includes("vendo departamento") ||
-    lowerTitle.includes("anticresis") ||
-    lowerTitle.includes("inmueble") ||
-    lowerTitle.includes("habitación") ||
-    lowerTitle.includes("oficina") ||
-    lowerTitle.includes("local comercial")
-  ) {
-    return "inmuebles";
-  }
-
-  // Vehículos patterns
-  if (
-    lowerTitle.includes("auto") ||
-    lowerTitle.includes("camioneta") ||
-    lowerTitle.includes("vehículo") ||
-    lowerTitle.includes("carro") ||
-    lowerTitle.includes("moto") ||
-    lowerTitle.includes("camión")
-  ) {
-    return "vehiculos";
-  }
-
-  // Empleos patterns
-  if (
-    lowerTitle.includes("necesito") ||
-    lowerTitle.includes("se necesita") ||
-    lowerTitle.includes("busco personal") ||
-    lowerTitle.includes("oportunidad laboral") ||
-    lowerTitle.includes("requiere personal") ||
-    lowerTitle.includes("empleo")
-  ) {
-    return "empleos";
-  }
-
-  // Servicios patterns
-  if (
-    lowerTitle.includes("servicio") ||
-    lowerTitle.includes("reparación") ||
-    lowerTitle.includes("mantenimiento") ||
-    lowerTitle.includes("clases") ||
-    lowerTitle.includes("profesor") ||
-    lowerTitle.includes("terapia") ||
-    lowerTitle.includes("consultoría") ||
-    lowerTitle.includes("asesoría")
-  ) {
-    return "servicios";
-  }
-
-  // Productos patterns
-  if (
-    lowerTitle.includes("vendo") &&
-    !lowerTitle.includes("vendo terreno") &&
-    !lowerTitle.includes("vendo casa") &&
-    !lowerTitle.includes("vendo departamento") &&
-    !lowerTitle.includes("vendo lote")
-  ) {
-    return "productos";
-  }
-
-  // Eventos patterns
-  if (
-    lowerTitle.includes("evento") ||
-    lowerTitle.includes("fiesta") ||
-    lowerTitle.includes("concierto") ||
-    lowerTitle.includes("celebración")
-  ) {
-    return "eventos";
+async function findRepeatedPublication(db, publication, repeatKey, issueCode) {
+  const currentIssue = parseIssueCode(issueCode);
+  const phoneKeys = phoneKeysOf(publication);
+  const candidates = [{ repeat_key: repeatKey }];
+  if (phoneKeys.length > 0) {
+    candidates.push({ phone_keys: { $in: phoneKeys } });
   }
-
-  // Comunidad patterns
-  if (
-    lowerTitle.includes("comunidad") ||
-    lowerTitle.includes("perdido") ||
-    lowerTitle.includes("encontrado") ||
-    lowerTitle.includes("donación")
-  ) {
-    return "comunidad";
+  for (const collectionName of Object.values(CATEGORY_COLLECTIONS)) {
+    const docs = await db
+      .collection(collectionName)
+      .find(
+        { $or: candidates, issue_code: { $ne: issueCode } },
+        { projection: PUBLICATION_LOOKUP_PROJECTION }
+      )
+      .toArray();
+    for (const doc of docs) {
+      const previousIssue = parseIssueCode(doc.issue_code);
+      // Only a newer issue renews an ad; re-importing an old one does not
+      if (!currentIssue || !previousIssue) continue;
+      if (previousIssue.number >= currentIssue.number) continue;
+      const isSameAd =
+        doc.repeat_key === repeatKey ||
+        comparePublications(publication, {
+          title: doc.title,
+          description: doc.description,
+          contact: { phones: doc.phone_keys || [] },
+        });
+      if (isSameAd) return { collectionName, doc };
+    }
   }
+  return null;
+}
 
-  // Negocios patterns
-  if (
-    lowerTitle.includes("negocio") ||
-    lowerTitle.includes("traspaso") ||
-    lowerTitle.includes("inversión")
-  ) {
-    return "negocios";
+/**
+ * Find ads repeated within the records of one import (the same classified
+ * printed on two pages). Returns a Map from the index of each repeated record
+ * to the index of the first one; the first record of a group is imported with
+ * the merged content of the whole group (see mergePublications).
+ */
+function findDuplicateRecords(records, skipped = new Set()) {
+  const validIndexes = records
+    .map((record, index) =>
+      record.errors.length === 0 &&
+      !skipped.has(recordKey(record.file, record.index))
+        ? index
+        : -1
+    )
+    .filter((index) => index !== -1);
+  const groups = findDuplicateGroups(
+    validIndexes.map((index) => records[index].publication)
+  );
+  const duplicateOf = new Map();
+  const mergedGroups = new Map();
+  for (const group of groups) {
+    const [first, ...others] = group.indexes.map((i) => validIndexes[i]);
+    others.forEach((index) => duplicateOf.set(index, first));
+    mergedGroups.set(first, {
+      publication: mergePublications(
+        [first, ...others].map((index) => records[index].publication)
+      ),
+      indexes: [first, ...others],
+      similarity: group.similarity,
+    });
   }
-
-  // Default to productos if no category detected
-  return "productos";
+  return { duplicateOf, mergedGroups };
 }
 
 /**
- * Validate publication data
+ * Insert, update or renew a publication by its stable ID.
+ * Returns { action, prepared, urlPath, previous } where action is
+ * "inserted", "updated", "renewed" or "unchanged", urlPath is the url_path of
+ * the stored record and previous is { collection, document } with the record
+ * an update or renewal replaced. An unchanged record still gets the web
+ * sizes of its photos when it lacks them (imagesUpdated).
  */
-function validatePublication(publication) {
-  // Map categorySlug to category if category is missing
-  if (!publication.category && publication.categorySlug) {
-    publication.category = publication.categorySlug;
-    console.log(
-      `  - Using categorySlug "${publication.categorySlug}" for "${publication.title}"`
+async function upsertPublication(
+  db,
+  publication,
+  identity,
+  source,
+  duplicateIds = []
+) {
+  let existing = await findPublicationById(db, identity.id);
+  let isRenewal = false;
+  if (!existing) {
+    existing = await findRepeatedPublication(
+      db,
+      publication,
+      identity.repeatKey,
+      source.issueCode
     );
+    isRenewal = Boolean(existing);
   }
 
-  // Check required fields
-  const requiredFields = ["title", "description"];
-  const missingFields = requiredFields.filter((field) => !publication[field]);
-
-  if (missingFields.length > 0) {
-    return {
-      valid: false,
-      error: `Missing required fields: ${missingFields.join(", ")}`,
-    };
-  }
-
-  // Validate category
-  if (!CATEGORY_COLLECTIONS[publication.category]) {
+  if (
+    existing &&
+    !isRenewal &&
+    existing.doc.content_hash === identity.contentHash
+  ) {
+    // Web sizes made after it was stored (IMAGES_DIR set later) are still
+    // added: the content hash only covers the page JSON
+    const imageFields = prepareImageFields(publication, source);
+    const imagesUpdated =
+      imageFields.image_sizes !== undefined &&
+      !isDeepStrictEqual(existing.doc.image_sizes, imageFields.image_sizes);
+    if (imagesUpdated) {
+      await db
+        .collection(existing.collectionName)
+        .updateOne(
+          { id: existing.doc.id },
+          { $set: { ...imageFields, updated_at: new Date().toISOString() } }
+        );
+    }
     return {
-      valid: false,
-      error: `Invalid category: ${
-        publication.category
-      }. Valid categories: ${Object.keys(CATEGORY_COLLECTIONS).join(", ")}`,
+      action: "unchanged",
+      prepared: null,
+      urlPath: existing.doc.url_path,
+      imagesUpdated,
     };
   }
 
-  // Process subcategory and subsubcategory
-  if (!publication.subcategory && publication.subcategorySlug) {
-    publication.subcategory = publication.subcategorySlug;
-  }
-
-  if (!publication.subsubcategory && publication.subSubcategorySlug) {
-    publication.subsubcategory = publication.subSubcategorySlug;
-  }
+  const expiration = computeExpiration(
+    publication.categorySlug,
+    source.issueCode
+  );
+  const lifecycle = {
+    ...expiration,
+    previousStatus: existing ? existing.doc.status : undefined,
+    status: statusForImport({
+      existingStatus: existing ? existing.doc.status : undefined,
+      expiresAt: expiration.expiresAt,
+      isDraft,
+      isRenewal,
+    }),
+  };
 
-  // Handle contact information
-  if (publication.contact && publication.contact.phones) {
-    const phone = publication.contact.phones[0] || "";
-    publication.contact = {
-      name: publication.contact.name || "Anunciante",
-      phone: phone,
-      whatsapp: phone,
-      email: publication.contact.email || "contacto@buscadis.com",
-    };
-  } else if (!publication.contact) {
-    publication.contact = {
-      name: "Anunciante",
-      phone: "999999999",
-      whatsapp: "999999999",
-      email: "contacto@buscadis.com",
-    };
+  // The document as it was before this run, so that a rollback can put it back
+  const previous = existing
+    ? {
+        collection: existing.collectionName,
+        document: await db
+          .collection(existing.collectionName)
+          .findOne({ id: existing.doc.id }),
+      }
+    : null;
+
+  // Renewals and updates keep the stored ID and short ID
+  const prepared = preparePublicationForInsertion(
+    publication,
+    {
+      ...identity,
+      id: existing ? existing.doc.id : identity.id,
+      shortId: existing ? existing.doc.id_corto : await allocateShortId(db),
+    },
+    source,
+    lifecycle
+  );
+  const collectionName = CATEGORY_COLLECTIONS[prepared.category];
+
+  // created_at (and a source _id, if any) must only be set on insert
+  const { created_at, _id, ...fields } = prepared;
+  const update = {
+    $set: fields,
+    $setOnInsert: _id ? { created_at, _id } : { created_at },
+    $addToSet: { issue_history: source.issueCode },
+  };
+  if (isRenewal) {
+    update.$addToSet.renewal_ids = identity.id;
   }
-
-  // Auto-create location if missing
-  if (!publication.location) {
-    publication.location = {
-      city: "Cusco",
-      district: "Cusco",
-    };
-    console.log(`  - Auto-created location for "${publication.title}"`);
-  } else if (publication.location.district && !publication.location.city) {
-    // If only district is provided, set city to Cusco
-    publication.location.city = "Cusco";
+  if (duplicateIds.length > 0) {
+    update.$addToSet.duplicate_ids = { $each: duplicateIds };
   }
+  await db
+    .collection(collectionName)
+    .updateOne({ id: prepared.id }, update, { upsert: true });
 
-  // Validate price if present
-  if (publication.price !== undefined) {
-    const price = parseFloat(publication.price);
-    if (isNaN(price) || price < 0) {
-      return {
-        valid: false,
-        error: `Invalid price: ${publication.price}`,
-      };
-    }
+  // Recategorized: remove the copy left in the old collection
+  if (existing && existing.collectionName !== collectionName) {
+    await db.collection(existing.collectionName).deleteOne({ id: prepared.id });
   }
 
-  return { valid: true };
+  let action = "inserted";
+  if (isRenewal) action = "renewed";
+  else if (existing) action = "updated";
+  return { action, prepared, urlPath: prepared.url_path, previous };
 }
 
 /**
- * Prepare publication data for insertion
+ * Download and resize the photos of the valid publications into IMAGES_DIR
+ * (see lib/images.js) and report the missing or broken ones.
+ * Returns a Map(reference -> { hash, width, height, sizes }), empty when
+ * IMAGES_DIR is not set or in a dry run.
  */
-function preparePublicationForInsertion(publication) {
-  const now = new Date().toISOString();
-  const category = publication.category;
-
-  // Generate short ID and slug
-  const shortId = generateShortId(category);
-  const slug = generateSlug(publication.title);
-
-  // Map location fields if needed
-  if (publication.location) {
-    if (publication.location.province && !publication.location.city) {
-      publication.location.city = publication.location.province;
-    }
-  }
-
-  // Use subcategory from subcategorySlug
-  const subcategory =
-    publication.subcategory || publication.subcategorySlug || "general";
-  const subsubcategory =
-    publication.subsubcategory || publication.subSubcategorySlug || "";
-
-  // Build URL path
-  let urlPath = `/${category}/${subcategory}`;
-  if (subsubcategory) {
-    urlPath += `/${subsubcategory}`;
-  }
-  urlPath += `/${shortId}-${slug}`;
-
-  // Use provided ID or generate a new one
-  if (!publication.id || publication.id.includes("_")) {
-    publication.id = shortId;
-  }
-
-  // Map price from amount if available
-  if (publication.amount !== undefined && publication.price === undefined) {
-    publication.price = parseFloat(publication.amount);
-  }
-
-  // Process contact information
-  let contact = publication.contact || {};
-  if (publication.contact && publication.contact.phones) {
-    const phone = publication.contact.phones[0] || "";
-    contact = {
-      name: publication.contact.name || "Anunciante",
-      phone: phone,
-      whatsapp: phone,
-      email: publication.contact.email || "contacto@buscadis.com",
-    };
-  }
-
-  // Move attributes to features if needed
-  let features = publication.features || {};
-  if (publication.attributes) {
-    features = { ...features, ...publication.attributes };
+async function prepareWebImages(records) {
+  const references = [
+    ...new Set(
+      records
+        .filter((record) => record.errors.length === 0)
+        .flatMap((record) => record.publication.images || [])
+    ),
+  ];
+  if (!imagesDir || references.length === 0) return new Map();
+  if (isDryRun) {
+    console.log(`Would process ${references.length} images into ${imagesDir}`);
+    return new Map();
   }
 
-  // Prepare final publication object
-  const preparedPublication = {
-    ...publication,
-    status: publication.status || "active",
-    created_at: publication.created_at || now,
-    updated_at: publication.updated_at || now,
-    id: String(publication.id),
-    id_corto: shortId,
-    slug: slug,
-    url_path: urlPath,
-    subcategory: subcategory,
-    subsubcategory: subsubcategory || undefined,
-    images: publication.images || [],
-    user_id: publication.user_id || "admin", // Default user for imported publications
-    contact: contact,
-    features: features,
-  };
-
-  // Remove redundant fields
-  delete preparedPublication.categorySlug;
-  delete preparedPublication.subcategorySlug;
-  delete preparedPublication.subSubcategorySlug;
-  delete preparedPublication.attributes;
-  delete preparedPublication.amount;
-
-  // Ensure price exists
-  if (preparedPublication.price === undefined) {
-    preparedPublication.price = 0;
-  }
-
-  // Default currency
-  if (!preparedPublication.currency) {
-    preparedPublication.currency = "PEN";
-  }
-
-  return preparedPublication;
+  console.log(`Processing ${references.length} images into ${imagesDir}...`);
+  const prepared = await prepareImages(references);
+  const { images, report, processed } = await processWebImages(
+    prepared.images,
+    imagesDir
+  );
+  const problems = [
+    ...prepared.missing.map(({ reference, message }) => ({
+      reference,
+      status: "missing",
+      message,
+    })),
+    ...report.filter((entry) => entry.status !== "ok"),
+  ];
+  console.log(
+    `Images ready: ${images.size} (${processed} files written, the rest cached)`
+  );
+  problems.forEach(({ reference, status, message }) => {
+    console.warn(`  - Warning: image ${reference} is ${status}: ${message}`);
+  });
+  return images;
 }
 
 /**
@@ -431,6 +505,23 @@ async function uploadPublications() {
   console.log(`Mode: ${isDryRun ? "Dry run (no changes)" : "Import"}`);
   console.log("=================================");
 
+  // Kept outside the try block: a run that fails halfway still saves its
+  // manifest, so that rollback --run can undo what it wrote
+  let db = null;
+  let manifest = null;
+  const results = {
+    total: 0,
+    success: 0,
+    inserted: 0,
+    updated: 0,
+    renewed: 0,
+    unchanged: 0,
+    duplicates: 0,
+    classified: 0,
+    errors: [],
+    skipped: 0,
+  };
+
   try {
     // Check if source directory exists
     if (!fs.existsSync(sourceDir)) {
@@ -438,10 +529,19 @@ async function uploadPublications() {
       process.exit(1);
     }
 
-    // Read all JSON files in the directory
-    const files = fs
-      .readdirSync(sourceDir)
-      .filter((file) => file.endsWith(".json"));
+    // Missing categories are filled in by the classifier (train_classifier.js)
+    const classifier = isClassifyEnabled ? loadModel() : null;
+    if (isClassifyEnabled && !classifier) {
+      console.warn(
+        "Warning: no classifier model found, missing categories will not be filled in (run train_classifier.js)"
+      );
+    }
+
+    // Read and validate all JSON files in the directory
+    let { files, records, fileErrors } = await loadPublicationDirectory(
+      sourceDir,
+      { classifier }
+    );
 
     if (files.length === 0) {
       console.error(`Error: No JSON files found in "${sourceDir}"`);
@@ -450,6 +550,43 @@ async function uploadPublications() {
 
     console.log(`Found ${files.length} JSON files: ${files.join(", ")}`);
 
+    // Review publications with problems or guessed values; the decisions are
+    // saved to the files, which are then read again
+    let skipped = new Set();
+    if (isReview) {
+      const review = await reviewRecords(sourceDir, records, {
+        ask: askUser,
+        classifier,
+        issueCode: issueCodeFromDirectory(sourceDir),
+        save: !isDryRun,
+      });
+      skipped = review.skipped;
+      console.log(
+        `\nReviewed: ${review.reviewed}, skipped: ${skipped.size}${
+          isDryRun ? " (dry run, nothing saved)" : ""
+        }`
+      );
+      if (review.saved.length > 0) {
+        console.log(`Saved: ${review.saved.join(", ")}`);
+        ({ files, records, fileErrors } = await loadPublicationDirectory(
+          sourceDir,
+          { classifier }
+        ));
+      }
+    }
+
+    // Stable IDs: same issue + page + title always maps to the same record
+    const issueCode = issueCodeFromDirectory(sourceDir);
+    const identities = assignIdentities(issueCode, records);
+    const { duplicateOf, mergedGroups } = findDuplicateRecords(
+      records,
+      skipped
+    );
+    const runId = generateRunId();
+    manifest = createManifest(runId, issueCode, sourceDir);
+    console.log(`Issue: ${issueCode}`);
+    console.log(`Import run: ${runId}`);
+
     // Ask for confirmation unless forced
     if (!isForce && !isDryRun) {
       const answer = await askUser(
@@ -466,91 +603,200 @@ async function uploadPublications() {
       console.log("Connecting to MongoDB...");
       await client.connect();
       console.log("Connected successfully");
+      db = client.db(dbName);
+      await ensureIdentityIndexes(db);
     }
 
+    const webImages = await prepareWebImages(records);
+
     // Process each file
-    const results = {
-      total: 0,
-      success: 0,
-      errors: [],
-      skipped: 0,
-    };
+    let dryRunShortId = LEGACY_SHORT_ID_MAX;
+
+    for (const { file, error } of fileErrors) {
+      console.error(`Error processing file ${file}: ${error}`);
+      results.errors.push({
+        file,
+        error: `File error: ${error}`,
+      });
+    }
 
     for (const file of files) {
-      const filePath = path.join(sourceDir, file);
+      const fileRecords = records
+        .map((record, i) => ({
+          ...record,
+          position: i,
+          identity: identities[i],
+        }))
+        .filter((record) => record.file === file);
+      if (fileRecords.length === 0) continue;
+
       console.log(`\nProcessing file: ${file}`);
+      console.log(`Found ${fileRecords.length} publications in file`);
+      results.total += fileRecords.length;
+
+      // Process each publication
+      for (const record of fileRecords) {
+        const { errors, warnings, identity, index, position, classification } =
+          record;
+        let { publication } = record;
+        try {
+          // Left out during the review (--review)
+          if (skipped.has(recordKey(file, index))) {
+            results.skipped++;
+            console.log(`  - Skipped in review: "${publication.title}"`);
+            continue;
+          }
 
-      try {
-        // Read and parse the JSON file
-        const fileContent = fs.readFileSync(filePath, "utf8");
-        const publications = JSON.parse(fileContent);
-
-        // Ensure we have an array of publications
-        const publicationsArray = Array.isArray(publications)
-          ? publications
-          : [publications];
-
-        console.log(`Found ${publicationsArray.length} publications in file`);
-        results.total += publicationsArray.length;
-
-        // Process each publication
-        for (const publication of publicationsArray) {
-          try {
-            // Validate the publication
-            const validation = validatePublication(publication);
-            if (!validation.valid) {
-              console.error(
-                `  - Error validating publication "${
-                  publication.title || "Untitled"
-                }": ${validation.error}`
-              );
+          warnings.forEach((warning) => {
+            console.warn(`  - Warning: ${warning}`);
+          });
+
+          // Skip publications that do not match the shared schema
+          if (errors.length > 0) {
+            errors.forEach((error) => {
+              console.error(`  - Validation error: ${error}`);
               results.errors.push({
                 file,
                 title: publication.title || "Untitled",
-                error: validation.error,
+                error,
               });
-              continue;
-            }
+            });
+            continue;
+          }
 
-            // Prepare the publication
-            const preparedPublication =
-              preparePublicationForInsertion(publication);
+          // Repeated ads are linked to the record of their first occurrence
+          if (duplicateOf.has(position)) {
+            const original = identities[duplicateOf.get(position)];
+            results.duplicates++;
+            results.success++;
+            manifest.entries.push({
+              id: identity.id,
+              content_hash: identity.contentHash,
+              action: "duplicate",
+              duplicate_of: original.id,
+              file,
+              page: pageNumberOf(file),
+              index,
+              title: publication.title,
+              category: publication.categorySlug,
+            });
+            console.log(
+              `  - Duplicate: "${publication.title}" linked to ID ${original.id}`
+            );
+            continue;
+          }
+
+          // The first occurrence is imported with the content of all repeats
+          let duplicateIds = [];
+          let importIdentity = identity;
+          if (mergedGroups.has(position)) {
+            const group = mergedGroups.get(position);
+            publication = group.publication;
+            duplicateIds = group.indexes
+              .slice(1)
+              .map((i) => identities[i].id);
+            importIdentity = {
+              ...identity,
+              contentHash: computeContentHash(publication),
+            };
+          }
+
+          const source = {
+            issueCode,
+            file,
+            runId,
+            classification,
+            webImages,
+            imagesBaseUrl,
+          };
+          if (classification) {
+            results.classified++;
+            console.log(
+              `  - Classified "${publication.title}" as ${classification.filled
+                .map((field) => publication[field])
+                .join(" > ")} (confidence ${Math.round(
+                classification.confidence * 100
+              )}%)`
+            );
+          }
+          if (isDryRun) {
+            dryRunShortId++;
+            const expiration = computeExpiration(
+              publication.categorySlug,
+              issueCode
+            );
+            const preparedPublication = preparePublicationForInsertion(
+              publication,
+              { ...importIdentity, shortId: `${dryRunShortId}` },
+              source,
+              {
+                ...expiration,
+                status: statusForImport({ ...expiration, isDraft }),
+              }
+            );
             const collectionName =
               CATEGORY_COLLECTIONS[preparedPublication.category];
-
-            if (isDryRun) {
+            console.log(
+              `  - Would upsert: "${preparedPublication.title}" (ID: ${preparedPublication.id}, status: ${preparedPublication.status}, expires: ${preparedPublication.expires_at}) to ${collectionName}`
+            );
+          } else {
+            // Upsert into MongoDB by stable ID
+            const { action, prepared, urlPath, previous, imagesUpdated } =
+              await upsertPublication(
+                db,
+                publication,
+                importIdentity,
+                source,
+                duplicateIds
+              );
+            results[action]++;
+            manifest.entries.push({
+              id: identity.id,
+              content_hash: importIdentity.contentHash,
+              action,
+              file,
+              page: pageNumberOf(file),
+              index,
+              title: publication.title,
+              category: publication.categorySlug,
+              url_path: urlPath,
+              previous: previous || undefined,
+            });
+            if (action === "unchanged") {
               console.log(
-                `  - Would import: "${preparedPublication.title}" (ID: ${preparedPublication.id}) to ${collectionName}`
+                `  - Unchanged: "${publication.title}" (ID: ${identity.id})${
+                  imagesUpdated ? ", web images added" : ""
+                }`
               );
             } else {
-              // Insert into MongoDB
-              const db = client.db(dbName);
-              await db
-                .collection(collectionName)
-                .insertOne(preparedPublication);
+              const verb = {
+                inserted: "Imported",
+                updated: "Updated",
+                renewed: "Renewed",
+              }[action];
               console.log(
-                `  - Imported: "${preparedPublication.title}" (ID: ${preparedPublication.id}) to ${collectionName}`
+                `  - ${verb}: "${
+                  prepared.title
+                }" (ID: ${prepared.id}, short ID: ${prepared.id_corto}, status: ${
+                  prepared.status
+                }, expires: ${prepared.expires_at}) to ${
+                  CATEGORY_COLLECTIONS[prepared.category]
+                }`
               );
             }
-
-            results.success++;
-          } catch (pubError) {
-            console.error(
-              `  - Error processing publication: ${pubError.message}`
-            );
-            results.errors.push({
-              file,
-              title: publication.title || "Untitled",
-              error: pubError.message,
-            });
           }
+
+          results.success++;
+        } catch (pubError) {
+          console.error(
+            `  - Error processing publication: ${pubError.message}`
+          );
+          results.errors.push({
+            file,
+            title: publication.title || "Untitled",
+            error: pubError.message,
+          });
         }
-      } catch (fileError) {
-        console.error(`Error processing file ${file}: ${fileError.message}`);
-        results.errors.push({
-          file,
-          error: `File error: ${fileError.message}`,
-        });
       }
     }
 
@@ -558,8 +804,31 @@ async function uploadPublications() {
     console.log("\n=== IMPORT SUMMARY ===");
     console.log(`Total publications: ${results.total}`);
     console.log(`Successfully processed: ${results.success}`);
+    if (!isDryRun) {
+      console.log(`  Inserted: ${results.inserted}`);
+      console.log(`  Updated: ${results.updated}`);
+      console.log(`  Renewed: ${results.renewed}`);
+      console.log(`  Unchanged: ${results.unchanged}`);
+    }
+    console.log(`  Duplicates linked: ${results.duplicates}`);
+    console.log(`  Categories filled in by the classifier: ${results.classified}`);
+    if (isReview) console.log(`Skipped in review: ${results.skipped}`);
     console.log(`Errors: ${results.errors.length}`);
 
+    if (mergedGroups.size > 0) {
+      console.log("\nDuplicate report:");
+      for (const group of mergedGroups.values()) {
+        const sources = group.indexes.map(
+          (i) => `${records[i].file}[${records[i].index}]`
+        );
+        console.log(
+          `  - "${group.publication.title}": ${sources.join(
+            " = "
+          )} (similarity ${Math.round(group.similarity * 100)}%)`
+        );
+      }
+    }
+
     if (results.errors.length > 0) {
       console.log("\nError details:");
       results.errors.forEach((err, index) => {
@@ -575,9 +844,24 @@ async function uploadPublications() {
       console.log(
         "\nThis was a dry run. No changes were made to the database."
       );
+    } else {
+      const manifestPath = await saveManifest(db, manifest, results);
+      console.log(`\nManifest for run ${runId} saved to ${manifestPath}`);
     }
   } catch (error) {
     console.error("Fatal error:", error);
+    if (db && manifest) {
+      manifest.incomplete = true;
+      results.errors.push({ error: `Fatal error: ${error.message}` });
+      try {
+        const manifestPath = await saveManifest(db, manifest, results);
+        console.error(
+          `Incomplete manifest for run ${manifest.run_id} saved to ${manifestPath}`
+        );
+      } catch (saveError) {
+        console.error(`Could not save the manifest: ${saveError.message}`);
+      }
+    }
     process.exit(1);
   } finally {
     // Close connections
@@ -589,5 +873,159 @@ async function uploadPublications() {
   }
 }
 
-// Run the upload process
-uploadPublications().catch(console.error);
+/**
+ * Connect to MongoDB, run a task with the database and always clean up
+ */
+async function withDatabase(task) {
+  try {
+    await client.connect();
+    return await task(client.db(dbName));
+  } catch (error) {
+    console.error("Fatal error:", error.message);
+    process.exitCode = 1;
+  } finally {
+    rl.close();
+    await client.close();
+  }
+}
+
+/**
+ * List past import runs
+ */
+async function listImports() {
+  const issueCode = getOptionValue("--issue");
+  await withDatabase(async (db) => {
+    const runs = await listImportRuns(db, { issueCode });
+    if (runs.length === 0) {
+      console.log("No imports found.");
+      return;
+    }
+    console.log("=== IMPORT RUNS ===");
+    for (const run of runs) {
+      const { inserted, updated, renewed = 0, unchanged, errors } = run.counts;
+      const rollback = run.rolled_back_at
+        ? ` [rolled back: ${run.rollback_mode} at ${run.rolled_back_at}]`
+        : "";
+      const incomplete = run.incomplete ? " [incomplete]" : "";
+      console.log(
+        `${run.run_id}  ${run.issue_code}  ${run.started_at}  inserted: ${inserted}, updated: ${updated}, renewed: ${renewed}, unchanged: ${unchanged}, errors: ${errors}${incomplete}${rollback}`
+      );
+    }
+  });
+}
+
+/**
+ * Show the differences between two import runs
+ */
+async function diffImports() {
+  const [beforeId, afterId] = positional.slice(1);
+  if (!beforeId || !afterId) {
+    console.error("Error: Please provide two run IDs to compare.");
+    printUsage();
+    process.exit(1);
+  }
+  await withDatabase(async (db) => {
+    const before = await getImportRun(db, beforeId);
+    const after = await getImportRun(db, afterId);
+    if (!before || !after) {
+      throw new Error(`Import run "${before ? afterId : beforeId}" not found`);
+    }
+    const diff = diffManifests(before, after);
+    const describe = (entry) =>
+      `${entry.file}[${entry.index}] "${entry.title}" (ID: ${entry.id})`;
+
+    console.log(`=== DIFF ${beforeId} -> ${afterId} ===`);
+    diff.added.forEach((entry) => console.log(`  + ${describe(entry)}`));
+    diff.removed.forEach((entry) => console.log(`  - ${describe(entry)}`));
+    diff.changed.forEach(({ after: entry }) =>
+      console.log(`  ~ ${describe(entry)}`)
+    );
+    console.log(
+      `\nAdded: ${diff.added.length}, Removed: ${diff.removed.length}, Changed: ${diff.changed.length}, Unchanged: ${diff.unchanged.length}`
+    );
+  });
+}
+
+/**
+ * Delete or deactivate everything imported by a run or from an issue
+ */
+async function rollbackImports() {
+  const runId = getOptionValue("--run");
+  const issueCode = getOptionValue("--issue");
+  if (!runId === !issueCode) {
+    console.error("Error: Please provide either --run <run-id> or --issue <code>.");
+    printUsage();
+    process.exit(1);
+  }
+  const mode = isDelete ? "delete" : "deactivate";
+  const target = runId ? `run ${runId}` : `issue ${issueCode}`;
+
+  if (!isForce) {
+    const answer = await askUser(
+      runId
+        ? `Do you want to ${mode} the publications inserted by ${target} and restore the ones it updated? (yes/no): `
+        : `Do you want to ${mode} all publications from ${target}? (yes/no): `
+    );
+    if (answer.toLowerCase() !== "yes" && answer.toLowerCase() !== "y") {
+      console.log("Rollback canceled.");
+      rl.close();
+      return;
+    }
+  }
+
+  await withDatabase(async (db) => {
+    const { affected, restored, notRestored } = runId
+      ? await rollbackRun(db, runId, mode)
+      : { affected: await rollbackIssue(db, issueCode, mode), restored: 0 };
+    console.log(
+      `Rollback of ${target}: ${affected} publications ${
+        mode === "delete" ? "deleted" : `set to "${ROLLBACK_STATUS}"`
+      }`
+    );
+    if (runId) {
+      console.log(`  Updated or renewed publications restored: ${restored}`);
+    }
+    if (notRestored && notRestored.length > 0) {
+      console.log(
+        "  Not restored (changed again by a later run, or run saved without the previous version):"
+      );
+      notRestored.forEach((entry) =>
+        console.log(
+          `    - ${entry.file}[${entry.index}] "${entry.title}" (ID: ${entry.id})`
+        )
+      );
+    }
+  });
+}
+
+/**
+ * Mark publications whose issue is over as expired
+ */
+async function sweepPublications() {
+  await withDatabase(async (db) => {
+    const counts = await sweepExpired(db, { dryRun: isDryRun });
+    console.log(
+      `=== ${isDryRun ? "EXPIRED PUBLICATIONS (dry run)" : "SWEEP"} ===`
+    );
+    let total = 0;
+    for (const [collectionName, count] of Object.entries(counts)) {
+      if (count > 0) console.log(`  ${collectionName}: ${count}`);
+      total += count;
+    }
+    console.log(
+      `${total} publications ${
+        isDryRun ? "would be" : "were"
+      } set to "${STATUS.EXPIRED}"`
+    );
+  });
+}
+
+// Run the selected command
+const commands = {
+  upload: uploadPublications,
+  imports: listImports,
+  diff: diffImports,
+  rollback: rollbackImports,
+  sweep: sweepPublications,
+};
+commands[command]().catch(console.error);
@@ -0,0 +1,177 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getAttributeDefinitions,
+  normalizeAttributes,
+  formatAttributeValue,
+  getPrintableAttributes,
+  getInlineAttributes,
+  toValueKey,
+  defaultLabel,
+} = require("../lib/attributes");
+
+test("subcategories add to the keys of their category and common.json", () => {
+  const keys = Object.keys(getAttributeDefinitions("inmuebles", "cuartos"));
+  for (const key of ["condicion", "tipo_contrato", "dormitorios", "amoblado"]) {
+    assert.ok(keys.includes(key), key);
+  }
+});
+
+test("normalizeAttributes coerces values to the registry type", async (t) => {
+  // [attributes, normalized values]
+  const cases = [
+    [{ dormitorios: "3" }, { dormitorios: 3 }],
+    [{ banos: "1,5" }, { banos: 1.5 }],
+    [{ amoblado: "si" }, { amoblado: true }],
+    [{ amoblado: "No" }, { amoblado: false }],
+    [{ tipo_contrato: "Venta" }, { tipo_contrato: "venta" }],
+    [{ medidas: "  10 x 20 " }, { medidas: "10 x 20" }],
+    [{ ambientes: ["sala_comedor"] }, { ambientes: ["sala_comedor"] }],
+  ];
+  for (const [attributes, expected] of cases) {
+    await t.test(JSON.stringify(attributes), () => {
+      const { values, errors, warnings } = normalizeAttributes(
+        attributes,
+        "inmuebles",
+        "casas"
+      );
+      assert.deepEqual(values, expected);
+      assert.deepEqual(errors, []);
+      assert.deepEqual(warnings, []);
+    });
+  }
+});
+
+test("normalizeAttributes reads former names as their key", async (t) => {
+  const cases = [
+    [{ tipo_operacion: "venta" }, { tipo_contrato: "venta" }],
+    // The key itself wins over its former name
+    [
+      { tipo_operacion: "venta", tipo_contrato: "alquiler" },
+      { tipo_contrato: "alquiler" },
+    ],
+  ];
+  for (const [attributes, expected] of cases) {
+    await t.test(JSON.stringify(attributes), () => {
+      const { values, errors } = normalizeAttributes(
+        attributes,
+        "inmuebles",
+        "casas"
+      );
+      assert.deepEqual(values, expected);
+      assert.deepEqual(errors, []);
+    });
+  }
+});
+
+test("normalizeAttributes reports what does not fit", async (t) => {
+  // [attributes, errors, warnings, values]
+  const cases = [
+    [
+      { area_m2: "120.5" },
+      [["attributes.area_m2", 'invalid value "120.5", expected integer']],
+      [],
+      {},
+    ],
+    [
+      { tipo_contrato: "trueque" },
+      [
+        [
+          "attributes.tipo_contrato",
+          'invalid value "trueque", expected enum. Allowed: alquiler, venta, anticresis',
+        ],
+      ],
+      [],
+      {},
+    ],
+    // Unknown keys are kept, with a suggestion for typos
+    [
+      { dormitorio: 2, color: "rojo" },
+      [],
+      [
+        [
+          "attributes.dormitorio",
+          'unknown attribute for inmuebles/casas (did you mean "dormitorios"?)',
+        ],
+        ["attributes.color", "unknown attribute for inmuebles/casas"],
+      ],
+      { dormitorio: 2, color: "rojo" },
+    ],
+  ];
+  const issues = (list) => list.map(([path, message]) => ({ path, message }));
+  for (const [
+    attributes,
+    expectedErrors,
+    expectedWarnings,
+    expected,
+  ] of cases) {
+    await t.test(JSON.stringify(attributes), () => {
+      const { values, errors, warnings } = normalizeAttributes(
+        attributes,
+        "inmuebles",
+        "casas"
+      );
+      assert.deepEqual(errors, issues(expectedErrors));
+      assert.deepEqual(warnings, issues(expectedWarnings));
+      assert.deepEqual(values, expected);
+    });
+  }
+});
+
+test("getPrintableAttributes follows the registry order and labels", () => {
+  assert.deepEqual(
+    getPrintableAttributes({
+      categorySlug: "inmuebles",
+      subcategorySlug: "casas",
+      attributes: {
+        area_m2: 120,
+        amoblado: true,
+        dormitorios: 3,
+        tipo_operacion: "venta",
+      },
+    }),
+    [
+      { key: "tipo_contrato", label: "Contrato", value: "Venta" },
+      { key: "dormitorios", label: "Dorm.", value: "3" },
+      { key: "area_m2", label: "Área", value: "120 m²" },
+      { key: "amoblado", label: "Amoblado", value: "Sí" },
+    ]
+  );
+});
+
+test("getInlineAttributes", async (t) => {
+  const cases = [
+    [
+      { tipo_contrato: "alquiler", dormitorios: 3, banos: 2, area_m2: 120 },
+      ["Alquiler", "3 dorm.", "2 baños", "120 m²"],
+    ],
+    // Singular for 1, and false booleans are not printed
+    [{ banos: 1, amoblado: false }, ["1 baño"]],
+    [{ amoblado: true }, ["amoblado"]],
+  ];
+  for (const [attributes, expected] of cases) {
+    await t.test(expected.join(", "), () => {
+      assert.deepEqual(
+        getInlineAttributes({
+          categorySlug: "inmuebles",
+          subcategorySlug: "casas",
+          attributes,
+        }),
+        expected
+      );
+    });
+  }
+});
+
+test("value texts", async (t) => {
+  const cases = [
+    [toValueKey("Cama Adentro"), "cama_adentro"],
+    [toValueKey("  Sala-Comedor "), "sala_comedor"],
+    [defaultLabel("tipo_casa"), "Tipo Casa"],
+    [formatAttributeValue(true, { type: "boolean" }), "Sí"],
+    [formatAttributeValue(150, { type: "number", unit: "m²" }), "150 m²"],
+  ];
+  for (const [actual, expected] of cases) {
+    await t.test(expected, () => assert.equal(actual, expected));
+  }
+});
@@ -0,0 +1,200 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  extractFeatures,
+  train,
+  classify,
+  reviewLabels,
+  crossValidate,
+  saveModel,
+  loadModel,
+} = require("../lib/classifier");
+
+function labeled(title, description, ...labels) {
+  const [categorySlug, subcategorySlug, subSubcategorySlug] = labels;
+  return {
+    title,
+    description,
+    categorySlug,
+    subcategorySlug,
+    ...(subSubcategorySlug && { subSubcategorySlug }),
+  };
+}
+
+const TRAINING = [
+  labeled(
+    "Alquilo cuarto",
+    "Cuarto amoblado baño propio",
+    "inmuebles",
+    "cuartos"
+  ),
+  labeled(
+    "Alquilo cuarto",
+    "Cuarto amplio agua caliente",
+    "inmuebles",
+    "cuartos"
+  ),
+  labeled(
+    "Cuarto amoblado",
+    "Alquilo cuarto estudiantes",
+    "inmuebles",
+    "cuartos"
+  ),
+  labeled(
+    "Vendo terreno",
+    "Terreno titulado San Jerónimo",
+    "inmuebles",
+    "terrenos"
+  ),
+  labeled("Terreno en venta", "Vendo terreno plano", "inmuebles", "terrenos"),
+  labeled(
+    "Se necesita cocinero",
+    "Restaurante busca cocinero",
+    "empleos",
+    "gastronomia",
+    "cocineros"
+  ),
+  labeled(
+    "Busco cocinero",
+    "Cocinero con experiencia",
+    "empleos",
+    "gastronomia",
+    "cocineros"
+  ),
+  labeled(
+    "Se necesita mozo",
+    "Restaurante busca mozo",
+    "empleos",
+    "gastronomia",
+    "mozos"
+  ),
+  labeled(
+    "Mozo con experiencia",
+    "Se necesita mozo",
+    "empleos",
+    "gastronomia",
+    "mozos"
+  ),
+];
+
+test("extractFeatures counts title words twice and drops short words", () => {
+  assert.deepEqual(
+    extractFeatures({ title: "Alquilo Cuarto", description: "en el Cusco" }),
+    ["alquilo", "cuarto", "alquilo", "cuarto", "cusco"]
+  );
+});
+
+test("classify predicts each level and follows the given labels down", async (t) => {
+  const model = train(TRAINING);
+  const label = (publication) =>
+    Object.fromEntries(
+      Object.entries(classify(model, publication)).map(([level, { label }]) => [
+        level,
+        label,
+      ])
+    );
+
+  await t.test("unlabeled", () => {
+    assert.deepEqual(
+      label({ title: "Se necesita cocinero", description: "" }),
+      {
+        categorySlug: "empleos",
+        subcategorySlug: "gastronomia",
+        subSubcategorySlug: "cocineros",
+      }
+    );
+  });
+  await t.test("only the model's levels", () => {
+    assert.deepEqual(label({ title: "Alquilo cuarto", description: "" }), {
+      categorySlug: "inmuebles",
+      subcategorySlug: "cuartos",
+    });
+  });
+  await t.test("given category", () => {
+    const result = classify(model, {
+      title: "Vendo terreno",
+      description: "",
+      categorySlug: "inmuebles",
+    });
+    assert.equal(result.categorySlug.given, "inmuebles");
+    assert.equal(result.subcategorySlug.given, null);
+    assert.equal(result.subcategorySlug.label, "terrenos");
+  });
+});
+
+test("reviewLabels", async (t) => {
+  const model = train(TRAINING);
+
+  await t.test("fills in missing labels", () => {
+    const { labels, filled, confidence, flags } = reviewLabels(model, {
+      title: "Alquilo cuarto amoblado",
+      description: "Cuarto amplio baño propio agua caliente",
+    });
+    assert.deepEqual(labels, {
+      categorySlug: "inmuebles",
+      subcategorySlug: "cuartos",
+    });
+    assert.deepEqual(filled, ["categorySlug", "subcategorySlug"]);
+    assert.ok(confidence > 0.6 && confidence <= 1);
+    assert.deepEqual(flags, []);
+  });
+
+  await t.test("keeps the given labels", () => {
+    const { labels, filled } = reviewLabels(model, {
+      title: "Alquilo cuarto",
+      description: "",
+      categorySlug: "inmuebles",
+      subcategorySlug: "terrenos",
+    });
+    assert.equal(labels.subcategorySlug, "terrenos");
+    assert.deepEqual(filled, []);
+  });
+
+  await t.test("flags a label the model contradicts", () => {
+    const { flags } = reviewLabels(model, {
+      title: "Se necesita cocinero restaurante",
+      description: "Busco cocinero con experiencia restaurante cocinero",
+      categorySlug: "inmuebles",
+    });
+    assert.equal(flags.length, 1);
+    assert.equal(flags[0].path, "categorySlug");
+    assert.match(
+      flags[0].message,
+      /^"inmuebles" contradicts the classifier, which suggests "empleos" \(\d+%\), please review$/
+    );
+  });
+
+  await t.test("flags a filled-in label with low confidence", () => {
+    const { labels, flags } = reviewLabels(model, {
+      title: "Cusco",
+      description: "",
+    });
+    assert.ok(labels.categorySlug);
+    assert.equal(flags[0].path, "categorySlug");
+    assert.match(flags[0].message, /with low confidence/);
+  });
+});
+
+test("crossValidate counts the levels of every held-out publication", () => {
+  const results = crossValidate(TRAINING, 3);
+  assert.equal(results.categorySlug.total, TRAINING.length);
+  assert.equal(results.subSubcategorySlug.total, 4);
+  assert.ok(results.categorySlug.correct <= results.categorySlug.total);
+});
+
+test("saveModel and loadModel", (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "classifier-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const filePath = path.join(directory, "model.json");
+
+  assert.equal(loadModel(filePath), null);
+  const model = train(TRAINING);
+  saveModel(model, filePath);
+  assert.deepEqual(loadModel(filePath), model);
+
+  fs.writeFileSync(filePath, JSON.stringify({ ...model, version: 0 }));
+  assert.throws(() => loadModel(filePath), /has version 0, expected 1/);
+});
@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  phoneKeysOf,
+  comparePublications,
+  findDuplicateGroups,
+  mergePublications,
+} = require("../lib/duplicates");
+
+function ad(title, description, phones = [], fields = {}) {
+  return { title, description, contact: { phones }, ...fields };
+}
+
+const CUARTO = ad(
+  "Alquilo cuarto amoblado",
+  "Cuarto amplio con baño propio cerca a la plaza de armas, agua caliente",
+  ["984123456"]
+);
+
+test("phoneKeysOf compares national numbers and skips malformed ones", () => {
+  assert.deepEqual(
+    phoneKeysOf({
+      contact: { phones: ["+51 984 123 456", "084-231234", "12"] },
+    }),
+    ["984123456", "84231234"]
+  );
+  assert.deepEqual(phoneKeysOf({}), []);
+});
+
+test("comparePublications", async (t) => {
+  // [name, other publication, duplicate]
+  const cases = [
+    ["same ad", { ...CUARTO }, true],
+    [
+      "a word changed, same phone written differently",
+      ad(
+        "Alquilo cuarto amoblado",
+        "Cuarto amplio con baño propio cerca a la plaza de armas, agua tibia",
+        ["+51 984 123 456"]
+      ),
+      true,
+    ],
+    // Agencies reuse the same text for different advertisers
+    [
+      "same text, different phone",
+      { ...CUARTO, contact: { phones: ["974111222"] } },
+      false,
+    ],
+    [
+      "same phone, different ad",
+      ad(
+        "Vendo terreno",
+        "Terreno de 200 m2 en San Jerónimo, papeles en regla",
+        ["984123456"]
+      ),
+      false,
+    ],
+    // Without phones the text has to match more closely
+    ["same text, no phones", { ...CUARTO, contact: {} }, false],
+  ];
+  for (const [name, other, isDuplicate] of cases) {
+    await t.test(name, () => {
+      assert.equal(comparePublications(CUARTO, other) !== null, isDuplicate);
+    });
+  }
+
+  await t.test("both without phones and the same text", () => {
+    const match = comparePublications(
+      { ...CUARTO, contact: {} },
+      { ...CUARTO, contact: {} }
+    );
+    assert.deepEqual(match, { similarity: 1, sharedPhone: false });
+  });
+});
+
+test("findDuplicateGroups groups matches transitively in list order", () => {
+  const other = ad("Vendo auto", "Toyota Yaris 2015, único dueño", [
+    "974111222",
+  ]);
+  const copy = { ...CUARTO, contact: { phones: ["984123456", "974333444"] } };
+  // Shares a phone only with the copy
+  const copyOfCopy = { ...CUARTO, contact: { phones: ["974333444"] } };
+  const groups = findDuplicateGroups([other, CUARTO, copy, copyOfCopy]);
+  assert.deepEqual(groups, [{ indexes: [1, 2, 3], similarity: 1 }]);
+  assert.deepEqual(findDuplicateGroups([CUARTO, other]), []);
+});
+
+test("mergePublications keeps the first and fills in from the others", () => {
+  const merged = mergePublications([
+    ad("Alquilo cuarto", "Cuarto amplio", ["984123456"], {
+      images: ["a.jpg"],
+      location: { district: "Wanchaq" },
+    }),
+    ad(
+      "Alquilo cuarto grande",
+      "Cuarto amplio con baño propio",
+      ["+51984123456", "974111222"],
+      {
+        images: ["a.jpg", "b.jpg"],
+        location: { district: "Cusco", address: "Av. Sol 123" },
+        contact: { phones: ["+51984123456", "974111222"], email: "a@b.pe" },
+        attributes: { amoblado: true },
+        amount: 350,
+        currency: "PEN",
+      }
+    ),
+  ]);
+  assert.deepEqual(merged, {
+    title: "Alquilo cuarto",
+    description: "Cuarto amplio con baño propio",
+    contact: { phones: ["984123456", "974111222"], email: "a@b.pe" },
+    images: ["a.jpg", "b.jpg"],
+    location: { district: "Wanchaq", address: "Av. Sol 123" },
+    attributes: { amoblado: true },
+    amount: 350,
+    currency: "PEN",
+  });
+});
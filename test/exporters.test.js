@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildRows,
+  toCsv,
+  toJsonLines,
+  buildFeed,
+  renderRss,
+} = require("../lib/exporters");
+
+const PUBLICATION = {
+  title: "Alquilo <b>cuarto</b>",
+  description: "<b>Cuarto</b> amplio,\nS/ 350 al mes",
+  categorySlug: "inmuebles",
+  subcategorySlug: "cuartos",
+  location: { district: "Huanchac" },
+  contact: { phones: ["984123456 / 084-231234"] },
+  attributes: { dormitorios: "2" },
+};
+
+/**
+ * CSV lines of one column holding `values`, without the byte order mark and
+ * the header
+ */
+function csvLines(values) {
+  const csv = toCsv({
+    columns: [{ key: "value", header: "Valor" }],
+    rows: values.map((value) => ({ value })),
+  });
+  return csv.slice(1).split("\r\n").slice(1, -1);
+}
+
+test("toCsv keeps spreadsheets from reading texts as formulas", async (t) => {
+  // [value, field]
+  const cases = [
+    ['=HYPERLINK("http://x","y")', `"'=HYPERLINK(""http://x"",""y"")"`],
+    ["+51984123456 / +5184231234", "'+51984123456 / +5184231234"],
+    ["-5 + 3", "'-5 + 3"],
+    ["@SUM(A1)", "'@SUM(A1)"],
+    ["\t=1", "'\t=1"],
+    // Numbers are numbers, whatever their sign
+    [-5, "-5"],
+    ["Texto = normal", "Texto = normal"],
+  ];
+  for (const [value, expected] of cases) {
+    await t.test(JSON.stringify(value), () => {
+      assert.deepEqual(csvLines([value]), [expected]);
+    });
+  }
+});
+
+test("toCsv quotes fields and leaves empty values empty", () => {
+  assert.deepEqual(csvLines(["a, b", 'dice "hola"', "línea\nnueva", null]), [
+    '"a, b"',
+    '"dice ""hola"""',
+    '"línea\nnueva"',
+    "",
+  ]);
+  assert.ok(toCsv({ columns: [], rows: [] }).startsWith("﻿"));
+});
+
+test("buildRows flattens a publication into its columns", () => {
+  const { columns, rows } = buildRows([
+    {
+      publication: PUBLICATION,
+      id: "abc",
+      file: "page1.json",
+      url: null,
+    },
+  ]);
+  const [row] = rows;
+  assert.equal(row.title, "Alquilo cuarto");
+  assert.equal(row.description, "Cuarto amplio, S/ 350 al mes");
+  assert.equal(row.price, 350);
+  assert.equal(row.period, "month");
+  assert.equal(row.district, "Wanchaq");
+  assert.equal(row.phones, "+51984123456 / +5184231234");
+  assert.equal(row.whatsapp, "+51984123456");
+  assert.equal(row["attributes.dormitorios"], 2);
+  assert.deepEqual(columns[columns.length - 1], {
+    key: "attributes.dormitorios",
+    header: "Dorm.",
+  });
+
+  // The phones go to the CSV as text, not as a sum
+  const csv = toCsv({ columns, rows });
+  assert.match(csv, /,'\+51984123456 \/ \+5184231234,'\+51984123456,/);
+});
+
+test("toJsonLines writes one document per line", () => {
+  assert.equal(toJsonLines([{ a: 1 }, { b: "x" }]), '{"a":1}\n{"b":"x"}\n');
+});
+
+test("renderRss escapes titles and descriptions", () => {
+  const feed = buildFeed(
+    "inmuebles",
+    [{ publication: PUBLICATION, id: "abc", url: null }],
+    { title: "Inmuebles & más", issueDate: new Date("2026-04-24T05:00:00Z") }
+  );
+  const rss = renderRss(feed);
+  assert.match(rss, /<title>Inmuebles &amp; más<\/title>/);
+  assert.match(rss, /<title>Alquilo cuarto<\/title>/);
+  assert.match(
+    rss,
+    /<description>&lt;b&gt;Cuarto&lt;\/b&gt; amplio,&lt;br&gt;S\/ 350 al mes<\/description>/
+  );
+  assert.match(rss, /<link>https:\/\/[^<]*\/inmuebles<\/link>/);
+});
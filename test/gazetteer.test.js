@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findProvince,
+  findDistrict,
+  inferDistrict,
+  resolveLocation,
+  listDistricts,
+} = require("../lib/gazetteer");
+
+const CUSCO = { id: "cusco", name: "Cusco" };
+const URUBAMBA = { id: "urubamba", name: "Urubamba" };
+const WANCHAQ = { id: "wanchaq", name: "Wanchaq" };
+const SANTIAGO = { id: "santiago", name: "Santiago" };
+
+test("findProvince matches names and aliases", () => {
+  assert.deepEqual(findProvince("cuzco"), CUSCO);
+  assert.equal(findProvince("Narnia"), null);
+});
+
+test("findDistrict", async (t) => {
+  // [text, district]
+  const cases = [
+    ["HUANCHAC", { province: CUSCO, district: WANCHAQ }],
+    ["Urubamba", { province: URUBAMBA, district: URUBAMBA }],
+    // Places are not district names
+    ["Santa Monica", null],
+    ["", null],
+  ];
+  for (const [text, expected] of cases) {
+    await t.test(text || "(empty)", () => {
+      assert.deepEqual(findDistrict(text), expected);
+    });
+  }
+});
+
+test("inferDistrict", async (t) => {
+  // [text, district]
+  const cases = [
+    ["Av. Sol, Urb. Santa Mónica", { province: CUSCO, district: WANCHAQ }],
+    // "San Pedro" inside a longer place name does not count
+    ["Mercado San Pedro", { province: CUSCO, district: CUSCO }],
+    // Places of several districts are ambiguous
+    ["Marcavalle, Larapa", null],
+    ["Frente al parque", null],
+  ];
+  for (const [text, expected] of cases) {
+    await t.test(text, () => {
+      assert.deepEqual(inferDistrict(text), expected);
+    });
+  }
+});
+
+test("resolveLocation", async (t) => {
+  // [name, location, result]
+  const cases = [
+    [
+      "known district",
+      { district: "Huanchaq", address: "Av. Sol 123" },
+      {
+        province: CUSCO,
+        district: WANCHAQ,
+        districtInferred: false,
+        warnings: [],
+      },
+    ],
+    [
+      "unknown district that is a known place",
+      { district: "Belenpampa" },
+      {
+        province: CUSCO,
+        district: SANTIAGO,
+        districtInferred: true,
+        warnings: [
+          {
+            path: "location.district",
+            message: 'unknown district "Belenpampa"',
+          },
+        ],
+      },
+    ],
+    [
+      "district of another province",
+      { province: "Cusco", district: "Urubamba" },
+      {
+        province: URUBAMBA,
+        district: URUBAMBA,
+        districtInferred: false,
+        warnings: [
+          {
+            path: "location.district",
+            message: '"Urubamba" is in the province of Urubamba, not Cusco',
+          },
+        ],
+      },
+    ],
+    // An address is not trusted over the province
+    [
+      "address in another province",
+      { province: "Urubamba", address: "Marcavalle" },
+      {
+        province: URUBAMBA,
+        district: null,
+        districtInferred: false,
+        warnings: [],
+      },
+    ],
+    [
+      "unknown province",
+      { province: "Narnia" },
+      {
+        province: null,
+        district: null,
+        districtInferred: false,
+        warnings: [
+          {
+            path: "location.province",
+            message: 'unknown province "Narnia" in the Cusco region',
+          },
+        ],
+      },
+    ],
+    [
+      "no location",
+      undefined,
+      { province: null, district: null, districtInferred: false, warnings: [] },
+    ],
+  ];
+  for (const [name, location, expected] of cases) {
+    await t.test(name, () => {
+      assert.deepEqual(resolveLocation(location), expected);
+    });
+  }
+});
+
+test("listDistricts", () => {
+  assert.deepEqual(listDistricts().slice(0, 3), [
+    CUSCO,
+    { id: "ccorca", name: "Ccorca" },
+    { id: "poroy", name: "Poroy" },
+  ]);
+  assert.deepEqual(listDistricts("narnia"), []);
+});
@@ -0,0 +1,113 @@
+/**
+ * In-memory stand-in for the part of the MongoDB driver the uploader modules
+ * use: collections with find, findOne, insertOne, replaceOne, deleteOne,
+ * deleteMany, updateMany ($set) and countDocuments, and filters with equality
+ * (a value in an array field matches too), $in, $ne, $lt and $or.
+ * Projections are ignored.
+ */
+
+function matchesValue(actual, condition) {
+  const isOperator =
+    condition !== null &&
+    typeof condition === "object" &&
+    !Array.isArray(condition) &&
+    Object.keys(condition).some((key) => key.startsWith("$"));
+  if (!isOperator) {
+    return Array.isArray(actual)
+      ? actual.includes(condition)
+      : actual === condition;
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$in":
+        return operand.some((value) => matchesValue(actual, value));
+      case "$ne":
+        return !matchesValue(actual, operand);
+      case "$lt":
+        return actual !== undefined && actual !== null && actual < operand;
+      default:
+        throw new Error(`memory-db: unsupported operator ${operator}`);
+    }
+  });
+}
+
+function matches(document, filter) {
+  return Object.entries(filter).every(([key, condition]) =>
+    key === "$or"
+      ? condition.some((alternative) => matches(document, alternative))
+      : matchesValue(document[key], condition)
+  );
+}
+
+function createCollection() {
+  const documents = [];
+  return {
+    documents,
+    find(filter = {}) {
+      let found = documents.filter((document) => matches(document, filter));
+      const cursor = {
+        sort(order) {
+          const [[key, direction]] = Object.entries(order);
+          found = [...found].sort(
+            (a, b) =>
+              (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0) * direction
+          );
+          return cursor;
+        },
+        async toArray() {
+          return found;
+        },
+      };
+      return cursor;
+    },
+    async findOne(filter = {}) {
+      return documents.find((document) => matches(document, filter)) || null;
+    },
+    async countDocuments(filter = {}) {
+      return documents.filter((document) => matches(document, filter)).length;
+    },
+    async insertOne(document) {
+      documents.push(document);
+      return { insertedCount: 1 };
+    },
+    async replaceOne(filter, document, { upsert = false } = {}) {
+      const index = documents.findIndex((current) => matches(current, filter));
+      if (index !== -1) documents[index] = document;
+      else if (upsert) documents.push(document);
+      return { modifiedCount: index !== -1 ? 1 : 0 };
+    },
+    async deleteOne(filter) {
+      const index = documents.findIndex((current) => matches(current, filter));
+      if (index !== -1) documents.splice(index, 1);
+      return { deletedCount: index !== -1 ? 1 : 0 };
+    },
+    async deleteMany(filter) {
+      const before = documents.length;
+      const kept = documents.filter((document) => !matches(document, filter));
+      documents.splice(0, documents.length, ...kept);
+      return { deletedCount: before - kept.length };
+    },
+    async updateMany(filter, { $set }) {
+      const found = documents.filter((document) => matches(document, filter));
+      found.forEach((document) => Object.assign(document, $set));
+      return { modifiedCount: found.length };
+    },
+  };
+}
+
+/**
+ * A database whose collections are created on first use
+ */
+function createMemoryDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createCollection());
+      return collections.get(name);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryDb,
+};
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  issueCodeFromDirectory,
+  canonicalJson,
+  computeContentHash,
+  computeRepeatKey,
+  assignIdentities,
+} = require("../lib/identity");
+
+const ISSUE = "R2621-ABRIL-24-25-26-27";
+
+function page(file, publications) {
+  return publications.map((publication, index) => ({
+    file,
+    index,
+    publication,
+  }));
+}
+
+const PAGE5 = [
+  {
+    title: "Alquilo cuarto en Wanchaq",
+    description: "Cuarto amplio con baño propio",
+    contact: { phones: ["984 123 456"] },
+  },
+  {
+    title: "Vendo terreno",
+    description: "300 m2 en San Jerónimo",
+    contact: { phones: ["974111222"] },
+  },
+];
+
+test("issueCodeFromDirectory", () => {
+  assert.equal(issueCodeFromDirectory(`publications/${ISSUE}/`), ISSUE);
+});
+
+test("re-importing a page with an edited title keeps the IDs", () => {
+  const first = assignIdentities(ISSUE, page("page5.json", PAGE5));
+  const corrected = PAGE5.map((publication) => ({ ...publication }));
+  corrected[0].title = "Alquilo cuarto amoblado en Wanchaq";
+  const second = assignIdentities(ISSUE, page("page5.json", corrected));
+
+  assert.deepEqual(
+    second.map((identity) => identity.id),
+    first.map((identity) => identity.id)
+  );
+  // The content hash tells the edited record apart
+  assert.notEqual(second[0].contentHash, first[0].contentHash);
+  assert.equal(second[1].contentHash, first[1].contentHash);
+});
+
+test("IDs differ by issue, page and position", () => {
+  const [same] = assignIdentities(ISSUE, page("page5.json", [PAGE5[0]]));
+  const others = [
+    assignIdentities("R2622-MAYO-1-2-3-4", page("page5.json", [PAGE5[0]])),
+    assignIdentities(ISSUE, page("page6.json", [PAGE5[0]])),
+    assignIdentities(ISSUE, page("page5.json", [PAGE5[1], PAGE5[0]])).slice(1),
+  ].map(([identity]) => identity.id);
+  for (const id of others) assert.notEqual(id, same.id);
+  // The same page under another directory is the same file
+  const [nested] = assignIdentities(ISSUE, page("sub/page5.json", [PAGE5[0]]));
+  assert.equal(nested.id, same.id);
+});
+
+test("computeContentHash", async (t) => {
+  const base = { title: "Vendo terreno", amount: 5000 };
+  const cases = [
+    ["key order", { amount: 5000, title: "Vendo terreno" }, true],
+    ["whitespace", { title: "  Vendo   terreno ", amount: 5000 }, true],
+    ["review mark", { ...base, reviewed: "2026-04-20T10:00:00Z" }, true],
+    ["undefined fields", { ...base, maxAmount: undefined }, true],
+    ["another amount", { ...base, amount: 5500 }, false],
+  ];
+  for (const [name, publication, equal] of cases) {
+    await t.test(name, () => {
+      assert.equal(
+        computeContentHash(publication) === computeContentHash(base),
+        equal
+      );
+    });
+  }
+});
+
+test("computeRepeatKey ignores accents, case and phone formats", () => {
+  assert.equal(
+    computeRepeatKey({
+      title: "Vendo Terreno en San Jerónimo",
+      contact: { phones: ["+51 984123456", "(084) 23-1234"] },
+    }),
+    computeRepeatKey({
+      title: "vendo terreno en san jeronimo",
+      contact: { phones: ["084231234", "984 123 456"] },
+    })
+  );
+});
+
+test("canonicalJson", () => {
+  assert.equal(
+    canonicalJson({ b: [" x  y ", 2], a: null, c: undefined }),
+    '{"a":null,"b":["x y",2]}'
+  );
+});
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ROLLBACK_STATUS,
+  createManifest,
+  diffManifests,
+  rollbackRun,
+} = require("../publication-uploader/imports");
+const {
+  CATEGORY_COLLECTIONS,
+  IMPORT_RUNS_COLLECTION,
+} = require("../publication-uploader/collections");
+const { createMemoryDb } = require("./helpers/memory-db");
+
+const ISSUE = "R2621-ABRIL-24-25-26-27";
+const INMUEBLES = CATEGORY_COLLECTIONS.inmuebles;
+const SERVICIOS = CATEGORY_COLLECTIONS.servicios;
+
+function record(id, contentHash, fields = {}) {
+  return { id, content_hash: contentHash, status: "active", ...fields };
+}
+
+/**
+ * A database after a run that inserted "new", updated "edited", renewed and
+ * recategorized "moved", left "same" unchanged, linked "copy" as a duplicate
+ * and updated "later" and "lost", which cannot be restored: a later run wrote
+ * "later" again and "lost" has no previous version in the manifest.
+ */
+async function importedRun() {
+  const db = createMemoryDb();
+  const inmuebles = db.collection(INMUEBLES);
+  await inmuebles.insertOne(record("new", "h-new"));
+  await inmuebles.insertOne(record("edited", "h-edited-2", { title: "Nuevo" }));
+  await inmuebles.insertOne(record("same", "h-same"));
+  await inmuebles.insertOne(record("later", "h-later-3"));
+  await inmuebles.insertOne(record("lost", "h-lost-2"));
+  await db.collection(SERVICIOS).insertOne(record("moved", "h-moved-2"));
+
+  const manifest = createManifest("run_1", ISSUE, ".");
+  const previous = (collection, id, contentHash, fields) => ({
+    collection,
+    document: record(id, contentHash, fields),
+  });
+  manifest.entries = [
+    { id: "new", action: "inserted", content_hash: "h-new" },
+    {
+      id: "edited",
+      action: "updated",
+      content_hash: "h-edited-2",
+      previous: previous(INMUEBLES, "edited", "h-edited-1", { title: "Viejo" }),
+    },
+    {
+      id: "moved",
+      action: "renewed",
+      content_hash: "h-moved-2",
+      previous: previous(INMUEBLES, "moved", "h-moved-1", {
+        issue_code: "R2620",
+      }),
+    },
+    { id: "same", action: "unchanged", content_hash: "h-same" },
+    { id: "copy", action: "duplicate", content_hash: "h-copy" },
+    {
+      id: "later",
+      action: "updated",
+      content_hash: "h-later-2",
+      previous: previous(INMUEBLES, "later", "h-later-1"),
+    },
+    { id: "lost", action: "updated", content_hash: "h-lost-2" },
+  ];
+  await db.collection(IMPORT_RUNS_COLLECTION).insertOne(manifest);
+  return db;
+}
+
+function find(db, collectionName, id) {
+  return db
+    .collection(collectionName)
+    .documents.find((document) => document.id === id);
+}
+
+test("rollbackRun deactivates what the run inserted and restores what it updated", async () => {
+  const db = await importedRun();
+  const { affected, restored, notRestored } = await rollbackRun(db, "run_1");
+
+  assert.equal(affected, 1);
+  assert.equal(restored, 2);
+  assert.deepEqual(
+    notRestored.map((entry) => entry.id),
+    ["later", "lost"]
+  );
+
+  assert.equal(find(db, INMUEBLES, "new").status, ROLLBACK_STATUS);
+  assert.equal(find(db, INMUEBLES, "edited").title, "Viejo");
+  assert.equal(find(db, INMUEBLES, "edited").content_hash, "h-edited-1");
+  // A renewal that moved the record goes back to its former collection
+  assert.equal(find(db, SERVICIOS, "moved"), undefined);
+  assert.equal(find(db, INMUEBLES, "moved").issue_code, "R2620");
+  // Records the run did not write are left alone
+  assert.equal(find(db, INMUEBLES, "same").status, "active");
+  assert.equal(find(db, INMUEBLES, "later").content_hash, "h-later-3");
+
+  const manifest = await db
+    .collection(IMPORT_RUNS_COLLECTION)
+    .findOne({ _id: "run_1" });
+  assert.ok(manifest.rolled_back_at);
+  assert.equal(manifest.rollback_mode, "deactivate");
+});
+
+test("rollbackRun deletes what the run inserted with mode delete", async () => {
+  const db = await importedRun();
+  const { affected } = await rollbackRun(db, "run_1", "delete");
+  assert.equal(affected, 1);
+  assert.equal(find(db, INMUEBLES, "new"), undefined);
+  assert.equal(find(db, INMUEBLES, "same").status, "active");
+});
+
+test("rollbackRun rejects an unknown run", async () => {
+  await assert.rejects(
+    rollbackRun(createMemoryDb(), "run_missing"),
+    /Import run "run_missing" not found/
+  );
+});
+
+test("diffManifests compares entries by ID and content hash", () => {
+  const entry = (id, contentHash) => ({ id, content_hash: contentHash });
+  const before = {
+    entries: [entry("a", "1"), entry("b", "1"), entry("c", "1")],
+  };
+  const after = {
+    entries: [entry("a", "1"), entry("b", "2"), entry("d", "1")],
+  };
+  assert.deepEqual(diffManifests(before, after), {
+    added: [entry("d", "1")],
+    removed: [entry("c", "1")],
+    changed: [{ before: entry("b", "1"), after: entry("b", "2") }],
+    unchanged: [entry("a", "1")],
+  });
+});
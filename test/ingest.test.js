@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  splitPages,
+  splitSentences,
+  extractPhones,
+  extractAttributes,
+  parseAd,
+} = require("../lib/ingest");
+
+test("splitPages", () => {
+  assert.deepEqual(
+    splitPages(
+      "Vendo casa\n\n--- Página 2 ---\nAlquilo cuarto\n\n***\nSe vende auto"
+    ),
+    [
+      { page: null, ads: ["Vendo casa"] },
+      { page: 2, ads: ["Alquilo cuarto", "Se vende auto"] },
+    ]
+  );
+});
+
+test("splitSentences", async (t) => {
+  const cases = [
+    // Abbreviations do not end a sentence
+    [
+      "Alquilo dpto. de 3 dorm. en Wanchaq. Informes al 984123456.",
+      ["Alquilo dpto. de 3 dorm. en Wanchaq.", "Informes al 984123456."],
+    ],
+    ["Vendo terreno", ["Vendo terreno"]],
+  ];
+  for (const [text, expected] of cases) {
+    await t.test(text, () => assert.deepEqual(splitSentences(text), expected));
+  }
+});
+
+test("extractPhones", async (t) => {
+  const cases = [
+    [
+      "Casa amplia. Informes: 984 123 456 / (084) 23-1234",
+      ["984 123 456", "(084) 23-1234"],
+    ],
+    ["Cel. 984123456", ["984123456"]],
+    ["Área de 120 m2, 3 pisos", []],
+  ];
+  for (const [text, expected] of cases) {
+    await t.test(text, () =>
+      assert.deepEqual(extractPhones(text).phones, expected)
+    );
+  }
+});
+
+test("extractAttributes", async (t) => {
+  // [text, category, subcategory, attributes]
+  const cases = [
+    ["Toyota Yaris año 2015", "vehiculos", "autos", { ano: 2015 }],
+    [
+      "Modelo: 2012, recorrido 500 km",
+      "vehiculos",
+      "autos",
+      { ano: 2012, kilometraje: 500 },
+    ],
+    [
+      "Mod. 2019 45.000 kms",
+      "vehiculos",
+      "autos",
+      { ano: 2019, kilometraje: 45000 },
+    ],
+    // A bare year may be a price, and a short distance is not a mileage
+    ["Toyota Yaris Precio $ 2000", "vehiculos", "autos", {}],
+    ["Auto a 5 km de la plaza", "vehiculos", "autos", {}],
+    [
+      "Auto a 5 km de la plaza, 80,000 km",
+      "vehiculos",
+      "autos",
+      { kilometraje: 80000 },
+    ],
+    [
+      "Automático, gasolina",
+      "vehiculos",
+      "autos",
+      { transmision: "automatico", combustible: "gasolina" },
+    ],
+  ];
+  for (const [text, category, subcategory, expected] of cases) {
+    await t.test(text, () =>
+      assert.deepEqual(extractAttributes(text, category, subcategory), expected)
+    );
+  }
+});
+
+test("parseAd", () => {
+  const { publication, flags } = parseAd(
+    "Alquilo cuarto amoblado. Av. La Cultura 123, Wanchaq. S/ 500 mensual. Cel. 984123456"
+  );
+  assert.deepEqual(publication, {
+    title: "Alquilo cuarto amoblado",
+    description: "Av. La Cultura 123, Wanchaq. S/ 500 mensual.",
+    images: [],
+    location: {
+      address: "Av. La Cultura 123",
+      province: "Cusco",
+      district: "Wanchaq",
+    },
+    contact: { phones: ["984123456"] },
+    amount: 500,
+    currency: "PEN",
+    pricePeriod: "month",
+  });
+  // Without a classifier the category is left for review
+  assert.ok(flags.some((flag) => flag.path === "categorySlug"));
+});
+
+test("parseAd flags what it cannot find", () => {
+  const { publication, flags } = parseAd("Vendo bicicleta en buen estado");
+  assert.deepEqual(publication.contact, { phones: [] });
+  const paths = flags.map((flag) => flag.path);
+  assert.ok(paths.includes("contact.phones"));
+  assert.ok(paths.includes("location.district"));
+});
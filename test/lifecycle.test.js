@@ -0,0 +1,167 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  STATUS,
+  getCategoryPolicy,
+  computeExpiration,
+  statusForImport,
+  sweepExpired,
+} = require("../publication-uploader/lifecycle");
+const {
+  preparePublicationForInsertion,
+} = require("../publication-uploader/prepare");
+const { CATEGORY_COLLECTIONS } = require("../publication-uploader/collections");
+const { createMemoryDb } = require("./helpers/memory-db");
+
+const ISSUE = "R2621-ABRIL-24-25-26-27";
+const FUTURE = "2999-01-01T00:00:00.000Z";
+const PAST = "2000-01-01T00:00:00.000Z";
+
+test("computeExpiration", async (t) => {
+  const now = new Date("2026-04-20T12:00:00Z");
+  // [category, issue code, expiration]
+  const cases = [
+    // End of the last day of the issue, Peru time
+    ["empleos", ISSUE, "2026-04-28T04:59:59.000Z"],
+    // Plus the extra days of the category
+    ["inmuebles", ISSUE, "2026-05-01T04:59:59.000Z"],
+    // fallbackDays after the import when the folder name has no dates
+    ["empleos", "edicion-especial", "2026-04-27T12:00:00.000Z"],
+  ];
+  for (const [category, issueCode, expiresAt] of cases) {
+    await t.test(`${category} ${issueCode}`, () => {
+      assert.equal(
+        computeExpiration(category, issueCode, now).expiresAt,
+        expiresAt
+      );
+    });
+  }
+  await t.test("issue dates", () => {
+    const { issueStartDate, issueEndDate } = computeExpiration(
+      "empleos",
+      ISSUE,
+      now
+    );
+    assert.deepEqual(
+      [issueStartDate, issueEndDate],
+      ["2026-04-24", "2026-04-27"]
+    );
+  });
+});
+
+test("getCategoryPolicy merges the category over the defaults", () => {
+  assert.deepEqual(getCategoryPolicy("inmuebles"), {
+    daysAfterIssue: 3,
+    fallbackDays: 7,
+  });
+  assert.deepEqual(getCategoryPolicy("empleos"), {
+    daysAfterIssue: 0,
+    fallbackDays: 7,
+  });
+});
+
+test("statusForImport", async (t) => {
+  // [name, arguments, status]
+  const cases = [
+    ["new", { expiresAt: FUTURE }, STATUS.ACTIVE],
+    ["draft", { expiresAt: FUTURE, isDraft: true }, STATUS.DRAFT],
+    ["already over", { expiresAt: PAST }, STATUS.EXPIRED],
+    ["renewal", { expiresAt: FUTURE, isRenewal: true }, STATUS.RENEWED],
+    [
+      "update of a renewed record",
+      { existingStatus: STATUS.RENEWED, expiresAt: FUTURE },
+      STATUS.RENEWED,
+    ],
+    [
+      "update of an expired record",
+      { existingStatus: STATUS.EXPIRED, expiresAt: FUTURE },
+      STATUS.ACTIVE,
+    ],
+    // Withdrawn by hand or by a rollback: only a renewal brings it back
+    [
+      "update of a withdrawn record",
+      { existingStatus: STATUS.WITHDRAWN, expiresAt: FUTURE },
+      STATUS.WITHDRAWN,
+    ],
+    [
+      "draft import of a withdrawn record",
+      { existingStatus: STATUS.WITHDRAWN, expiresAt: FUTURE, isDraft: true },
+      STATUS.WITHDRAWN,
+    ],
+    [
+      "renewal of a withdrawn record",
+      { existingStatus: STATUS.WITHDRAWN, expiresAt: FUTURE, isRenewal: true },
+      STATUS.RENEWED,
+    ],
+  ];
+  for (const [name, args, status] of cases) {
+    await t.test(name, () => assert.equal(statusForImport(args), status));
+  }
+});
+
+test("status_changed_at is only set when the status changes", async (t) => {
+  const publication = {
+    title: "Alquilo cuarto",
+    description: "Cuarto amplio",
+    categorySlug: "inmuebles",
+    subcategorySlug: "cuartos",
+    location: { district: "Wanchaq" },
+    contact: { phones: ["984123456"] },
+    images: [],
+  };
+  const prepare = (previousStatus) =>
+    preparePublicationForInsertion(
+      publication,
+      { id: "abc", shortId: "10001", contentHash: "h", repeatKey: "k" },
+      { issueCode: ISSUE, file: "page1.json", runId: "run_1" },
+      {
+        ...computeExpiration("inmuebles", ISSUE),
+        status: "active",
+        previousStatus,
+      }
+    );
+  const cases = [
+    ["new record", undefined, true],
+    ["status changed", STATUS.EXPIRED, true],
+    ["same status", STATUS.ACTIVE, false],
+  ];
+  for (const [name, previousStatus, isSet] of cases) {
+    await t.test(name, () => {
+      assert.equal("status_changed_at" in prepare(previousStatus), isSet);
+    });
+  }
+});
+
+test("sweepExpired expires only live publications past their date", async () => {
+  const db = createMemoryDb();
+  const collection = db.collection(CATEGORY_COLLECTIONS.inmuebles);
+  const records = [
+    ["over", STATUS.ACTIVE, PAST],
+    ["renewed-over", STATUS.RENEWED, PAST],
+    ["running", STATUS.ACTIVE, FUTURE],
+    ["draft", STATUS.DRAFT, PAST],
+    ["withdrawn", STATUS.WITHDRAWN, PAST],
+  ];
+  for (const [id, status, expiresAt] of records) {
+    await collection.insertOne({ id, status, expires_at: expiresAt });
+  }
+
+  const dryRun = await sweepExpired(db, { dryRun: true });
+  assert.equal(dryRun[CATEGORY_COLLECTIONS.inmuebles], 2);
+  assert.ok(
+    collection.documents.every((document) => !document.status_changed_at)
+  );
+
+  const counts = await sweepExpired(db);
+  assert.equal(counts[CATEGORY_COLLECTIONS.inmuebles], 2);
+  assert.deepEqual(
+    collection.documents.map((document) => [document.id, document.status]),
+    [
+      ["over", STATUS.EXPIRED],
+      ["renewed-over", STATUS.EXPIRED],
+      ["running", STATUS.ACTIVE],
+      ["draft", STATUS.DRAFT],
+      ["withdrawn", STATUS.WITHDRAWN],
+    ]
+  );
+});
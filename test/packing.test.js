@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createColumnPacker } = require("../lib/packing");
+
+const ad = (id, height) => ({ id, height });
+const fullColumn = (id, height) => ({ id, height, fullColumn: true });
+
+/**
+ * Pack `items` after `setup` in two columns of 100 and return the print
+ * order, the page count and the gaps left
+ */
+function pack(items, setup = () => {}, options = {}) {
+  const packer = createColumnPacker({
+    columnHeight: 100,
+    columns: 2,
+    ...options,
+  });
+  setup(packer);
+  const order = packer.pack(items).map((item) => item.id);
+  return { order, pages: packer.pageCount(), gaps: packer.gaps() };
+}
+
+test("pack", async (t) => {
+  // [name, items, setup, { order, pages, gaps }, options]
+  const cases = [
+    [
+      "an ad that fits in the gap moves forward",
+      [ad("a", 30), ad("b", 50), ad("c", 20)],
+      (packer) => packer.block(40),
+      { order: ["a", "c", "b"], pages: 1, gaps: [50] },
+    ],
+    [
+      "without lookahead the order is kept",
+      [ad("a", 30), ad("b", 50), ad("c", 20)],
+      (packer) => packer.block(40),
+      { order: ["a", "b", "c"], pages: 1, gaps: [30] },
+      { lookahead: 0 },
+    ],
+    [
+      "a full-column ad takes a whole column",
+      [fullColumn("f", 90), ad("a", 30)],
+      (packer) => packer.block(40),
+      { order: ["a", "f"], pages: 1, gaps: [0] },
+    ],
+    // Regression: the packer looped forever on a full-column ad after a
+    // block kept with it
+    [
+      "a full-column ad after a block kept with the next one",
+      [fullColumn("f", 30)],
+      (packer) => packer.block(10, true),
+      { order: ["f"], pages: 1, gaps: [0] },
+    ],
+    [
+      "a full-column ad below a spanning heading",
+      [fullColumn("f", 60)],
+      (packer) => packer.spanAll(20),
+      { order: ["f"], pages: 1, gaps: [0, 80] },
+    ],
+    [
+      "a full-column ad too tall for the space below a spanning heading",
+      [fullColumn("f", 60)],
+      (packer) => packer.spanAll(50),
+      { order: ["f"], pages: 2, gaps: [0, 100] },
+    ],
+    [
+      "a full-column ad with no empty column left on the page",
+      [fullColumn("f", 90), ad("a", 30)],
+      (packer) => {
+        packer.block(40);
+        packer.block(70);
+      },
+      { order: ["a", "f"], pages: 2, gaps: [0, 100] },
+    ],
+  ];
+  for (const [name, items, setup, expected, options] of cases) {
+    await t.test(name, () => {
+      assert.deepEqual(pack(items, setup, options), expected);
+    });
+  }
+});
+
+test("newPage starts an empty page", () => {
+  const packer = createColumnPacker({ columnHeight: 100, columns: 2 });
+  assert.equal(packer.pageCount(), 0);
+  packer.block(10);
+  packer.newPage();
+  assert.equal(packer.pageCount(), 1);
+  assert.deepEqual(packer.gaps(), []);
+  packer.block(10);
+  assert.equal(packer.pageCount(), 2);
+});
+
+test("setColumns continues the flow below in a new number of columns", () => {
+  const packer = createColumnPacker({ columnHeight: 100, columns: 2 });
+  packer.block(40);
+  packer.setColumns(3);
+  assert.deepEqual(packer.gaps(), [60, 60, 60]);
+});
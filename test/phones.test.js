@@ -0,0 +1,154 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parsePhoneNumbers,
+  parsePhoneList,
+  nationalNumber,
+  formatPhoneNumber,
+  whatsappNumber,
+} = require("../lib/phones");
+const {
+  preparePublicationForInsertion,
+} = require("../publication-uploader/prepare");
+
+test("parsePhoneNumbers", async (t) => {
+  const cases = [
+    ["984 123 456", [["+51984123456", "mobile", "984 123 456"]]],
+    ["+51 984123456", [["+51984123456", "mobile", "+51 984123456"]]],
+    ["0051984123456", [["+51984123456", "mobile", "0051984123456"]]],
+    ["(084) 23-1234", [["+5184231234", "landline", "(084) 23-1234"]]],
+    // A 6-digit landline is in Cusco
+    ["231234", [["+5184231234", "landline", "231234"]]],
+    ["017654321", [["+5117654321", "landline", "017654321"]]],
+    [
+      "984123456 / 084-231234",
+      [
+        ["+51984123456", "mobile", "984123456"],
+        ["+5184231234", "landline", "084-231234"],
+      ],
+    ],
+    [
+      "984123456 y 974111222",
+      [
+        ["+51984123456", "mobile", "984123456"],
+        ["+51974111222", "mobile", "974111222"],
+      ],
+    ],
+    // Mobiles one after the other are displayed number by number
+    [
+      "984123456 974111222",
+      [
+        ["+51984123456", "mobile", "984 123 456"],
+        ["+51974111222", "mobile", "974 111 222"],
+      ],
+    ],
+  ];
+  for (const [text, expected] of cases) {
+    await t.test(text, () => {
+      const { numbers, errors } = parsePhoneNumbers(text);
+      assert.deepEqual(errors, []);
+      assert.deepEqual(
+        numbers.map(({ e164, type, display }) => [e164, type, display]),
+        expected
+      );
+    });
+  }
+});
+
+test("parsePhoneNumbers reports what is not a number", async (t) => {
+  const cases = [
+    ["12345", ['"12345" is not a valid Peruvian phone number']],
+    ["llamar", ['"llamar" is not a valid Peruvian phone number']],
+    ["", []],
+    [null, []],
+  ];
+  for (const [text, expected] of cases) {
+    await t.test(String(text), () => {
+      const { numbers, errors } = parsePhoneNumbers(text);
+      assert.deepEqual(numbers, []);
+      assert.deepEqual(errors, expected);
+    });
+  }
+});
+
+test("parsePhoneList drops repeated numbers and indexes errors", () => {
+  const { numbers, errors } = parsePhoneList([
+    "984123456",
+    "984 123 456",
+    "abc",
+  ]);
+  assert.deepEqual(
+    numbers.map((number) => number.e164),
+    ["+51984123456"]
+  );
+  assert.deepEqual(errors, [
+    { index: 2, message: '"abc" is not a valid Peruvian phone number' },
+  ]);
+});
+
+test("nationalNumber", () => {
+  assert.equal(nationalNumber("+51984123456"), "984123456");
+  assert.equal(nationalNumber("+5184231234"), "84231234");
+});
+
+test("formatPhoneNumber", async (t) => {
+  const cases = [
+    ["+51984123456", "984 123 456"],
+    ["+5184231234", "(084) 23 1234"],
+    ["+5117654321", "(01) 765 4321"],
+  ];
+  for (const [e164, expected] of cases) {
+    await t.test(e164, () => assert.equal(formatPhoneNumber(e164), expected));
+  }
+});
+
+test("whatsappNumber", async (t) => {
+  const cases = [
+    [{ e164: "+51984123456", type: "mobile" }, "51984123456"],
+    [{ e164: "+5184231234", type: "landline" }, null],
+  ];
+  for (const [number, expected] of cases) {
+    await t.test(number.e164, () =>
+      assert.equal(whatsappNumber(number), expected)
+    );
+  }
+});
+
+test("the uploader stores the contact the ad gives and nothing else", async (t) => {
+  const prepare = (contact) =>
+    preparePublicationForInsertion(
+      {
+        title: "Alquilo cuarto",
+        description: "Cuarto amplio",
+        categorySlug: "inmuebles",
+        subcategorySlug: "cuartos",
+        location: { district: "Wanchaq" },
+        contact,
+      },
+      { id: "abc", shortId: "10001" },
+      { issueCode: "R2621", file: "page1.json" },
+      { status: "active" }
+    ).contact;
+
+  await t.test("phones", () => {
+    assert.deepEqual(prepare({ phones: ["084-231234 / 984123456"] }), {
+      name: null,
+      phone: "+5184231234",
+      whatsapp: "+51984123456",
+      phones: [
+        { number: "+5184231234", type: "landline", display: "084-231234" },
+        { number: "+51984123456", type: "mobile", display: "984123456" },
+      ],
+      email: null,
+    });
+  });
+  await t.test("no phone", () => {
+    assert.deepEqual(prepare({ name: "Rosa", email: "rosa@mail.pe" }), {
+      name: "Rosa",
+      phone: null,
+      whatsapp: null,
+      phones: [],
+      email: "rosa@mail.pe",
+    });
+  });
+});
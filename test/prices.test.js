@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { extractPrices, resolvePrice, periodLabel } = require("../lib/prices");
+
+test("extractPrices", async (t) => {
+  // [text, [[amount, maxAmount, currency, period, text]]]
+  const cases = [
+    ["S/ 350", [[350, null, "PEN", null, "S/ 350"]]],
+    ["S/50-70 mensual", [[50, 70, "PEN", "month", "S/50-70"]]],
+    ["S/ 80 por día", [[80, null, "PEN", "day", "S/ 80"]]],
+    ["Precio: 800 soles", [[800, null, "PEN", null, "800 soles"]]],
+    ["S/. 2.500", [[2500, null, "PEN", null, "S/. 2.500"]]],
+    ["$ 1,500.50", [[1500.5, null, "USD", null, "$ 1,500.50"]]],
+    // Thousands grouped with spaces
+    ["US$ 120 000", [[120000, null, "USD", null, "US$ 120 000"]]],
+    ["US$ 1 200 000", [[1200000, null, "USD", null, "US$ 1 200 000"]]],
+    // A phone number after a price is not part of it
+    ["S/ 350 984 123 456", [[350, null, "PEN", null, "S/ 350"]]],
+    [
+      "Consulta S/350, cirugía S/700",
+      [
+        [350, null, "PEN", null, "S/350"],
+        [700, null, "PEN", null, "S/700"],
+      ],
+    ],
+    ["Consultar precio", []],
+  ];
+  for (const [text, expected] of cases) {
+    await t.test(text, () => {
+      assert.deepEqual(
+        extractPrices(text).map((price) => [
+          price.amount,
+          price.maxAmount,
+          price.currency,
+          price.period,
+          price.text,
+        ]),
+        expected
+      );
+    });
+  }
+});
+
+test("resolvePrice", async (t) => {
+  // [publication, { kind, amount, maxAmount, currency, source, ignored }]
+  const cases = [
+    [
+      { title: "Casa", description: "Venta", amount: 120000, currency: "USD" },
+      { kind: "fixed", amount: 120000, currency: "USD", source: "fields" },
+    ],
+    [
+      { title: "Cuarto", description: "x", amount: 50, maxAmount: 70 },
+      { kind: "range", amount: 50, maxAmount: 70, currency: "PEN" },
+    ],
+    [
+      { title: "Charla", description: "x", amount: 0 },
+      { kind: "free", amount: 0, source: "fields" },
+    ],
+    [
+      { title: "Cuarto", description: "S/ 500 mensual negociable" },
+      { kind: "fixed", amount: 500, currency: "PEN", source: "text" },
+    ],
+    // Several prices are not a range: the first one is used
+    [
+      { title: "Veterinaria", description: "Consulta S/350, cirugía S/700" },
+      { kind: "fixed", amount: 350, ignored: ["S/700"] },
+    ],
+    [{ title: "Clases gratis de inglés", description: "x" }, { kind: "free" }],
+    [
+      { title: "Charla informativa gratuita", description: "x" },
+      { kind: "free" },
+    ],
+    [{ title: "Gratis: clases de yoga", description: "x" }, { kind: "free" }],
+    [{ title: "Charla", description: "Precio: gratis" }, { kind: "free" }],
+    [{ title: "Concierto", description: "Entrada libre" }, { kind: "free" }],
+    // A free extra does not make the ad free
+    [{ title: "Cuarto", description: "Con wifi gratis" }, { kind: "none" }],
+    [{ title: "Cuarto con wifi gratis", description: "x" }, { kind: "none" }],
+    [
+      { title: "Cuarto amoblado, wifi gratis", description: "x" },
+      { kind: "none" },
+    ],
+    [
+      { title: "Alquilo cuarto. Agua y luz gratis", description: "x" },
+      { kind: "none" },
+    ],
+    [
+      {
+        title: "Clases de matemática a domicilio, primera clase gratis",
+        description: "x",
+      },
+      { kind: "none" },
+    ],
+    [{ title: "Primera clase gratis", description: "x" }, { kind: "none" }],
+    // A business giving something away to win clients
+    [{ title: "Evaluación gratis", description: "x" }, { kind: "none" }],
+    // "Libre" in a title means available
+    [{ title: "Cuarto libre", description: "x" }, { kind: "none" }],
+    [
+      { title: "Nada", description: "Consultar precio" },
+      { kind: "none", amount: null, source: null },
+    ],
+  ];
+  for (const [publication, expected] of cases) {
+    await t.test(`${publication.title}: ${publication.description}`, () => {
+      const price = resolvePrice(publication);
+      for (const [key, value] of Object.entries(expected)) {
+        assert.deepEqual(price[key], value, key);
+      }
+    });
+  }
+});
+
+test("resolvePrice reads the period of the fields", () => {
+  const price = resolvePrice({
+    title: "Cuarto",
+    description: "x",
+    amount: 500,
+    pricePeriod: "month",
+  });
+  assert.equal(price.period, "month");
+  assert.equal(periodLabel(price.period), "al mes");
+  assert.equal(periodLabel(null), "");
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  escapeHtml,
+  decodeEntities,
+  sanitizeText,
+  sanitizeHtml,
+  formatInlineMarkup,
+  findRemovedTags,
+} = require("../lib/sanitize");
+
+// [text, sanitizeText, sanitizeText without markup, sanitizeHtml]
+const CASES = [
+  ["<b>Hola</b> mundo", "<b>Hola</b> mundo", "Hola mundo", "<b>Hola</b> mundo"],
+  ["<div onclick=x>Texto</div>", "Texto", "Texto", "Texto"],
+  ["<b class=x>Lead</b>", "<b>Lead</b>", "Lead", "<b>Lead</b>"],
+  [
+    "Antes<script>alert(1)</script> después",
+    "Antes después",
+    "Antes después",
+    "Antes después",
+  ],
+  ["<b><i>x</b> y", "<b><i>x</i></b> y", "x y", "<b><i>x</i></b> y"],
+  ["</b>suelto", "suelto", "suelto", "suelto"],
+  [
+    "<img src=x onerror=alert(1)//",
+    "<img src=x onerror=alert(1)//",
+    "<img src=x onerror=alert(1)//",
+    "&lt;img src=x onerror=alert(1)//",
+  ],
+  [
+    "menos de <100m²",
+    "menos de <100m²",
+    "menos de <100m²",
+    "menos de &lt;100m²",
+  ],
+  ["A & B", "A & B", "A & B", "A &amp; B"],
+  // Entities are text: decoded, and escaped again by sanitizeHtml
+  ["A &amp; B", "A & B", "A & B", "A &amp; B"],
+  [
+    "<b>Ni&ntilde;os</b> &lt;script&gt;",
+    "<b>Niños</b> <script>",
+    "Niños <script>",
+    "<b>Niños</b> &lt;script&gt;",
+  ],
+  ["  espacios \u0007 ", "espacios", "espacios", "espacios"],
+];
+
+test("sanitizeText", async (t) => {
+  for (const [text, expected, plain] of CASES) {
+    await t.test(text, () => {
+      assert.equal(sanitizeText(text), expected);
+      assert.equal(sanitizeText(text, { markup: false }), plain);
+    });
+  }
+});
+
+test("sanitizeHtml escapes the text between the allowed tags", async (t) => {
+  for (const [text, , , expected] of CASES) {
+    await t.test(text, () => assert.equal(sanitizeHtml(text), expected));
+  }
+  await t.test("without markup", () => {
+    assert.equal(
+      sanitizeHtml("<b>Casa</b> <100m²", { markup: false }),
+      "Casa &lt;100m²"
+    );
+  });
+});
+
+test("formatInlineMarkup", async (t) => {
+  const cases = [
+    ["Línea 1\nLínea 2", "Línea 1<br>Línea 2"],
+    [
+      "<b>Lead</b> <img src=x onerror=alert(1)//",
+      "<b>Lead</b> &lt;img src=x onerror=alert(1)//",
+    ],
+    [null, ""],
+  ];
+  for (const [text, expected] of cases) {
+    await t.test(String(text), () =>
+      assert.equal(formatInlineMarkup(text), expected)
+    );
+  }
+});
+
+test("decodeEntities", async (t) => {
+  const cases = [
+    ["&lt;b&gt; &quot;A&quot; &amp; &#39;B&#39;", `<b> "A" & 'B'`],
+    ["Espa&ntilde;a &Aacute;rea 100m&sup2;", "España Área 100m²"],
+    ["&#233; &#xE9; &#x1F600;", "é é 😀"],
+    // Unknown entities, invalid code points and a lone "&" stay
+    ["&foo; &#0; &#x110000; A & B", "&foo; &#0; &#x110000; A & B"],
+  ];
+  for (const [text, expected] of cases) {
+    await t.test(text, () => assert.equal(decodeEntities(text), expected));
+  }
+});
+
+test("escapeHtml", async (t) => {
+  const cases = [
+    [`<a href="x">'&`, "&lt;a href=&quot;x&quot;&gt;&#39;&amp;"],
+    [350, "350"],
+    [null, ""],
+    [undefined, ""],
+  ];
+  for (const [text, expected] of cases) {
+    await t.test(String(text), () => assert.equal(escapeHtml(text), expected));
+  }
+});
+
+test("findRemovedTags", async (t) => {
+  const cases = [
+    ["<div><b>x</b><script>y</script></div><DIV>", {}, ["div", "script"]],
+    ["<b>x</b><br>", {}, []],
+    ["<b>x</b>", { markup: false }, ["b"]],
+    ["menos de <100m²", {}, []],
+  ];
+  for (const [text, options, expected] of cases) {
+    await t.test(text, () =>
+      assert.deepEqual(findRemovedTags(text, options), expected)
+    );
+  }
+});
@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  validatePublication,
+  formatErrorLocation,
+  formatValidationError,
+} = require("../lib/validation");
+
+const VALID = {
+  title: "Alquilo cuarto",
+  description: "Cuarto amplio",
+  categorySlug: "inmuebles",
+  subcategorySlug: "cuartos",
+  location: { district: "Wanchaq", province: "Cusco" },
+  contact: { phones: ["984123456"] },
+  images: [],
+};
+
+function without(field) {
+  const { [field]: removed, ...publication } = VALID;
+  return publication;
+}
+
+test("a valid publication has no errors or warnings", () => {
+  assert.deepEqual(validatePublication(VALID), { errors: [], warnings: [] });
+});
+
+test("errors", async (t) => {
+  // [name, publication, [path, message]]
+  const cases = [
+    ["missing title", without("title"), ["title", "is required"]],
+    ["empty title", { ...VALID, title: "  " }, ["title", "must not be empty"]],
+    [
+      "wrong type",
+      { ...VALID, images: "foto.jpg" },
+      ["images", "expected array, got string"],
+    ],
+    ["unknown field", { ...VALID, foo: 1 }, ["foo", "unknown field"]],
+    [
+      "unknown category",
+      { ...VALID, categorySlug: "mascotas" },
+      [
+        "categorySlug",
+        'invalid value "mascotas". Allowed: empleos, inmuebles, vehiculos, servicios, productos, eventos, negocios, comunidad',
+      ],
+    ],
+    [
+      "invalid phone",
+      { ...VALID, contact: { phones: ["984123456", "12345"] } },
+      ["contact.phones[1]", '"12345" is not a valid Peruvian phone number'],
+    ],
+    [
+      "invalid email",
+      { ...VALID, contact: { phones: ["984123456"], email: "ventas@" } },
+      ["contact.email", '"ventas@" is not a valid email'],
+    ],
+    ["negative amount", { ...VALID, amount: -1 }, ["amount", "must be >= 0"]],
+    [
+      "range upside down",
+      { ...VALID, amount: 70, maxAmount: 50 },
+      ["maxAmount", "must be greater than amount (70)"],
+    ],
+    [
+      "attribute of the wrong type",
+      { ...VALID, attributes: { dormitorios: "tres" } },
+      ["attributes.dormitorios", 'invalid value "tres", expected integer'],
+    ],
+  ];
+  for (const [name, publication, [path, message]] of cases) {
+    await t.test(name, () => {
+      const { errors, warnings } = validatePublication(publication);
+      assert.deepEqual(errors, [{ path, message }]);
+      assert.deepEqual(warnings, []);
+    });
+  }
+});
+
+test("warnings", async (t) => {
+  // [name, publication, [[path, message]]]
+  const cases = [
+    [
+      "several prices in the text",
+      { ...VALID, description: "Consulta S/350, cirugía S/700" },
+      [
+        [
+          "amount",
+          "several prices in the text, only the first one is used (ignored: S/700); set amount to choose",
+        ],
+      ],
+    ],
+    [
+      "removed markup",
+      { ...VALID, title: "<b>Alquilo</b> cuarto", description: "<div>a</div>" },
+      [
+        ["title", "markup removed: <b>"],
+        ["description", "markup removed: <div>"],
+      ],
+    ],
+    [
+      "unknown attribute",
+      { ...VALID, attributes: { dormitorio: 2 } },
+      [
+        [
+          "attributes.dormitorio",
+          'unknown attribute for inmuebles/cuartos (did you mean "dormitorios"?)',
+        ],
+      ],
+    ],
+    [
+      "unknown district",
+      { ...VALID, location: { district: "Narnia" } },
+      [["location.district", 'unknown district "Narnia"']],
+    ],
+  ];
+  for (const [name, publication, expected] of cases) {
+    await t.test(name, () => {
+      const { errors, warnings } = validatePublication(publication);
+      assert.deepEqual(errors, []);
+      assert.deepEqual(
+        warnings,
+        expected.map(([path, message]) => ({ path, message }))
+      );
+    });
+  }
+});
+
+test("formatValidationError", async (t) => {
+  const cases = [
+    [
+      formatValidationError("page7.json", 3, {
+        path: "location.district",
+        message: "is required",
+      }),
+      "page7.json[3].location.district: is required",
+    ],
+    [formatErrorLocation("page7.json", 3, "[0]"), "page7.json[3][0]"],
+    [formatErrorLocation("page7.json", null, ""), "page7.json"],
+  ];
+  for (const [actual, expected] of cases) {
+    await t.test(expected, () => assert.equal(actual, expected));
+  }
+});
@@ -0,0 +1,76 @@
+// Edición web: búsqueda y filtros de una página de categoría. Cada anuncio va en un .web-item con sus datos en
+// atributos data-* (subcategoría, distrito, precio, moneda y el texto de búsqueda ya normalizado).
+(function () {
+    // En el celular el menú de categorías se desliza: la categoría actual queda a la vista
+    var current = document.querySelector('.web-nav [aria-current]');
+    if (current) current.scrollIntoView({ block: 'nearest', inline: 'center' });
+
+    var form = document.querySelector('.web-filters');
+    if (!form) return;
+    var items = Array.prototype.slice.call(document.querySelectorAll('.web-item'));
+    var groups = Array.prototype.slice.call(document.querySelectorAll('.web-group'));
+    var count = document.querySelector('.web-count-number');
+    var empty = document.querySelector('.web-empty');
+
+    // Minúsculas y sin tildes, como data-search
+    function normalize(text) {
+        return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    function readNumber(input) {
+        var value = parseFloat(input.value);
+        return isNaN(value) ? null : value;
+    }
+
+    function matches(item, filters) {
+        var data = item.dataset;
+        if (filters.subcategory && data.subcategory !== filters.subcategory) return false;
+        if (filters.district && data.district !== filters.district) return false;
+        if (filters.min !== null || filters.max !== null) {
+            // Con un rango de precio solo quedan los anuncios con precio en esa moneda
+            if (data.price === '' || data.currency !== filters.currency) return false;
+            var price = parseFloat(data.price);
+            if (filters.min !== null && price < filters.min) return false;
+            if (filters.max !== null && price > filters.max) return false;
+        }
+        return filters.words.every(function (word) { return data.search.indexOf(word) !== -1; });
+    }
+
+    function update() {
+        var filters = {
+            words: normalize(form.q.value).split(/\s+/).filter(Boolean),
+            subcategory: form.subcategory.value,
+            district: form.district.value,
+            currency: form.currency.value,
+            min: readNumber(form.min),
+            max: readNumber(form.max)
+        };
+        var visible = 0;
+        items.forEach(function (item) {
+            item.hidden = !matches(item, filters);
+            if (!item.hidden) visible++;
+        });
+        // Subcategorías sin anuncios visibles: se oculta también su subtítulo
+        groups.forEach(function (group) {
+            group.hidden = !group.querySelector('.web-item:not([hidden])');
+        });
+        count.textContent = visible;
+        empty.hidden = visible > 0;
+    }
+
+    // Un enlace a un anuncio (#pub-<id>) que los filtros ocultan: se limpian los filtros para mostrarlo
+    function revealTarget() {
+        var target = location.hash ? document.getElementById(decodeURIComponent(location.hash.slice(1))) : null;
+        if (!target || !target.closest('[hidden]')) return;
+        form.reset();
+        update();
+        target.scrollIntoView();
+    }
+
+    form.addEventListener('input', update);
+    form.addEventListener('submit', function (event) { event.preventDefault(); });
+    form.addEventListener('reset', function () { setTimeout(update, 0); });
+    window.addEventListener('hashchange', revealTarget);
+    update();
+    revealTarget();
+})();
@@ -0,0 +1,71 @@
+// train_classifier.js - Entrena el clasificador de categorías (lib/classifier.js)
+// con las publicaciones ya etiquetadas de publications/**/page*.json. No usa red.
+
+const fs = require('fs').promises;
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { loadPublicationDirectory } = require('./lib/publication-loader');
+const { MODEL_PATH, LEVELS, train, crossValidate, saveModel } = require('./lib/classifier');
+
+// Busca recursivamente los directorios que contienen archivos pageN.json
+async function findIssueDirectories(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const found = [];
+    if (entries.some(entry => entry.isFile() && /^page\d+\.json$/i.test(entry.name))) found.push(directory);
+    for (const entry of entries) {
+        if (entry.isDirectory() && entry.name !== 'node_modules') {
+            found.push(...await findIssueDirectories(path.join(directory, entry.name)));
+        }
+    }
+    return found;
+}
+
+async function main() {
+    const argv = yargs(hideBin(process.argv))
+        .scriptName("train_classifier.js")
+        .usage('Uso: $0 [opciones] [directorios...]')
+        .command('$0 [inputDirs..]', 'Entrena el clasificador de categorías con publicaciones etiquetadas', (yargs) => {
+             yargs.positional('inputDirs', { describe: 'Directorios con ediciones (se buscan page*.json recursivamente)', type: 'string', default: ['./publications'] })
+         })
+        .option('o', { alias: 'output', description: 'Archivo donde se guarda el modelo', type: 'string', default: MODEL_PATH, normalize: true })
+        .option('evaluate', { description: 'Medir la precisión con validación cruzada antes de entrenar', type: 'boolean', default: false })
+        .option('folds', { description: 'Número de particiones para la validación cruzada', type: 'number', default: 5 })
+        .help('h').alias('h', 'help').strict()
+        .fail((msg, err, yargs) => { console.error("Error:", msg); console.error("\n", yargs.help()); process.exit(1); })
+        .parse();
+
+    const issueDirectories = [];
+    for (const inputDir of [].concat(argv.inputDirs)) {
+        issueDirectories.push(...await findIssueDirectories(inputDir));
+    }
+    if (issueDirectories.length === 0) { console.error("No se encontraron archivos page*.json."); process.exitCode = 1; return; }
+
+    // Solo se entrena con publicaciones válidas (con categoría y subcategoría)
+    const publications = [];
+    for (const directory of issueDirectories) {
+        const { records } = await loadPublicationDirectory(directory);
+        const valid = records.filter(record => record.errors.length === 0);
+        console.log(` ${directory}: ${valid.length} publicaciones etiquetadas (${records.length - valid.length} omitidas)`);
+        publications.push(...valid.map(record => record.publication));
+    }
+    console.log(`Total de publicaciones para entrenar: ${publications.length}`);
+
+    if (argv.evaluate) {
+        console.log(`\n--- Validación Cruzada (${argv.folds} particiones) ---`);
+        const results = crossValidate(publications, argv.folds);
+        for (const level of LEVELS) {
+            const { correct, total } = results[level];
+            if (total > 0) console.log(` ${level}: ${correct}/${total} (${Math.round(correct / total * 100)}%)`);
+        }
+    }
+
+    const model = train(publications);
+    const modelPath = saveModel(model, argv.output);
+    console.log(`\nModelo guardado en: ${modelPath} (${model.vocabularySize} palabras, ${Object.keys(model.nodes).length} nodos)`);
+}
+
+main().catch(error => {
+  console.error("!! Error fatal:", error);
+  process.exit(1);
+});